@@ -0,0 +1,180 @@
+import React, { useMemo, useState } from 'react'
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const TABLE_ROWS = 15           // rows shown before "Show all"
+const TREEMAP_WIDTH = 640
+const TREEMAP_HEIGHT = 260
+const TREEMAP_MIN_LABEL = 48    // px; smaller cells only get a tooltip
+const TREEMAP_COLORS = ['#1d3557', '#23395b', '#2a4a6b', '#305c7a', '#376e8a']
+
+const num = (v) => (v ?? 0).toLocaleString()
+const fileLabel = (f) => (f.repo ? `${f.repo}: ${f.path}` : f.path)
+
+/**
+ * Table whose column headers sort it (click again to flip the direction). Columns:
+ * { key, label, value?: row => sortable, render?: row => node, numeric? }
+ */
+function SortableTable({ columns, rows, initialSort, rowKey }) {
+  const [sort, setSort] = useState(initialSort)
+  const [showAll, setShowAll] = useState(false)
+  const sorted = useMemo(() => {
+    const col = columns.find(c => c.key === sort.key)
+    const value = col.value || (row => row[col.key])
+    return [...rows].sort((a, b) => {
+      const x = value(a), y = value(b)
+      const cmp = typeof x === 'number' && typeof y === 'number' ? x - y : String(x ?? '').localeCompare(String(y ?? ''))
+      return sort.desc ? -cmp : cmp
+    })
+  }, [columns, rows, sort])
+  const visible = showAll ? sorted : sorted.slice(0, TABLE_ROWS)
+  const onSort = (key, numeric) => setSort(s => (s.key === key ? { key, desc: !s.desc } : { key, desc: Boolean(numeric) }))
+
+  return (
+    <>
+      <table className="table">
+        <thead>
+          <tr>
+            {columns.map(c => (
+              <th key={c.key} onClick={() => onSort(c.key, c.numeric)} style={{ cursor: 'pointer', whiteSpace: 'nowrap' }}
+                title="Sort by this column">
+                {c.label}{sort.key === c.key ? (sort.desc ? ' ▾' : ' ▴') : ''}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map(row => (
+            <tr key={rowKey(row)}>
+              {columns.map(c => <td key={c.key}>{c.render ? c.render(row) : row[c.key]}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > TABLE_ROWS && (
+        <button type="button" className="mt" onClick={() => setShowAll(v => !v)}>
+          {showAll ? 'Show fewer' : `Show all ${rows.length}`}
+        </button>
+      )}
+    </>
+  )
+}
+
+const CONTRIBUTOR_COLUMNS = [
+  { key: 'author', label: 'Author', render: c => <>{c.author}{c.firstTime && <span className="badge" title="No earlier commit on the analyzed branch">first-time</span>}</> },
+  { key: 'commits', label: 'Commits', numeric: true },
+  { key: 'additions', label: '+LOC', numeric: true, render: c => `+${num(c.additions)}` },
+  { key: 'deletions', label: '−LOC', numeric: true, render: c => `-${num(c.deletions)}` },
+  { key: 'files', label: 'Files', numeric: true },
+  {
+    key: 'types', label: 'Change types', value: c => Object.keys(c.typeCounts).length,
+    render: c => Object.entries(c.typeCounts).sort((a, b) => b[1] - a[1]).map(([t, n]) => `${t} ${n}`).join(', ') || '—'
+  },
+  { key: 'areas', label: 'Areas', value: c => c.areas.join(', '), render: c => c.areas.join(', ') || '—' }
+]
+
+const FILE_COLUMNS = [
+  { key: 'path', label: 'File', value: fileLabel, render: f => <code>{fileLabel(f)}</code> },
+  { key: 'commits', label: 'Commits', numeric: true },
+  { key: 'churn', label: 'Churn', numeric: true, render: f => <span title={`+${num(f.additions)} / -${num(f.deletions)}`}>{num(f.churn)}</span> },
+  { key: 'authors', label: 'Authors', numeric: true, render: f => <span title={f.authorNames.join('\n')}>{f.authors}</span> }
+]
+
+const CO_CHANGE_COLUMNS = [
+  { key: 'a', label: 'File', render: p => <code>{p.a}</code> },
+  { key: 'b', label: 'Changed with', render: p => <code>{p.b}</code> },
+  { key: 'commits', label: 'Commits together', numeric: true }
+]
+
+// Commits per weekday and hour; darker cells had more commits
+function Heatmap({ grid, timezone }) {
+  const max = Math.max(1, ...grid.flat())
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '36px repeat(24, minmax(14px, 1fr))', gap: 2, minWidth: 420 }}>
+        <div />
+        {grid[0].map((_, h) => <div key={h} className="small" style={{ textAlign: 'center' }}>{h % 3 === 0 ? h : ''}</div>)}
+        {grid.map((row, d) => (
+          <React.Fragment key={d}>
+            <div className="small">{DAYS[d]}</div>
+            {row.map((n, h) => (
+              <div key={h} title={`${DAYS[d]} ${String(h).padStart(2, '0')}:00 ${timezone}: ${n} commit${n === 1 ? '' : 's'}`}
+                style={{ height: 16, borderRadius: 3, background: n ? 'var(--accent)' : 'var(--border)', opacity: n ? 0.25 + 0.75 * n / max : 1 }} />
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Slice-and-dice layout: children split their parent's rectangle by churn, alternating direction per level
+function layoutTreemap(node, x, y, w, h, depth, out) {
+  const total = node.children.reduce((sum, c) => sum + c.churn, 0)
+  if (!total) return out
+  let offset = 0
+  for (const child of node.children) {
+    const share = child.churn / total
+    const rect = depth % 2 === 0
+      ? { x: x + offset * w, y, w: share * w, h }
+      : { x, y: y + offset * h, w, h: share * h }
+    offset += share
+    out.push({ ...rect, node: child, depth })
+    if (child.children.length) layoutTreemap(child, rect.x + 2, rect.y + 14, Math.max(0, rect.w - 4), Math.max(0, rect.h - 16), depth + 1, out)
+  }
+  return out
+}
+
+function Treemap({ tree }) {
+  const cells = useMemo(() => layoutTreemap(tree, 0, 0, TREEMAP_WIDTH, TREEMAP_HEIGHT, 0, []), [tree])
+  if (!cells.length) return <div className="small">No file changes.</div>
+  return (
+    <svg viewBox={`0 0 ${TREEMAP_WIDTH} ${TREEMAP_HEIGHT}`} width="100%" role="img" aria-label="Churn by directory">
+      {cells.filter(c => c.w > 1 && c.h > 1).map(c => (
+        <g key={c.node.path}>
+          <rect x={c.x} y={c.y} width={c.w} height={c.h} fill={TREEMAP_COLORS[c.depth % TREEMAP_COLORS.length]} stroke="var(--bg)">
+            <title>{`${c.node.path}: ${num(c.node.churn)} lines changed in ${c.node.commits} file change(s), ${c.node.files} file(s)`}</title>
+          </rect>
+          {c.w >= TREEMAP_MIN_LABEL && c.h >= 14 && (
+            <text x={c.x + 3} y={c.y + 11} fontSize="10" fill="var(--text)" pointerEvents="none">
+              {c.node.name.length * 6 > c.w ? `${c.node.name.slice(0, Math.max(1, Math.floor(c.w / 6) - 1))}…` : c.node.name}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  )
+}
+
+/** Contributor and hotspot analytics of a report: sortable tables, an activity heatmap and a directory treemap. */
+export default function Analytics({ analytics }) {
+  const { contributors, firstTimeContributors, files, totalFiles, coChange, directories, activity } = analytics
+  return (
+    <div>
+      <h3>Contributors</h3>
+      <div className="small">
+        {contributors.length} contributor{contributors.length === 1 ? '' : 's'}
+        {firstTimeContributors
+          ? <> · first-time: {firstTimeContributors.length ? firstTimeContributors.map(a => <span key={a} className="badge">{a}</span>) : 'none'}</>
+          : ' · first-time contributors not checked'}
+      </div>
+      <SortableTable columns={CONTRIBUTOR_COLUMNS} rows={contributors} initialSort={{ key: 'commits', desc: true }} rowKey={c => c.author} />
+
+      <h3 className="mt">File hotspots</h3>
+      <div className="small">
+        Most-churned files{totalFiles > files.length ? ` (top ${files.length} of ${totalFiles})` : ''}; sort by Authors for files many people touched. Filtered paths are not counted.
+      </div>
+      <SortableTable columns={FILE_COLUMNS} rows={files} initialSort={{ key: 'churn', desc: true }} rowKey={fileLabel} />
+
+      <h3 className="mt">Changed together</h3>
+      {coChange.length
+        ? <SortableTable columns={CO_CHANGE_COLUMNS} rows={coChange} initialSort={{ key: 'commits', desc: true }} rowKey={p => `${p.a}\n${p.b}`} />
+        : <div className="small">No file pairs changed together in more than one commit.</div>}
+
+      <h3 className="mt">Activity ({activity.timezone})</h3>
+      <Heatmap grid={activity.byDayHour} timezone={activity.timezone} />
+
+      <h3 className="mt">Churn by directory</h3>
+      <Treemap tree={directories} />
+    </div>
+  )
+}
@@ -1,13 +1,104 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
-import { analyzeChanges, fetchConfig, fetchBranches } from './api.js'
-import { marked } from 'marked'
+import {
+  analyzeChanges, estimateRun, fetchConfig, fetchBranches, fetchTags, fetchJob, cancelJob, resumeJob,
+  fetchReports, fetchReport, deleteReport, rerunReport, reportExportUrl, jobExportUrl, LOGIN_URL, logout
+} from './api.js'
+import { renderMarkdown } from './markdown.js'
+import Schedules from './Schedules.jsx'
+import RepoList, { emptyRepoEntry, repoListReady } from './RepoList.jsx'
+import Trends from './Trends.jsx'
+import Analytics from './Analytics.jsx'
+import Chat from './Chat.jsx'
+import DiffViewer from './DiffViewer.jsx'
+import CommitFilters, { EMPTY_FILTERS, readFilters, writeFilters, filtersActive, filterCommits, sortCommits, groupCommits, firstMatchingFile } from './CommitFilters.jsx'
 
 const ANY_BRANCH = '__ANY__'
+const ACTIVE_JOB_KEY = 'activeJobId'   // survives reloads so the UI can reattach
+const JOB_POLL_MS = 2000
+// Progress bar: listing commits fills up to PCT_PLANNED, commits up to PCT_COMMITS, the period summary the rest
+const PCT_PLANNED = 5
+const PCT_COMMITS = 90
+const REPORT_PARAM = 'report'           // ?report=<id> permalinks to a saved report
+const AUTH_ERROR_PARAM = 'authError'    // set by the server when GitHub sign-in fails
+const EXPORT_FORMATS = [
+  { format: 'html', label: 'HTML' },
+  { format: 'pdf', label: 'PDF' },
+  { format: 'json', label: 'JSON' },
+  { format: 'csv', label: 'CSV (commits)' },
+  { format: 'changelog', label: 'CHANGELOG.md' }
+]
+const SIGNAL_LABELS = {
+  secret: 'secret', dependency: 'deps', migration: 'migration',
+  ci: 'CI', auth: 'auth', deleted_test: 'tests deleted'
+}
+const SIGNAL_STYLES = {
+  high: { background:'#1e0f0f', borderColor:'#7a1f1f' },
+  medium: { borderColor:'#7a5c1f' },
+  low: {}
+}
+const SEVERITY_ORDER = ['high', 'medium', 'low']
+const ERROR_BADGE = { background:'#1e0f0f', borderColor:'#7a1f1f' }
+const COMPARE_OPTIONS = [0, 1, 2, 3, 4, 6, 8, 12]  // previous periods a date-range report can be compared with
+
+// Live commits are keyed like the server's checkpoints: the same sha can appear in two repos (forks)
+const liveKey = (sha, repo) => (repo ? `${repo}@${sha}` : sha)
+// DOM id of a commit card, so Q&A citations can scroll to it
+const commitAnchor = (sha, repo) => `commit-${liveKey(sha, repo).replace(/[^\w-]/g, '_')}`
+const HIGHLIGHT_MS = 2000
+
+// Commits of a multi-repo result by repository, in the order of `repos` (per-repo aggregates included)
+function groupByRepo(commits, repos) {
+  return repos.map(r => ({ ...r, commits: commits.filter(c => c.repo === r.repo) }))
+}
+
+// Same rounding as the server's progress log: cents, or 4 decimals below a cent.
+function formatUsd(v) {
+  if (v == null) return 'unknown'
+  return `$${v < 0.01 ? v.toFixed(4) : v.toFixed(2)}`
+}
+function formatTokens(u) {
+  return `${u.inputTokens.toLocaleString()} in / ${u.outputTokens.toLocaleString()} out tokens`
+}
+
+// "1m 20s" for the time left, from the average time per commit so far
+function formatEta(ms) {
+  const sec = Math.max(1, Math.round(ms / 1000))
+  return sec < 60 ? `${sec}s` : `${Math.floor(sec / 60)}m ${String(sec % 60).padStart(2, '0')}s`
+}
+
+// One badge per signal kind, styled by its most severe finding; the title lists every finding.
+function signalBadges(signals) {
+  const byKind = new Map()
+  for (const s of signals || []) byKind.set(s.kind, [...(byKind.get(s.kind) || []), s])
+  return [...byKind.entries()].map(([kind, list]) => {
+    const severity = SEVERITY_ORDER.find(level => list.some(s => s.severity === level))
+    const title = list.map(s => `[${s.severity}] ${s.file}${s.line ? `:${s.line}` : ''} — ${s.message}`).join('\n')
+    return (
+      <span key={kind} className="badge" style={SIGNAL_STYLES[severity]} title={title}>
+        ⚠ {SIGNAL_LABELS[kind] || kind}{list.length > 1 ? ` ×${list.length}` : ''}
+      </span>
+    )
+  })
+}
 
 export default function App() {
   const [repo, setRepo] = useState('facebook/react')
+  // Which repositories: one | list (several, each with its own branch) | org (an organization, filtered)
+  const [repoScope, setRepoScope] = useState('one')
+  const [repoList, setRepoList] = useState([emptyRepoEntry()])
+  const [org, setOrg] = useState('')
+  const [repoFilter, setRepoFilter] = useState('')
+  const [topic, setTopic] = useState('')
+  const [orgBranch, setOrgBranch] = useState('')
   const [since, setSince] = useState(new Date(Date.now()-7*864e5).toISOString().slice(0,10))
   const [until, setUntil] = useState(new Date().toISOString().slice(0,10))
+  const [comparePeriods, setComparePeriods] = useState(0)
+
+  // Release-notes mode: base/head refs instead of dates
+  const [mode, setMode] = useState('period')
+  const [base, setBase] = useState('')
+  const [head, setHead] = useState('')
+  const [tagList, setTagList] = useState([])
 
   // Branch handling
   const [branch, setBranch] = useState('main')
@@ -18,16 +109,56 @@ export default function App() {
   const [repoValid, setRepoValid] = useState(false)
 
   // Server config indicators
-  const [cfg, setCfg] = useState({ hasOpenAIKey: false, hasGithubToken: false, openaiModel: 'gpt-4o-mini' })
+  const [cfg, setCfg] = useState({
+    hasGithubToken: false,
+    auth: { enabled: false, user: null },
+    allowLocalRepos: false,
+    llm: { provider: 'openai', model: 'gpt-4o-mini', requiresKey: true, hasKey: false, ready: false }
+  })
 
   // Progress / results
   const [includeMerges, setIncludeMerges] = useState(false)
   const [maxCommits, setMaxCommits] = useState(60)
+  const [useCache, setUseCache] = useState(true)
+  const [tokenBudget, setTokenBudget] = useState('')
+  const [maxCostUsd, setMaxCostUsd] = useState('')
+  const [estimate, setEstimate] = useState(null)
+  const [estimating, setEstimating] = useState(false)
+
+  // Path filters
+  const [includeGlobs, setIncludeGlobs] = useState('')
+  const [excludeGlobs, setExcludeGlobs] = useState('')
+  const [defaultIgnore, setDefaultIgnore] = useState(true)
+  const [dropIgnoredCommits, setDropIgnoredCommits] = useState(false)
+
+  // Pull requests
+  const [enrichPRs, setEnrichPRs] = useState(true)
+  const [excludeLabels, setExcludeLabels] = useState('')
+  const [groupByPR, setGroupByPR] = useState(false)
+
+  // llm | heuristic (rules, no LLM) | compare (LLM + rule baseline)
+  const [summarizer, setSummarizer] = useState('llm')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [data, setData] = useState(null)
   const [pct, setPct] = useState(0)
 
+  // Background job
+  const [jobId, setJobId] = useState(null)
+  const [jobStatus, setJobStatus] = useState('')
+  const [jobUsage, setJobUsage] = useState(null)   // LLM usage so far, from job.progress
+  const [resultJobId, setResultJobId] = useState(null) // job the result on screen came from (exports it when unsaved)
+  const [live, setLive] = useState(null)           // results streamed as typed progress events while a job runs
+  const [highlighted, setHighlighted] = useState(null) // commit card a Q&A citation jumped to
+  const [filters, setFilters] = useState(() => readFilters(new URLSearchParams(window.location.search))) // commit list search/filter/sort/group
+  const pollRef = useRef(null)
+
+  // Saved report history
+  const [reports, setReports] = useState([])
+  const [historyScope, setHistoryScope] = useState('repo')   // 'repo' | 'all'
+  const [report, setReport] = useState(null)                 // metadata of the report on screen
+  const [linkCopied, setLinkCopied] = useState(false)
+
   // Live progress log
   const [logLines, setLogLines] = useState([])
   const esRef = useRef(null)             // EventSource
@@ -36,8 +167,31 @@ export default function App() {
   const isAtBottomRef = useRef(true)                     // ref mirror for handlers
   const [isAutoScrolling, setIsAutoScrolling] = useState(false) // suppress jump button while programmatic scroll
 
-  useEffect(() => { fetchConfig().then(setCfg).catch(console.error) }, [])
+  useEffect(() => {
+    loadConfig()
+    const url = new URL(window.location.href)
+    const authError = url.searchParams.get(AUTH_ERROR_PARAM)
+    if (authError) {
+      setError(`GitHub sign-in failed: ${authError}`)
+      url.searchParams.delete(AUTH_ERROR_PARAM)
+      window.history.replaceState(null, '', url)
+    }
+  }, [])
+  useEffect(() => {
+    // A permalink wins; otherwise reattach to the last job (still running, or finished while the tab was closed)
+    const reportId = new URLSearchParams(window.location.search).get(REPORT_PARAM)
+    const id = localStorage.getItem(ACTIVE_JOB_KEY)
+    if (reportId) openReport(reportId)
+    else if (id) watchJob(id)
+    return () => { stopPolling(); esRef.current?.close() }
+  }, [])
   useEffect(() => { isAtBottomRef.current = isAtBottom }, [isAtBottom])
+  useEffect(() => {
+    const url = new URL(window.location.href)
+    writeFilters(url.searchParams, filters)
+    window.history.replaceState(null, '', url)
+  }, [filters])
+  useEffect(() => { loadHistory() }, [historyScope, repoValid, cfg.auth?.user?.login])
 
   // ------- Repo validation + branches (debounced) -------
   const debouncedRepo = useDebounce(repo, 400)
@@ -57,8 +211,9 @@ export default function App() {
       const list = [{ name:'Any branch', value: ANY_BRANCH }, ...info.branches.map(n => ({ name:n, value:n }))]
       setBranchList(list)
       if (!list.some(b => b.value === branch)) setBranch(info.defaultBranch || ANY_BRANCH)
+      fetchTags(value.trim()).then(setTagList).catch(() => setTagList([]))
     } catch (e) {
-      setRepoValid(false); setRepoError(e.message || 'Repo not accessible'); setBranchList([])
+      setRepoValid(false); setRepoError(e.message || 'Repo not accessible'); setBranchList([]); setTagList([])
     } finally { setRepoChecking(false) }
   }
   function onRepoBlur() { if (repo.trim()) checkRepoAndBranches(repo.trim()) }
@@ -117,9 +272,10 @@ export default function App() {
     requestAnimationFrame(tick)
   }
 
-  function openLogStream(requestId) {
+  function openLogStream(id, { replayOnly = false } = {}) {
     if (esRef.current) { try { esRef.current.close() } catch {} esRef.current = null }
-    const es = new EventSource(`/api/progress/${requestId}`)
+    setLogLines([]) // the server replays the job's full log on connect
+    const es = new EventSource(`/api/progress/${id}`)
     es.onmessage = (evt) => {
       try {
         const { msg } = JSON.parse(evt.data)
@@ -128,92 +284,524 @@ export default function App() {
         setLogLines(prev => [...prev, msg])
       } catch {}
     }
-    es.addEventListener('ready', () => setLogLines(prev => [...prev, 'Connected to progress stream…']))
-    es.addEventListener('done', () => { setLogLines(prev => [...prev, 'Analysis complete.']); es.close(); esRef.current = null })
-    es.onerror = () => { setLogLines(prev => [...prev, 'Progress stream error (reconnect may be needed).']) }
+    es.addEventListener('ready', () => {
+      if (replayOnly) { es.close(); esRef.current = null; return } // finished job: the replayed log is all there is
+      setLogLines(prev => [...prev, 'Connected to progress stream…'])
+    })
+    es.addEventListener('done', () => { es.close(); esRef.current = null; if (!replayOnly) pollJob(id) })
+    // Server `error` events carry data; a dropped connection fires a bare `error`
+    es.addEventListener('error', (evt) => {
+      if (!evt.data) { setLogLines(prev => [...prev, 'Progress stream error (reconnect may be needed).']); return }
+      if (replayOnly) return
+      const { message, sha, fatal } = JSON.parse(evt.data)
+      setLive(prev => prev && { ...prev, errors: [...prev.errors, { message, sha, fatal }] })
+    })
+    // A finished job's result is fetched whole; only running jobs build the live view
+    if (!replayOnly) listenForResults(es)
     esRef.current = es
   }
 
+  // Typed events: the server replays them on reconnect, so every handler is idempotent
+  function listenForResults(es) {
+    const on = (type, fn) => es.addEventListener(type, (evt) => { try { fn(JSON.parse(evt.data)) } catch {} })
+    on('plan', ({ ts, total, previous = 0, resumed, summarizer }) => {
+      // A resumed job plans again and re-announces its finished commits, so start over
+      setLive({ total, previous, resumed, summarizer, startedAt: ts, lastAt: ts, done: resumed, commits: {}, aggregate: null, summary: '', errors: [] })
+      setPct(total ? PCT_PLANNED : PCT_COMMITS)
+    })
+    on('commit_summarized', ({ ts, sha, repo, index, done, total, commit, usage }) => {
+      setLive(prev => prev && { ...prev, done, lastAt: ts, commits: { ...prev.commits, [liveKey(sha, repo)]: { index, commit } } })
+      if (usage) setJobUsage(usage)
+      setPct(p => Math.max(p, PCT_PLANNED + Math.round((PCT_COMMITS - PCT_PLANNED) * done / total)))
+    })
+    on('aggregate', ({ aggregate, repos, trend }) => setLive(prev => prev && { ...prev, aggregate, repos, trend }))
+    on('summary_chunk', ({ text, reset }) => {
+      setLive(prev => prev && { ...prev, summary: reset ? text : prev.summary + text })
+      setPct(p => Math.min(99, Math.max(p, PCT_COMMITS) + 1))
+    })
+  }
+
+  function stopPolling() {
+    clearInterval(pollRef.current)
+    pollRef.current = null
+  }
+
+  // Applies the job's current state; returns true once it reached a terminal status.
+  async function pollJob(id) {
+    let job
+    try {
+      job = await fetchJob(id)
+    } catch (err) {
+      if (err.status === 404 || err.status === 401) {
+        localStorage.removeItem(ACTIVE_JOB_KEY)
+        stopPolling(); setLoading(false); setJobId(null); setJobStatus('')
+        return true
+      }
+      return false // transient; keep polling
+    }
+    setJobStatus(job.status)
+    setJobUsage(job.progress?.usage || null)
+    if (job.progress?.total) setPct(p => Math.max(p, PCT_PLANNED + Math.round((PCT_COMMITS - PCT_PLANNED) * job.progress.done / job.progress.total)))
+    if (job.status === 'queued' || job.status === 'running') return false
+
+    stopPolling()
+    setLoading(false)
+    if (job.status === 'completed') {
+      setData(job.result); setResultJobId(id); setLive(null); setPct(100)
+      setTimeout(()=>setPct(0), 1500)
+      if (job.reportId) {
+        setReport({ id: job.reportId, createdAt: job.finishedAt, model: null })
+        setPermalink(job.reportId)
+        loadHistory()
+      }
+    } else {
+      setPct(0)
+      setError(job.status === 'cancelled' ? 'Analysis cancelled.' : (job.error || 'Analysis failed.'))
+    }
+    return true
+  }
+
+  async function watchJob(id) {
+    stopPolling()
+    setJobId(id); setError(''); setData(null); setResultJobId(null); setReport(null); setLive(null); setLoading(true)
+    setIsAtBottom(true); setIsAutoScrolling(false)
+    const finished = await pollJob(id)
+    openLogStream(id, { replayOnly: finished })
+    if (!finished) pollRef.current = setInterval(() => pollJob(id), JOB_POLL_MS)
+  }
+
+  function buildPayload() {
+    return {
+      ...(repoScope === 'list'
+        ? { repos: repoList.filter(e => e.repo.trim()).map(e => ({ repo: e.repo.trim(), branch: e.branch || undefined })) }
+        : repoScope === 'org'
+          ? { org: org.trim(), repoFilter, topic: topic.trim() || undefined }
+          : { repo: repo.trim() }),
+      mode,
+      ...(mode === 'release'
+        ? { base: base.trim(), head: head.trim() }
+        : {
+            since: new Date(since + 'T00:00:00Z').toISOString(),
+            until: new Date(until + 'T23:59:59Z').toISOString(),
+            // one repo: could be "__ANY__"; a list: per row; an org: the default for every repo
+            branch: repoScope === 'one' ? branch || undefined : repoScope === 'org' ? orgBranch.trim() || undefined : undefined,
+            comparePeriods: Number(comparePeriods) || undefined
+          }),
+      includeMerges,
+      maxCommits: Number(maxCommits) || 60,
+      useCache,
+      tokenBudget: Number(tokenBudget) || undefined,
+      include: includeGlobs,
+      exclude: excludeGlobs,
+      defaultIgnore,
+      dropIgnoredCommits,
+      enrichPRs,
+      excludeLabels,
+      groupByPR,
+      summarizer,
+      maxCostUsd: Number(maxCostUsd) || undefined
+    }
+  }
+
+  async function onEstimate() {
+    setError(''); setEstimate(null); setEstimating(true)
+    try {
+      setEstimate(await estimateRun(buildPayload()))
+    } catch (err) {
+      setError(err.message || String(err))
+    } finally {
+      setEstimating(false)
+    }
+  }
+
   async function onSubmit(e) {
     e.preventDefault()
-    setError(''); setData(null); setLoading(true); setPct(5)
+    setError(''); setData(null); setLive(null); setLoading(true); setPct(0)
     setLogLines([]); setIsAtBottom(true); setIsAutoScrolling(false)
-
-    const requestId = (crypto && crypto.randomUUID) ? crypto.randomUUID() : String(Date.now())
-    openLogStream(requestId)
+    setReport(null); setPermalink(null); setJobUsage(null)
 
     try {
-      const payload = {
-        repo: repo.trim(),
-        since: new Date(since + 'T00:00:00Z').toISOString(),
-        until: new Date(until + 'T23:59:59Z').toISOString(),
-        branch: branch || undefined,   // could be "__ANY__"
-        includeMerges,
-        maxCommits: Number(maxCommits) || 60,
-        requestId
-      }
-      setPct(20)
-      const result = await analyzeChanges(payload)
-      setPct(95); setData(result); setPct(100)
+      const payload = buildPayload()
+      const { jobId: id } = await analyzeChanges(payload)
+      localStorage.setItem(ACTIVE_JOB_KEY, id)
+      watchJob(id)
     } catch (err) {
       setError(err.message || String(err))
       setLogLines(prev => [...prev, `Client error: ${err.message || String(err)}`])
-    } finally {
-      setLoading(false)
-      setTimeout(()=>setPct(0), 1500)
+      setLoading(false); setPct(0)
+    }
+  }
+
+  async function onCancel() {
+    if (!jobId) return
+    try { await cancelJob(jobId) } catch (err) { setError(err.message || String(err)) }
+  }
+
+  async function onResume() {
+    if (!jobId) return
+    try {
+      await resumeJob(jobId)
+      watchJob(jobId)
+    } catch (err) {
+      setError(err.message || String(err))
+    }
+  }
+
+  // ------- Report history + permalinks -------
+  function setPermalink(id) {
+    const url = new URL(window.location.href)
+    if (id) url.searchParams.set(REPORT_PARAM, id)
+    else url.searchParams.delete(REPORT_PARAM)
+    window.history.replaceState(null, '', url)
+  }
+
+  function loadConfig() {
+    fetchConfig().then(c => {
+      setCfg(c)
+      if (!c.llm.ready) setSummarizer('heuristic') // no key: rules still work
+    }).catch(console.error)
+  }
+
+  async function onLogout() {
+    try {
+      await logout()
+    } catch (err) {
+      setError(err.message || String(err))
+    }
+    localStorage.removeItem(ACTIVE_JOB_KEY)
+    setReports([]); setData(null); setResultJobId(null); setReport(null); setPermalink(null); setJobId(null); setJobStatus('')
+    setRepoValid(false); setBranchList([])
+    loadConfig()
+  }
+
+  async function loadHistory() {
+    try {
+      setReports(await fetchReports(historyScope === 'repo' && repoScope === 'one' && repoValid ? repo.trim() : undefined))
+    } catch (err) {
+      console.error(err)
+    }
+  }
+
+  // Fills the form from saved params so the report can be tweaked and analyzed again
+  function applyParams(p) {
+    const globs = (v) => Array.isArray(v) ? v.join(', ') : (v || '')
+    setRepoScope(p.repos ? 'list' : p.org ? 'org' : 'one')
+    if (p.repos) setRepoList(p.repos.map(r => emptyRepoEntry(r.repo, r.branch || '')))
+    else if (p.org) { setOrg(p.org); setRepoFilter(globs(p.repoFilter)); setTopic(p.topic || ''); setOrgBranch(p.branch || '') }
+    else setRepo(p.repo)
+    setMode(p.mode || 'period')
+    if (p.mode === 'release') { setBase(p.base || ''); setHead(p.head || '') }
+    else {
+      if (p.since) setSince(p.since.slice(0,10))
+      if (p.until) setUntil(p.until.slice(0,10))
+      setComparePeriods(p.comparePeriods || 0)
+      if (p.branch && !p.repos && !p.org) setBranch(p.branch)
+    }
+    setIncludeMerges(Boolean(p.includeMerges)); setMaxCommits(p.maxCommits || 60)
+    setIncludeGlobs(globs(p.include)); setExcludeGlobs(globs(p.exclude))
+    setDefaultIgnore(p.defaultIgnore !== false); setDropIgnoredCommits(Boolean(p.dropIgnoredCommits))
+    setEnrichPRs(p.enrichPRs !== false); setExcludeLabels(globs(p.excludeLabels)); setGroupByPR(Boolean(p.groupByPR))
+    setSummarizer(p.summarizer || 'llm'); setMaxCostUsd(p.maxCostUsd ?? '')
+  }
+
+  async function openReport(id) {
+    setError('')
+    try {
+      const r = await fetchReport(id)
+      const { result, params, ...meta } = r
+      setData(result); setResultJobId(null); setReport(meta); setPermalink(id)
+      applyParams(params)
+    } catch (err) {
+      setPermalink(null)
+      setError(err.status === 404 ? 'Saved report not found (it may have been deleted).' : (err.message || String(err)))
+    }
+  }
+
+  async function onRerun(id) {
+    try {
+      const { jobId: newId } = await rerunReport(id)
+      localStorage.setItem(ACTIVE_JOB_KEY, newId)
+      setPermalink(null); setLogLines([]); setPct(0)
+      watchJob(newId)
+    } catch (err) {
+      setError(err.message || String(err))
     }
   }
 
+  async function onDeleteReport(id) {
+    if (!window.confirm('Delete this saved report?')) return
+    try {
+      await deleteReport(id)
+      if (report?.id === id) { setReport(null); setPermalink(null) }
+      loadHistory()
+    } catch (err) {
+      setError(err.message || String(err))
+    }
+  }
+
+  function copyPermalink() {
+    navigator.clipboard.writeText(window.location.href)
+    setLinkCopied(true)
+    setTimeout(() => setLinkCopied(false), 1500)
+  }
+
+  // The report's commits after the search, filters and sort of the commit list
+  const shownCommits = useMemo(() => data?.commits ? sortCommits(filterCommits(data.commits, filters), filters.sort) : [], [data, filters])
+  const groupOptions = ['none', ...(data?.repos ? ['repo'] : []), ...(data?.aggregate.pullRequests > 0 ? ['pr'] : []), 'type', 'area', 'author', 'day']
+  // Without a choice in the URL, groupByPR runs group by pull request and multi-repo reports by repository
+  const commitGroup = groupOptions.includes(filters.group) ? filters.group
+    : groupByPR && data?.aggregate.pullRequests > 0 ? 'pr' : data?.repos ? 'repo' : 'none'
+
+  // Changelog grouped by each commit's primary PR; unlinked commits last
+  const prGroups = useMemo(() => {
+    const groups = new Map()
+    const unlinked = []
+    for (const c of shownCommits) {
+      const pr = c.pulls?.[0]
+      if (!pr) { unlinked.push(c); continue }
+      const key = `${c.repo || ''}#${pr.number}`   // PR numbers repeat across repositories
+      if (!groups.has(key)) groups.set(key, { repo: c.repo, pr, commits: [] })
+      groups.get(key).commits.push(c)
+    }
+    const sorted = [...groups.values()].sort((a, b) => String(a.repo || '').localeCompare(String(b.repo || '')) || a.pr.number - b.pr.number)
+    return unlinked.length ? [...sorted, { pr: null, commits: unlinked }] : sorted
+  }, [shownCommits])
+
+  // Commits streamed so far, in report order (previous periods of a comparison only feed the trend)
+  const liveCommits = useMemo(() => live
+    ? Object.values(live.commits).filter(e => e.commit && !e.commit.period).sort((a, b) => a.index - b.index).map(e => e.commit)
+    : [], [live])
+  const liveEta = live && live.done > live.resumed && live.done < live.total
+    ? (live.lastAt - live.startedAt) / (live.done - live.resumed) * (live.total - live.done)
+    : null
+
+  // Q&A citations: scroll to the commit card and flash it (clearing filters that hide it)
+  function jumpToCommit(sha, repo, retry = true) {
+    const el = document.getElementById(commitAnchor(sha, repo))
+    if (!el) {
+      if (retry && filtersActive(filters)) {
+        setFilters(f => ({ ...EMPTY_FILTERS, sort: f.sort, group: f.group }))
+        setTimeout(() => jumpToCommit(sha, repo, false), 0)
+      }
+      return
+    }
+    el.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    setHighlighted(liveKey(sha, repo))
+    setTimeout(() => setHighlighted(h => (h === liveKey(sha, repo) ? null : h)), HIGHLIGHT_MS)
+  }
+
+  function renderCommit(c) {
+    return (
+      <div className="commit" key={liveKey(c.sha, c.repo)} id={commitAnchor(c.sha, c.repo)}
+        style={highlighted === liveKey(c.sha, c.repo) ? { outline: '2px solid var(--accent)' } : undefined}>
+        <h4>
+          {c.repo && <span className="badge">{c.repo}</span>}
+          <code>{c.sha.slice(0,7)}</code> — {c.message.split('\n')[0]}
+        </h4>
+        <div className="small">
+          {new Date(c.date).toLocaleString()} · {c.author}
+          {c.ai.unsummarized
+            ? <>{'  '}<span className="badge" style={{ background:'#1e0f0f', borderColor:'#7a1f1f' }} title={c.ai.error}>unsummarized</span></>
+            : <>{'  '}<span className="badge">{c.ai.change_type || 'other'}</span>
+              <span className="badge" title={c.ai.risk_raised_from ? `Raised from ${c.ai.risk_raised_from} by risk signals` : undefined}>
+                risk: {c.ai.risk}{c.ai.risk_raised_from ? ' ↑' : ''}
+              </span></>}
+          {signalBadges(c.signals)}
+          {c.ai.areas?.slice(0,4).map(a => <span key={a} className="badge">{a}</span>)}
+          {c.baseline && !c.ai.unsummarized && (c.baseline.change_type !== c.ai.change_type || c.baseline.risk !== c.ai.risk) && (
+            <span className="badge" style={{ borderColor:'#7a5c1f' }} title={`Rule-based baseline disagrees\n${c.baseline.summary}`}>
+              baseline: {c.baseline.change_type} · {c.baseline.risk}
+            </span>
+          )}
+          {c.filteredCount > 0 && <span className="badge" title="Hidden from the LLM by path filters">{c.filteredCount} files filtered</span>}
+          {c.pulls?.map(pr => (
+            <a key={pr.number} href={pr.url} target="_blank" rel="noreferrer" className="badge"
+              title={`${pr.title}\nby ${pr.author}${pr.reviewers?.length ? `, reviewed by ${pr.reviewers.join(', ')}` : ''}${pr.labels?.length ? `\nlabels: ${pr.labels.join(', ')}` : ''}`}>
+              PR #{pr.number}
+            </a>
+          ))}
+        </div>
+        <div className="mt">
+          <b>{(data || live)?.summarizer === 'heuristic' ? 'Rule-based summary:' : 'AI Summary:'}</b>
+          <div className="small">{c.ai.unsummarized ? `No valid summary (${c.ai.error}). Re-run to retry.` : c.ai.summary}</div>
+        </div>
+        <details className="mt">
+          <summary>Files (+{c.stats.additions}/-{c.stats.deletions})</summary>
+          <table className="table mt">
+            <thead><tr><th>File</th><th>Status</th><th>Add</th><th>Del</th></tr></thead>
+            <tbody>
+              {c.files.map(f => (
+                <tr key={f.filename} style={f.skipped ? { opacity: 0.55 } : undefined}>
+                  <td>{f.filename}</td>
+                  <td>{f.status}{f.skipped && <span className="small"> · skipped: {f.skipReason}</span>}
+                    {c.ai.omitted_files?.includes(f.filename) && <span className="small" title="Left out of the LLM prompt to fit the token budget"> · not summarized</span>}</td>
+                  <td>{f.additions}</td>
+                  <td>{f.deletions}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+        <DiffViewer files={c.files} initialFile={firstMatchingFile(c, filters)} />
+      </div>
+    )
+  }
+
+  // Multi-repo results: one section per repository, headed by its aggregate
+  function renderRepoGroups(commits, repos) {
+    return groupByRepo(commits, repos).map(g => (
+      <div key={g.id || g.repo} className="mt">
+        <h3 style={{ marginBottom: 4 }}>{g.repo} <span className="small">({g.branch})</span></h3>
+        {g.aggregate && (
+          <div className="small">
+            Commits: <span className="badge">{g.aggregate.count}</span>
+            Files: <span className="badge">{g.aggregate.files}</span>
+            LOC: <span className="badge">+{g.aggregate.additions}/-{g.aggregate.deletions}</span>
+            {g.aggregate.riskCounts?.high > 0 && <>High risk: <span className="badge" style={ERROR_BADGE}>{g.aggregate.riskCounts.high}</span></>}
+            {g.aggregate.topAreas?.length > 0 && <>Areas: {g.aggregate.topAreas.slice(0, 4).map(a => <span key={a} className="badge">{a}</span>)}</>}
+          </div>
+        )}
+        {g.commits.length ? g.commits.map(renderCommit) : <div className="small">No commits in this window.</div>}
+      </div>
+    ))
+  }
+
   function downloadMarkdown() {
     if (!data?.summaryMarkdown) return
     const blob = new Blob([data.summaryMarkdown], { type: 'text/markdown;charset=utf-8' })
     const a = document.createElement('a')
     a.href = URL.createObjectURL(blob)
-    a.download = `${data.repo}-${data.since?.slice(0,10)}_${data.until?.slice(0,10)}.md`
+    a.download = data.mode === 'release'
+      ? `${data.repo}-${data.base}_${data.head}.md`.replace(/[\\/]/g, '-')
+      : `${data.repo}-${data.since?.slice(0,10)}_${data.until?.slice(0,10)}.md`
     a.click()
     URL.revokeObjectURL(a.href)
   }
   function copyMarkdown() { navigator.clipboard.writeText(data?.summaryMarkdown || '') }
 
+  // Saved reports download from the report; unsaved results from the job that produced them
+  function onExport(format) {
+    if (!report?.id && !resultJobId) { setError('Export failed: this result is no longer on the server (its report was deleted).'); return }
+    const a = document.createElement('a')
+    a.href = report?.id ? reportExportUrl(report.id, format) : jobExportUrl(resultJobId, format)
+    a.click()
+  }
+
   const branchSelectDisabled = !repoValid || repoChecking || branchList.length === 0
-  const analyzeDisabled = loading || !cfg.hasOpenAIKey || !repoValid
+  const signedOut = cfg.auth?.enabled && !cfg.auth.user
+  const reposReady = repoScope === 'list' ? repoListReady(repoList) : repoScope === 'org' ? Boolean(org.trim()) : repoValid
+  const analyzeDisabled = loading || signedOut || (!cfg.llm.ready && summarizer !== 'heuristic') || !reposReady || (mode === 'release' && (!base.trim() || !head.trim()))
+
+  function onRepoScopeChange(value) {
+    setRepoScope(value)
+    if (value !== 'one') setMode('period') // release notes compare refs of one repository
+    setEstimate(null)
+  }
 
   return (
     <div className="container">
       <div className="card">
         <h1>GitHub Change Summarizer</h1>
-        <p className="small">Enter a repo and date range. We’ll validate the repo, load branches, analyze diffs with OpenAI, and render a concise report.</p>
+        <p className="small">Enter a repo (or a local clone, if the server allows it) and date range. We’ll validate the repo, load branches, analyze diffs with the configured LLM, and render a concise report.</p>
         <form onSubmit={onSubmit}>
           <div className="row">
             <div>
-              <label>Repository (owner/repo or URL)</label>
+              <label>Repositories</label>
+              <select value={repoScope} onChange={e=>onRepoScopeChange(e.target.value)}>
+                <option value="one">One repository</option>
+                <option value="list">Several repositories</option>
+                <option value="org">Organization</option>
+              </select>
+            </div>
+            {repoScope === 'list' && (
+              <div style={{ gridColumn: 'span 2' }}>
+                <label>Repositories and branches{cfg.maxReposPerReport ? ` (up to ${cfg.maxReposPerReport})` : ''}</label>
+                <RepoList entries={repoList} onChange={setRepoList} allowLocalRepos={cfg.allowLocalRepos} maxRepos={cfg.maxReposPerReport} />
+              </div>
+            )}
+            {repoScope === 'org' && (
+              <>
+                <div>
+                  <label>Organization (or user)</label>
+                  <input value={org} onChange={e=>setOrg(e.target.value)} placeholder="e.g. facebook" />
+                </div>
+                <div>
+                  <label>Repo name filter (globs, comma-separated)</label>
+                  <input value={repoFilter} onChange={e=>setRepoFilter(e.target.value)} placeholder="e.g. api-*, web" />
+                </div>
+                <div>
+                  <label>Topic</label>
+                  <input value={topic} onChange={e=>setTopic(e.target.value)} placeholder="e.g. backend" />
+                </div>
+                <div>
+                  <label>Branch</label>
+                  <input value={orgBranch} onChange={e=>setOrgBranch(e.target.value)} placeholder="each repo's default" />
+                </div>
+              </>
+            )}
+            {repoScope === 'one' && <div>
+              <label>Repository (owner/repo, URL{cfg.allowLocalRepos ? ' or local path' : ''})</label>
               <input
                 value={repo}
                 onChange={e=>{ setRepo(e.target.value); setRepoError(''); setRepoValid(false); }}
                 onBlur={onRepoBlur}
-                placeholder="owner/repo or https://github.com/owner/repo"
+                placeholder={cfg.allowLocalRepos ? 'owner/repo, https://github.com/owner/repo or /path/to/clone' : 'owner/repo or https://github.com/owner/repo'}
               />
               <div className="small" style={{ marginTop: 6 }}>
                 {repoChecking && <span className="badge">Checking…</span>}
                 {!repoChecking && repoValid && <span className="badge">Repo OK</span>}
                 {repoError && <span className="badge" style={{ background:'#1e0f0f', borderColor:'#7a1f1f' }}>Error: {repoError}</span>}
               </div>
-            </div>
+            </div>}
 
             <div>
-              <label>Since (UTC)</label>
-              <input type="date" value={since} onChange={e=>setSince(e.target.value)} />
-            </div>
-            <div>
-              <label>Until (UTC)</label>
-              <input type="date" value={until} onChange={e=>setUntil(e.target.value)} />
+              <label>Report</label>
+              <select value={mode} onChange={e=>setMode(e.target.value)}>
+                <option value="period">Date range</option>
+                <option value="release" disabled={repoScope !== 'one'}>Release notes (base → head)</option>
+              </select>
             </div>
+            {mode === 'release' ? (
+              <>
+                <div>
+                  <label>Base ref (previous release)</label>
+                  <input list="ref-options" value={base} onChange={e=>setBase(e.target.value)} placeholder={tagList[1] || 'e.g. v2.3.0'} />
+                </div>
+                <div>
+                  <label>Head ref (this release)</label>
+                  <input list="ref-options" value={head} onChange={e=>setHead(e.target.value)} placeholder={tagList[0] || 'e.g. v2.4.0'} />
+                </div>
+                <datalist id="ref-options">
+                  {tagList.map(t => <option key={`tag:${t}`} value={t}>tag</option>)}
+                  {branchList.filter(b => b.value !== ANY_BRANCH).map(b => <option key={`branch:${b.value}`} value={b.value}>branch</option>)}
+                </datalist>
+              </>
+            ) : (
+              <>
+                <div>
+                  <label>Since (UTC)</label>
+                  <input type="date" value={since} onChange={e=>setSince(e.target.value)} />
+                </div>
+                <div>
+                  <label>Until (UTC)</label>
+                  <input type="date" value={until} onChange={e=>setUntil(e.target.value)} />
+                </div>
+                <div>
+                  <label>Compare with previous periods</label>
+                  <select value={comparePeriods} onChange={e=>setComparePeriods(Number(e.target.value))}
+                    title="Also analyzes this many earlier windows of the same length and reports the trend">
+                    {COMPARE_OPTIONS.map(n => <option key={n} value={n}>{n ? `${n} previous period${n > 1 ? 's' : ''}` : 'No comparison'}</option>)}
+                  </select>
+                </div>
+              </>
+            )}
           </div>
 
           <div className="row mt">
             <div>
               <label>Branch</label>
-              <select value={branch} onChange={e=>setBranch(e.target.value)} disabled={branchSelectDisabled}>
+              <select value={branch} onChange={e=>setBranch(e.target.value)} disabled={branchSelectDisabled || mode === 'release' || repoScope !== 'one'}
+                title={mode === 'release' ? 'Release notes use the base/head refs instead' : repoScope !== 'one' ? 'Set per repository above' : undefined}>
                 {branchList.map(b => <option key={b.value} value={b.value}>{b.name}</option>)}
               </select>
               <div className="small" style={{ marginTop: 6 }}>
@@ -222,7 +810,7 @@ export default function App() {
             </div>
 
             <div>
-              <label>Max commits</label>
+              <label>Max commits{repoScope !== 'one' ? ' (per repository)' : ''}</label>
               <input type="number" min="1" max="500" value={maxCommits} onChange={e=>setMaxCommits(e.target.value)} />
             </div>
             <div>
@@ -232,6 +820,78 @@ export default function App() {
                 <option value="yes">Yes</option>
               </select>
             </div>
+            <div>
+              <label>Use cached results?</label>
+              <select value={useCache ? 'yes' : 'no'} onChange={e=>setUseCache(e.target.value==='yes')}>
+                <option value="yes">Yes</option>
+                <option value="no">No (refresh)</option>
+              </select>
+            </div>
+            <div>
+              <label>Token budget per LLM call</label>
+              <input type="number" min="2000" step="1000" value={tokenBudget} onChange={e=>setTokenBudget(e.target.value)} placeholder={cfg.tokenBudget ? `default ${cfg.tokenBudget}` : 'server default'} />
+            </div>
+            <div>
+              <label>Max cost (USD)</label>
+              <input type="number" min="0" step="0.05" value={maxCostUsd} onChange={e=>setMaxCostUsd(e.target.value)} placeholder="no limit"
+                disabled={summarizer === 'heuristic'} title="LLM calls stop once the run has cost this much; the rest of the report is written by the rules" />
+            </div>
+          </div>
+
+          <div className="row mt">
+            <div>
+              <label>Include paths (globs, comma-separated)</label>
+              <input value={includeGlobs} onChange={e=>setIncludeGlobs(e.target.value)} placeholder="e.g. src/**, packages/api/" />
+            </div>
+            <div>
+              <label>Exclude paths (globs, comma-separated)</label>
+              <input value={excludeGlobs} onChange={e=>setExcludeGlobs(e.target.value)} placeholder="e.g. docs/, *.md" />
+            </div>
+            <div>
+              <label>Skip generated/vendor noise?</label>
+              <select value={defaultIgnore ? 'yes' : 'no'} onChange={e=>setDefaultIgnore(e.target.value==='yes')}
+                title={cfg.defaultIgnore ? `Built-in ignore set:\n${cfg.defaultIgnore.join('\n')}` : undefined}>
+                <option value="yes">Yes (lockfiles, dist/, binaries…)</option>
+                <option value="no">No</option>
+              </select>
+            </div>
+            <div>
+              <label>Commits touching only filtered paths</label>
+              <select value={dropIgnoredCommits ? 'drop' : 'keep'} onChange={e=>setDropIgnoredCommits(e.target.value==='drop')}>
+                <option value="keep">Keep</option>
+                <option value="drop">Drop</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="row mt">
+            <div>
+              <label>Pull request metadata</label>
+              <select value={enrichPRs ? 'yes' : 'no'} onChange={e=>setEnrichPRs(e.target.value==='yes')}>
+                <option value="yes">Fetch (GitHub only)</option>
+                <option value="no">Skip</option>
+              </select>
+            </div>
+            <div>
+              <label>Exclude PR labels (comma-separated)</label>
+              <input value={excludeLabels} onChange={e=>setExcludeLabels(e.target.value)} placeholder="e.g. dependencies, bot" disabled={!enrichPRs} />
+            </div>
+            <div>
+              <label>Group changelog by</label>
+              <select value={groupByPR ? 'pr' : 'commit'} onChange={e=>setGroupByPR(e.target.value==='pr')}>
+                <option value="commit">Commit</option>
+                <option value="pr">Pull request</option>
+              </select>
+            </div>
+            <div>
+              <label>Summarizer</label>
+              <select value={summarizer} onChange={e=>setSummarizer(e.target.value)}
+                title="Rules fill the same fields from Conventional Commit prefixes, paths and churn, without LLM calls">
+                <option value="llm" disabled={!cfg.llm.ready}>LLM</option>
+                <option value="heuristic">Rules only (no LLM)</option>
+                <option value="compare" disabled={!cfg.llm.ready}>LLM + rule baseline</option>
+              </select>
+            </div>
           </div>
 
           {/* Environment Status (non-editable) */}
@@ -239,19 +899,56 @@ export default function App() {
             <div className="card" style={{ padding: '12px' }}>
               <div style={{ fontWeight: 600, marginBottom: 6 }}>Environment Status</div>
               <div className="small">
-                OpenAI key: <span className="badge" style={{ background: cfg.hasOpenAIKey ? '#0e1b12' : '#1e0f0f', borderColor: cfg.hasOpenAIKey ? '#1f7a3e' : '#7a1f1f' }}>
-                  {cfg.hasOpenAIKey ? 'Loaded from .env' : 'Missing'}
+                LLM provider: <span className="badge">{cfg.llm.provider}</span>
+                API key: <span className="badge" style={{ background: cfg.llm.ready ? '#0e1b12' : '#1e0f0f', borderColor: cfg.llm.ready ? '#1f7a3e' : '#7a1f1f' }}>
+                  {cfg.llm.hasKey ? 'Loaded from .env' : (cfg.llm.requiresKey ? 'Missing' : 'Not required')}
                 </span>
-                GitHub token: <span className="badge" style={{ background: cfg.hasGithubToken ? '#0e1b12' : '#1e0f0f', borderColor: cfg.hasGithubToken ? '#1f7a3e' : '#7a1f1f' }}>
+                {cfg.auth?.enabled ? (
+                  cfg.auth.user ? <>GitHub: <span className="badge" style={{ background:'#0e1b12', borderColor:'#1f7a3e' }}
+                    title={`Repo access uses ${cfg.auth.user.name}'s GitHub token${cfg.auth.jobsPerHour ? `\nUp to ${cfg.auth.jobsPerHour} analyses per hour` : ''}${cfg.auth.questionsPerHour ? `\nUp to ${cfg.auth.questionsPerHour} report questions per hour` : ''}${cfg.auth.estimatesPerHour ? `\nUp to ${cfg.auth.estimatesPerHour} cost estimates per hour` : ''}`}>
+                      {cfg.auth.user.avatarUrl && <img src={cfg.auth.user.avatarUrl} alt="" width={14} height={14} style={{ borderRadius:'50%', verticalAlign:'middle', marginRight:4 }} />}
+                      @{cfg.auth.user.login}
+                    </span>
+                    <button type="button" onClick={onLogout} style={{ padding:'2px 8px', fontSize:12 }}>Sign out</button>{' '}</>
+                  : <>GitHub: <a className="badge" href={LOGIN_URL} style={{ background:'#1e0f0f', borderColor:'#7a1f1f' }}
+                    title={cfg.auth.restricted ? 'Only allowed users and organizations can sign in' : undefined}>Sign in with GitHub</a></>
+                ) : <>GitHub token: <span className="badge" style={{ background: cfg.hasGithubToken ? '#0e1b12' : '#1e0f0f', borderColor: cfg.hasGithubToken ? '#1f7a3e' : '#7a1f1f' }}>
                   {cfg.hasGithubToken ? 'Loaded from .env' : 'Missing (optional)'}
-                </span>
-                Model: <span className="badge">{cfg.openaiModel}</span>
+                </span></>}
+                Model: <span className="badge">{cfg.llm.model}</span>
+                {cfg.llm.structuredOutput && <>JSON output: <span className="badge" title="How commit summaries are constrained to the schema (LLM_STRUCTURED_OUTPUT)">{cfg.llm.structuredOutput === 'none' ? 'prompt only' : cfg.llm.structuredOutput}</span></>}
+                {cfg.llm.baseURL && <>Endpoint: <span className="badge">{cfg.llm.baseURL}</span></>}
               </div>
             </div>
           </div>
 
           <div className="mt actions">
             <button disabled={analyzeDisabled}>{loading ? 'Analyzing…' : 'Analyze'}</button>
+            {loading && jobId && <button type="button" onClick={onCancel}>Cancel</button>}
+            {!loading && jobId && (jobStatus === 'failed' || jobStatus === 'cancelled') && (
+              <button type="button" onClick={onResume} title="Continue after the last completed commit">Resume</button>
+            )}
+            <button type="button" onClick={onEstimate} disabled={loading || estimating || signedOut || !reposReady}
+              title="Fetches the commits and prices the prompts without calling the LLM">
+              {estimating ? 'Estimating…' : 'Estimate cost'}
+            </button>
+            {jobId && jobStatus && <span className="badge" title={`Job ${jobId}`}>Job: {jobStatus}</span>}
+            {loading && live?.total > 0 && (
+              <span className="badge" title={liveEta != null ? 'Estimated from the average time per commit so far' : undefined}>
+                {live.done < live.total ? `${live.done}/${live.total} commits` : 'Writing summary…'}
+                {liveEta != null ? ` · ~${formatEta(liveEta)} left` : ''}
+              </span>
+            )}
+            {loading && jobUsage?.calls > 0 && (
+              <span className="badge" title={formatTokens(jobUsage)}>Cost so far: {formatUsd(jobUsage.costUsd)}</span>
+            )}
+            {estimate && !loading && (
+              <span className="badge" style={estimate.withinBudget === false ? { background:'#1e0f0f', borderColor:'#7a1f1f' } : undefined}
+                title={`${estimate.commits} commits (${estimate.cachedSummaries} cached${estimate.previousCommits ? `, ${estimate.previousCommits} from previous periods` : ''})\n${formatTokens(estimate)}${estimate.price ? '' : '\nNo price known for this model'}`}>
+                Estimate: {estimate.calls} calls · {estimate.price ? `~${formatUsd(estimate.costUsd)}` : 'cost unknown'}
+                {estimate.withinBudget === false ? ` (over ${formatUsd(estimate.maxCostUsd)})` : ''}
+              </span>
+            )}
             <div style={{flex:1}} />
             <div className="progress" style={{width:240}}>
               <div style={{width:`${pct}%`, transition:'width .4s'}} />
@@ -260,6 +957,49 @@ export default function App() {
         </form>
       </div>
 
+      {/* Saved reports: reopen, re-run with the same parameters, delete */}
+      <div className="card mt">
+        <div className="actions" style={{ alignItems: 'center' }}>
+          <h2 style={{ margin: 0 }}>Report History</h2>
+          <div style={{flex:1}} />
+          <select value={historyScope} onChange={e=>setHistoryScope(e.target.value)} style={{ width: 'auto' }}>
+            <option value="repo">This repository</option>
+            <option value="all">All repositories</option>
+          </select>
+        </div>
+        {reports.length === 0 ? (
+          <div className="small mt">No saved reports yet. Completed analyses are saved automatically.</div>
+        ) : (
+          <div style={{ maxHeight: 260, overflowY: 'auto' }}>
+            <table className="table mt">
+              <thead><tr><th>Saved</th><th>Repo</th><th>Scope</th><th>Commits</th><th>Model</th><th /></tr></thead>
+              <tbody>
+                {reports.map(r => (
+                  <tr key={r.id} style={report?.id === r.id ? { background: '#0b1020' } : undefined}>
+                    <td>{new Date(r.createdAt).toLocaleString()}</td>
+                    <td>{r.repo}</td>
+                    <td>
+                      {r.mode === 'release'
+                        ? `${r.base} → ${r.head}`
+                        : `${r.since?.slice(0,10)} → ${r.until?.slice(0,10)}${r.branch === ANY_BRANCH ? ' (any branch)' : r.branch ? ` (${r.branch})` : ''}`}
+                    </td>
+                    <td>{r.commits}</td>
+                    <td>{r.model?.model}</td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      <button type="button" onClick={()=>openReport(r.id)} disabled={loading}>Open</button>{' '}
+                      <button type="button" onClick={()=>onRerun(r.id)} disabled={loading || !cfg.llm.ready} title="Analyze again with the same parameters">Re-run</button>{' '}
+                      <button type="button" onClick={()=>onDeleteReport(r.id)}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Schedules cfg={cfg} buildPayload={buildPayload} canSchedule={reposReady && mode === 'period'} onOpenReport={openReport} />
+
       {/* Live Analysis Log with auto-scroll + Jump-to-bottom */}
       {(loading || logLines.length > 0) && (
         <div className="card mt">
@@ -320,64 +1060,136 @@ export default function App() {
 
       {error && <div className="card mt" style={{borderColor:'var(--err)'}}><b>Error:</b> {error}</div>}
 
+      {/* Results as they stream in; replaced by the full report when the job completes */}
+      {!data && live && (liveCommits.length > 0 || live.summary) && (
+        <div className="card mt">
+          <h2>{live.summary ? 'Summary (streaming…)' : 'Commits so far'}</h2>
+          <div className="small">
+            Commits: <span className="badge">{liveCommits.length}/{live.total - live.previous}</span>
+            {live.previous > 0 && <>Previous periods: <span className="badge" title="Analyzed for the period comparison">{live.previous} commits</span></>}
+            {live.aggregate && <>LOC: <span className="badge">+{live.aggregate.additions}/-{live.aggregate.deletions}</span></>}
+            {live.errors.length > 0 && <>Errors: <span className="badge" style={{ background:'#1e0f0f', borderColor:'#7a1f1f' }}
+              title={live.errors.map(e => e.message).join('\n')}>{live.errors.length}</span></>}
+          </div>
+          {live.trend && <>
+            <hr className="sep" />
+            <Trends trend={live.trend} />
+          </>}
+          {live.summary && <>
+            <hr className="sep" />
+            <div dangerouslySetInnerHTML={{ __html: renderMarkdown(live.summary) }} />
+          </>}
+          {liveCommits.length > 0 && <>
+            <hr className="sep" />
+            {live.repos ? renderRepoGroups(liveCommits, live.repos) : liveCommits.map(renderCommit)}
+          </>}
+        </div>
+      )}
+
       {data && (
         <>
           <div className="card mt">
-            <h2>Period Summary</h2>
+            <h2>{data.mode === 'release' ? 'Release Notes' : 'Period Summary'}</h2>
             <div className="small">
-              Repo: <span className="badge">{data.repo}</span>
-              Range: <span className="badge">{new Date(data.since).toISOString().slice(0,10)} → {new Date(data.until).toISOString().slice(0,10)}</span>
+              {data.repos ? <>Repos: <span className="badge" title={data.repos.map(r => `${r.repo} (${r.branch}): ${r.aggregate.count} commits`).join('\n')}>{data.repo}</span></>
+                : <>Repo: <span className="badge">{data.repo}</span></>}
+              {data.mode === 'release' && <>Refs: <span className="badge">{data.base} → {data.head}</span></>}
+              {data.since && data.until && <>Range: <span className="badge">{new Date(data.since).toISOString().slice(0,10)} → {new Date(data.until).toISOString().slice(0,10)}</span></>}
               Commits: <span className="badge">{data.aggregate.count}</span>
               Files: <span className="badge">{data.aggregate.files}</span>
+              {data.aggregate.filteredFiles > 0 && <>Filtered: <span className="badge">{data.aggregate.filteredFiles} files</span></>}
+              {data.aggregate.droppedCommits > 0 && <>Dropped: <span className="badge">{data.aggregate.droppedCommits} commits</span></>}
+              {data.aggregate.excludedByLabel > 0 && <>Excluded by label: <span className="badge">{data.aggregate.excludedByLabel} commits</span></>}
+              {data.aggregate.unsummarized > 0 && <>Unsummarized: <span className="badge" style={{ background:'#1e0f0f', borderColor:'#7a1f1f' }} title="The model never returned a valid summary; type and risk are unknown">{data.aggregate.unsummarized} commits</span></>}
+              {data.aggregate.flaggedCommits > 0 && <>Risk signals: <span className="badge" style={SIGNAL_STYLES.medium}
+                title={Object.entries(data.aggregate.signalCounts).map(([k, n]) => `${SIGNAL_LABELS[k] || k}: ${n}`).join('\n')}>
+                {data.aggregate.flaggedCommits} commits
+              </span></>}
+              {data.aggregate.pullRequests > 0 && <>PRs: <span className="badge">{data.aggregate.pullRequests}</span></>}
               LOC: <span className="badge">+{data.aggregate.additions}/-{data.aggregate.deletions}</span>
+              {data.usage?.calls > 0 && <>LLM usage: <span className="badge"
+                title={`${formatTokens(data.usage)}\nPeriod summary: ${formatTokens(data.usage.period)}`}>
+                {data.usage.calls} calls · {formatUsd(data.usage.costUsd)}
+              </span></>}
+              {data.usage?.budgetExceeded && <>Budget: <span className="badge" style={{ background:'#1e0f0f', borderColor:'#7a1f1f' }}
+                title="LLM calls stopped at the cost budget; remaining commits are unsummarized">reached {formatUsd(data.usage.maxCostUsd)}</span></>}
+              {data.cache && <>Cache hits: <span className="badge">{data.cache.summaryHits}/{data.cache.summaryHits + data.cache.summaryMisses} summaries</span></>}
+              {data.summarizer === 'heuristic' && <>Summarizer: <span className="badge" title="Deterministic rules; no LLM calls">rules</span></>}
+              {data.baseline && <>Baseline agreement: <span className="badge" title="How often the LLM and the rule-based baseline agree">
+                type {data.baseline.comparison.changeTypeAgreement}/{data.baseline.comparison.compared} · risk {data.baseline.comparison.riskAgreement}/{data.baseline.comparison.compared}
+              </span></>}
+              {report && <>Saved: <span className="badge" title={report.model ? `Written by ${report.model.provider}/${report.model.model}` : undefined}>{new Date(report.createdAt).toLocaleString()}</span></>}
             </div>
             <div className="actions mt">
               <button onClick={copyMarkdown}>Copy Markdown</button>
               <button onClick={downloadMarkdown}>Download .md</button>
+              <span className="small" style={{ alignSelf: 'center' }}>Export:</span>
+              {EXPORT_FORMATS.map(f => <button key={f.format} onClick={()=>onExport(f.format)}>{f.label}</button>)}
+              {report && <button onClick={copyPermalink} title="Shareable URL that reopens this report">{linkCopied ? 'Link copied' : 'Copy link'}</button>}
             </div>
             <hr className="sep" />
-            <div dangerouslySetInnerHTML={{ __html: marked.parse(data.summaryMarkdown || '') }} />
+            <div dangerouslySetInnerHTML={{ __html: renderMarkdown(data.summaryMarkdown) }} />
+            {data.baseline && (
+              <details className="mt">
+                <summary>Rule-based baseline report</summary>
+                <div dangerouslySetInnerHTML={{ __html: renderMarkdown(data.baseline.summaryMarkdown) }} />
+              </details>
+            )}
           </div>
 
+          {report?.id && (
+            <div className="card mt">
+              <h2>Ask about these changes</h2>
+              <Chat key={report.id} reportId={report.id} onCite={jumpToCommit} />
+            </div>
+          )}
+
+          {data.trend && (
+            <div className="card mt">
+              <h2>Compared to Previous Periods</h2>
+              <Trends trend={data.trend} />
+            </div>
+          )}
+
+          {data.analytics && (
+            <div className="card mt">
+              <h2>Contributors & Hotspots</h2>
+              <Analytics analytics={data.analytics} />
+            </div>
+          )}
+
           <div className="card mt">
             <h2>Commits</h2>
-            {data.commits.map(c => (
-              <div className="commit" key={c.sha}>
-                <h4>
-                  <code>{c.sha.slice(0,7)}</code> — {c.message.split('\n')[0]}
-                </h4>
-                <div className="small">
-                  {new Date(c.date).toLocaleString()} · {c.author}
-                  {'  '}<span className="badge">{c.ai.change_type || 'other'}</span>
-                  <span className="badge">risk: {c.ai.risk}</span>
-                  {c.ai.areas?.slice(0,4).map(a => <span key={a} className="badge">{a}</span>)}
+            <CommitFilters commits={data.commits} shown={shownCommits.length} filters={filters} onChange={setFilters}
+              groups={groupOptions} group={commitGroup} />
+            {data.commits.length > 0 && shownCommits.length === 0 && <div className="small mt">No commits match the filters.</div>}
+            {commitGroup === 'pr'
+              ? prGroups.map(g => (
+                <div key={g.pr ? `${g.repo || ''}#${g.pr.number}` : 'none'} className="mt">
+                  <h3 style={{ marginBottom: 4 }}>
+                    {g.pr
+                      ? <><a href={g.pr.url} target="_blank" rel="noreferrer">{g.repo || ''}#{g.pr.number}</a> {g.pr.title}</>
+                      : 'Commits without a pull request'}
+                  </h3>
+                  {g.pr && (
+                    <div className="small">
+                      by {g.pr.author}
+                      {g.pr.reviewers?.length > 0 && <> · reviewed by {g.pr.reviewers.join(', ')}</>}
+                      {'  '}<span className="badge">{g.pr.state}</span>
+                      {g.pr.labels?.map(l => <span key={l} className="badge">{l}</span>)}
+                    </div>
+                  )}
+                  {g.commits.map(renderCommit)}
                 </div>
-                <div className="mt">
-                  <b>AI Summary:</b>
-                  <div className="small">{c.ai.summary}</div>
+              ))
+              : commitGroup === 'repo' ? renderRepoGroups(shownCommits, data.repos)
+              : commitGroup === 'none' ? shownCommits.map(renderCommit)
+              : groupCommits(shownCommits, commitGroup).map(g => (
+                <div key={g.key} className="mt">
+                  <h3 style={{ marginBottom: 4 }}>{g.key} <span className="small">({g.commits.length})</span></h3>
+                  {g.commits.map(renderCommit)}
                 </div>
-                <details className="mt">
-                  <summary>Files (+{c.stats.additions}/-{c.stats.deletions})</summary>
-                  <table className="table mt">
-                    <thead><tr><th>File</th><th>Status</th><th>Add</th><th>Del</th></tr></thead>
-                    <tbody>
-                      {c.files.map(f => (
-                        <tr key={f.filename}>
-                          <td>{f.filename}</td>
-                          <td>{f.status}</td>
-                          <td>{f.additions}</td>
-                          <td>{f.deletions}</td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </details>
-                <details className="mt">
-                  <summary>Show first patch</summary>
-                  {c.files[0]?.patch ? <pre className="code">{c.files[0].patch.slice(0,5000)}</pre> : <div className="small">No patch available.</div>}
-                </details>
-              </div>
-            ))}
+              ))}
           </div>
         </>
       )}
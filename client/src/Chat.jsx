@@ -0,0 +1,91 @@
+import React, { useState } from 'react'
+import { askReport } from './api.js'
+import { renderMarkdown } from './markdown.js'
+
+const ERROR_BADGE = { background:'#1e0f0f', borderColor:'#7a1f1f' }
+const CITE_PREFIX = '#cite-'
+const EXAMPLES = ['Which commits touched auth?', 'What could have caused a regression in checkout?', 'Which changes need extra tests?']
+
+// Inline [abc1234] citations become links the panel intercepts (see onAnswerClick)
+function linkCitations(answer, citations) {
+  return answer.replace(/\[([0-9a-f]{7,40})\]/gi, (match, sha) => {
+    const c = citations.find(x => x.sha.toLowerCase().startsWith(sha.toLowerCase()))
+    return c ? `[${sha}](${CITE_PREFIX}${citations.indexOf(c)})` : match
+  })
+}
+
+/**
+ * Questions about a saved report. Answers cite commits; clicking a citation calls
+ * `onCite(sha, repo)`, which scrolls to that commit card.
+ */
+export default function Chat({ reportId, onCite }) {
+  const [turns, setTurns] = useState([])   // { question, answer, mode, citations, budgetExceeded, error }
+  const [question, setQuestion] = useState('')
+  const [asking, setAsking] = useState(false)
+
+  async function onAsk(e) {
+    e.preventDefault()
+    const q = question.trim()
+    if (!q || asking) return
+    setAsking(true); setQuestion('')
+    try {
+      // The server reads the last four turns (and refuses more than 20)
+      const history = turns.filter(t => !t.error).slice(-4).map(t => ({ question: t.question, answer: t.answer }))
+      const r = await askReport(reportId, q, history)
+      setTurns(prev => [...prev, { question: q, answer: r.answer, mode: r.mode, citations: r.citations, budgetExceeded: r.budgetExceeded }])
+    } catch (err) {
+      setTurns(prev => [...prev, { question: q, error: err.message || String(err) }])
+    } finally {
+      setAsking(false)
+    }
+  }
+
+  function onAnswerClick(e, turn) {
+    const a = e.target.closest('a')
+    const href = a?.getAttribute('href') || ''
+    if (!href.startsWith(CITE_PREFIX)) return
+    e.preventDefault()
+    const c = turn.citations[Number(href.slice(CITE_PREFIX.length))]
+    if (c) onCite(c.sha, c.repo)
+  }
+
+  return (
+    <div>
+      {turns.length === 0 && (
+        <div className="small">
+          Ask about the commits in this report. Try: {EXAMPLES.map(x => (
+            <button key={x} type="button" className="badge" onClick={() => setQuestion(x)} style={{ cursor: 'pointer' }}>{x}</button>
+          ))}
+        </div>
+      )}
+      {turns.map((t, i) => (
+        <div key={i} className="mt">
+          <div><b>Q:</b> {t.question}</div>
+          {t.error
+            ? <span className="badge" style={ERROR_BADGE}>Error: {t.error}</span>
+            : <>
+              <div onClick={e => onAnswerClick(e, t)} dangerouslySetInnerHTML={{ __html: renderMarkdown(linkCitations(t.answer, t.citations)) }} />
+              <div className="small">
+                {t.mode === 'search' && <span className="badge" style={t.budgetExceeded ? ERROR_BADGE : undefined}
+                  title={t.budgetExceeded ? `${t.budgetExceeded} These are the best keyword matches.` : 'No LLM is configured; these are the best keyword matches'}>
+                  {t.budgetExceeded ? 'search only · budget used up' : 'search only'}
+                </span>}
+                {t.citations.map(c => (
+                  <button key={`${c.repo || ''}@${c.sha}`} type="button" className="badge" style={{ cursor: 'pointer' }}
+                    title={[c.title, ...c.files].join('\n')} onClick={() => onCite(c.sha, c.repo)}>
+                    {c.repo ? `${c.repo} ` : ''}{c.sha.slice(0, 7)}{c.files.length ? ` · ${c.files.length} file${c.files.length > 1 ? 's' : ''}` : ''}
+                  </button>
+                ))}
+              </div>
+            </>}
+        </div>
+      ))}
+      <form onSubmit={onAsk} className="actions mt">
+        <input value={question} onChange={e => setQuestion(e.target.value)} placeholder="Ask a question about these changes…"
+          style={{ flex: 1 }} disabled={asking} maxLength={2000} />
+        <button type="submit" disabled={asking || !question.trim()}>{asking ? 'Thinking…' : 'Ask'}</button>
+        {turns.length > 0 && <button type="button" onClick={() => setTurns([])} disabled={asking}>Clear</button>}
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,186 @@
+import React, { useMemo } from 'react'
+
+// Query parameters of the commit list; the URL keeps them so a filtered view can be shared
+export const EMPTY_FILTERS = { q: '', author: '', type: '', risk: '', area: '', path: '', sort: 'report', group: '' }
+const FILTER_KEYS = ['q', 'author', 'type', 'risk', 'area', 'path']
+const RISK_ORDER = ['high', 'medium', 'low']
+const NO_AREA = '(no area)'
+const UNSUMMARIZED = 'unsummarized'
+
+const SORT_OPTIONS = [
+  { value: 'report', label: 'Report order' },
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'risk', label: 'Highest risk first' },
+  { value: 'churn', label: 'Most lines changed' },
+  { value: 'files', label: 'Most files' }
+]
+const GROUP_LABELS = { none: 'No grouping', repo: 'Group by repository', pr: 'Group by pull request', type: 'Group by type', area: 'Group by area', author: 'Group by author', day: 'Group by day' }
+
+const typeOf = (c) => (c.ai.unsummarized ? UNSUMMARIZED : c.ai.change_type || 'other')
+const riskOf = (c) => (c.ai.unsummarized ? UNSUMMARIZED : c.ai.risk)
+const churnOf = (c) => c.stats.additions + c.stats.deletions
+const pad = (n) => String(n).padStart(2, '0')
+// Local calendar day, like the dates on the commit cards
+const dayOf = (c) => {
+  const d = new Date(c.date)
+  return Number.isNaN(d.getTime()) ? 'unknown' : `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+export function readFilters(params) {
+  const f = { ...EMPTY_FILTERS }
+  for (const key of Object.keys(EMPTY_FILTERS)) if (params.get(key)) f[key] = params.get(key)
+  return f
+}
+
+// Defaults are left out, so an unfiltered report keeps a short permalink
+export function writeFilters(params, filters) {
+  for (const [key, value] of Object.entries(filters)) {
+    if (value && value !== EMPTY_FILTERS[key]) params.set(key, value)
+    else params.delete(key)
+  }
+}
+
+export const filtersActive = (filters) => FILTER_KEYS.some(key => filters[key])
+
+// `*` and `?` make the path filter a glob (`**` crosses directories; without a `/` it matches
+// the file name); otherwise it is a substring of the path
+function pathMatcher(pattern) {
+  const p = pattern.trim().toLowerCase()
+  if (!/[*?]/.test(p)) return (name) => name.toLowerCase().includes(p)
+  const source = p.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*\*\/?|\*|\?/g, m => (m === '?' ? '[^/]' : m === '*' ? '[^/]*' : '.*'))
+  const re = new RegExp(`^${source}$`)
+  const baseName = !p.includes('/')
+  return (name) => re.test(baseName ? name.toLowerCase().split('/').pop() : name.toLowerCase())
+}
+
+/** First file of `c` the path filter selects, so the diff viewer can open it. */
+export function firstMatchingFile(c, filters) {
+  if (!filters.path.trim()) return null
+  const match = pathMatcher(filters.path)
+  return c.files.find(f => match(f.filename))?.filename || null
+}
+
+/** Commits matching every set filter; the search needs all its words in the message, summary or file names. */
+export function filterCommits(commits, filters) {
+  const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean)
+  const matchPath = filters.path.trim() ? pathMatcher(filters.path) : null
+  return commits.filter(c => {
+    if (filters.author && c.author !== filters.author) return false
+    if (filters.type && typeOf(c) !== filters.type) return false
+    if (filters.risk && riskOf(c) !== filters.risk) return false
+    if (filters.area && !(c.ai.areas || []).includes(filters.area)) return false
+    if (matchPath && !c.files.some(f => matchPath(f.filename))) return false
+    if (words.length) {
+      const text = [c.message, c.ai.summary, ...c.files.map(f => f.filename)].join('\n').toLowerCase()
+      if (!words.every(w => text.includes(w))) return false
+    }
+    return true
+  })
+}
+
+export function sortCommits(commits, sort) {
+  const time = (c) => new Date(c.date).getTime() || 0
+  const risk = (c) => { const i = RISK_ORDER.indexOf(c.ai.risk); return c.ai.unsummarized || i === -1 ? RISK_ORDER.length : i }
+  const compare = {
+    newest: (a, b) => time(b) - time(a),
+    oldest: (a, b) => time(a) - time(b),
+    risk: (a, b) => risk(a) - risk(b) || churnOf(b) - churnOf(a),
+    churn: (a, b) => churnOf(b) - churnOf(a),
+    files: (a, b) => b.files.length - a.files.length || churnOf(b) - churnOf(a)
+  }[sort]
+  return compare ? [...commits].sort(compare) : commits
+}
+
+/**
+ * Commits grouped by type, area, author or day (each group keeps the sort order). A commit
+ * goes under its first area only, so it is never shown twice.
+ * @returns {{ key: string, commits: object[] }[]}
+ */
+export function groupCommits(commits, group) {
+  const keyOf = { type: typeOf, area: c => c.ai.areas?.[0] || NO_AREA, author: c => c.author, day: dayOf }[group]
+  const groups = new Map()
+  for (const c of commits) {
+    const key = keyOf(c)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(c)
+  }
+  const list = [...groups.entries()].map(([key, list]) => ({ key, commits: list }))
+  return group === 'day'
+    ? list.sort((a, b) => b.key.localeCompare(a.key))
+    : list.sort((a, b) => b.commits.length - a.commits.length || a.key.localeCompare(b.key))
+}
+
+function countBy(commits, keysOf) {
+  const counts = new Map()
+  for (const c of commits) for (const k of keysOf(c)) counts.set(k, (counts.get(k) || 0) + 1)
+  return counts
+}
+
+/**
+ * Search box, filters, sort and grouping above a report's commit cards. `groups` lists the
+ * grouping options that make sense for the report; `group` is the one in effect.
+ */
+export default function CommitFilters({ commits, shown, filters, onChange, groups, group }) {
+  const options = useMemo(() => {
+    const sorted = (counts) => [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    const risks = countBy(commits, c => [riskOf(c)])
+    return {
+      author: sorted(countBy(commits, c => [c.author])),
+      type: sorted(countBy(commits, c => [typeOf(c)])),
+      risk: [...RISK_ORDER, UNSUMMARIZED].filter(r => risks.has(r)).map(r => [r, risks.get(r)]),
+      area: sorted(countBy(commits, c => c.ai.areas || []))
+    }
+  }, [commits])
+  const set = (key) => (e) => onChange({ ...filters, [key]: e.target.value })
+  const select = (key, label) => (
+    <div>
+      <label>{label}</label>
+      <select value={filters[key]} onChange={set(key)}>
+        <option value="">All</option>
+        {/* Keep a value from the URL selectable even when this report has no such commits */}
+        {filters[key] && !options[key].some(([v]) => v === filters[key]) && <option value={filters[key]}>{filters[key]} (0)</option>}
+        {options[key].map(([v, n]) => <option key={v} value={v}>{v} ({n})</option>)}
+      </select>
+    </div>
+  )
+
+  return (
+    <div>
+      <div className="row">
+        <div>
+          <label>Search</label>
+          <input type="search" value={filters.q} onChange={set('q')} placeholder="Message, summary or file name" />
+        </div>
+        <div>
+          <label>Path</label>
+          <input value={filters.path} onChange={set('path')} placeholder="src/auth or *.test.js" />
+        </div>
+        {select('author', 'Author')}
+        {select('type', 'Change type')}
+        {select('risk', 'Risk')}
+        {select('area', 'Area')}
+        <div>
+          <label>Sort</label>
+          <select value={filters.sort} onChange={set('sort')}>
+            {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label>Group</label>
+          <select value={group} onChange={set('group')}>
+            {groups.map(g => <option key={g} value={g}>{GROUP_LABELS[g]}</option>)}
+          </select>
+        </div>
+      </div>
+      <div className="small mt">
+        Showing <span className="badge">{shown} of {commits.length}</span>
+        {filtersActive(filters) && (
+          <button type="button" onClick={() => onChange({ ...EMPTY_FILTERS, sort: filters.sort, group: filters.group })} style={{ width: 'auto' }}>
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
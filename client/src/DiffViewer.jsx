@@ -0,0 +1,227 @@
+import React, { useEffect, useMemo, useState } from 'react'
+
+const VIEW_KEY = 'diffView'       // unified or split, remembered across reports
+const MAX_LINES = 1500            // diff lines rendered per file before "Show all"
+const ADD_BG = 'rgba(46, 204, 113, 0.12)'
+const DEL_BG = 'rgba(231, 76, 60, 0.14)'
+const TOKEN_COLORS = { keyword: '#c792ea', string: '#c3e88d', comment: 'var(--muted)', number: '#f78c6c' }
+const CELL = { padding: '0 8px', whiteSpace: 'pre', verticalAlign: 'top' }
+const LINE_NO = { ...CELL, color: 'var(--muted)', textAlign: 'right', userSelect: 'none', width: '1%' }
+
+// Keywords per language; highlighting is per line, so a block comment spanning lines is only colored on its first line
+const C_KEYWORDS = 'break case catch class const continue default do else enum extends false finally for if new null return static switch this throw true try void while'
+const LANGUAGES = {
+  js: { comment: '//', block: true, keywords: `${C_KEYWORDS} async await delete export from function import in instanceof let of super typeof undefined var yield` },
+  ts: { comment: '//', block: true, keywords: `${C_KEYWORDS} abstract as async await declare export from function implements import in interface keyof let namespace of private protected public readonly type typeof undefined var` },
+  py: { comment: '#', keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield' },
+  rb: { comment: '#', keywords: 'begin class def do else elsif end ensure false for if in module next nil not or require rescue return self then true unless until when while yield' },
+  go: { comment: '//', block: true, keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var' },
+  java: { comment: '//', block: true, keywords: `${C_KEYWORDS} abstract boolean double extends final float fun implements import instanceof int interface long override package private protected public super val var` },
+  c: { comment: '//', block: true, keywords: `${C_KEYWORDS} auto char double extern float goto include int long namespace nullptr private public short signed sizeof struct template typedef union unsigned using virtual` },
+  rust: { comment: '//', block: true, keywords: 'as async await break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while' },
+  sh: { comment: '#', keywords: 'case do done elif else esac export fi for function if in local readonly return then until while' },
+  yaml: { comment: '#', keywords: 'true false null yes no on off' },
+  css: { block: true, keywords: 'important inherit initial none auto' },
+  sql: { comment: '--', keywords: 'add alter and as asc by create default delete desc drop exists from group having if in index insert into join key left not null on or order primary references select set table unique update values where' },
+  json: { keywords: 'true false null' }
+}
+const EXTENSIONS = {
+  js: 'js', jsx: 'js', mjs: 'js', cjs: 'js', ts: 'ts', tsx: 'ts', py: 'py', rb: 'rb', go: 'go',
+  java: 'java', kt: 'java', cs: 'java', scala: 'java', c: 'c', h: 'c', cc: 'c', cpp: 'c', hpp: 'c', rs: 'rust',
+  sh: 'sh', bash: 'sh', zsh: 'sh', yml: 'yaml', yaml: 'yaml', toml: 'yaml', css: 'css', scss: 'css', sql: 'sql', json: 'json'
+}
+
+const languageOf = (filename) => LANGUAGES[EXTENSIONS[filename.split('.').pop().toLowerCase()]] || null
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const tokenizers = new Map()
+function tokenizerFor(lang) {
+  if (!tokenizers.has(lang)) {
+    const parts = [
+      ...(lang.comment ? [['comment', `${escapeRe(lang.comment)}.*`]] : []),
+      ...(lang.block ? [['comment', '\\/\\*.*?(?:\\*\\/|$)']] : []),
+      ['string', '"(?:[^"\\\\]|\\\\.)*"?|\'(?:[^\'\\\\]|\\\\.)*\'?|`(?:[^`\\\\]|\\\\.)*`?'],
+      ['number', '\\b\\d[\\w.]*'],
+      ['word', '[A-Za-z_$][\\w$]*']
+    ]
+    tokenizers.set(lang, {
+      re: new RegExp(parts.map(([, source]) => `(${source})`).join('|'), 'g'),
+      kinds: parts.map(([kind]) => kind),
+      keywords: new Set(lang.keywords.split(' '))
+    })
+  }
+  return tokenizers.get(lang)
+}
+
+/** One line of code as colored spans; unknown languages stay plain text. */
+function highlight(text, lang) {
+  if (!lang || !text) return text
+  const { re, kinds, keywords } = tokenizerFor(lang)
+  const out = []
+  let last = 0
+  for (const m of text.matchAll(re)) {
+    const token = m[0]
+    let kind = kinds[m.slice(1).findIndex(g => g !== undefined)]
+    if (kind === 'word') kind = keywords.has(token) ? 'keyword' : null
+    if (!kind) continue
+    if (m.index > last) out.push(text.slice(last, m.index))
+    out.push(<span key={m.index} style={{ color: TOKEN_COLORS[kind] }}>{token}</span>)
+    last = m.index + token.length
+  }
+  if (last < text.length) out.push(text.slice(last))
+  return out
+}
+
+/**
+ * Hunks of a unified diff (GitHub's `patch` field): { header, lines: [{ type, text, oldNo, newNo }] }
+ * with type add, del, ctx or meta ("\ No newline at end of file").
+ */
+export function parsePatch(patch) {
+  const hunks = []
+  let hunk = null, oldNo = 0, newNo = 0
+  for (const line of String(patch || '').split('\n')) {
+    const m = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/)
+    if (m) {
+      hunk = { header: line, lines: [] }
+      hunks.push(hunk)
+      oldNo = Number(m[1]); newNo = Number(m[2])
+    } else if (!hunk) {
+      continue
+    } else if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', text: line.slice(1), newNo: newNo++ })
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', text: line.slice(1), oldNo: oldNo++ })
+    } else if (line.startsWith('\\')) {
+      hunk.lines.push({ type: 'meta', text: line })
+    } else {
+      hunk.lines.push({ type: 'ctx', text: line.slice(1), oldNo: oldNo++, newNo: newNo++ })
+    }
+  }
+  return hunks
+}
+
+// Side-by-side rows: a run of deletions is paired line by line with the additions after it
+function splitRows(lines) {
+  const rows = []
+  for (let i = 0; i < lines.length;) {
+    if (lines[i].type !== 'del' && lines[i].type !== 'add') { rows.push({ left: lines[i], right: lines[i] }); i++; continue }
+    const dels = [], adds = []
+    while (lines[i]?.type === 'del') dels.push(lines[i++])
+    while (lines[i]?.type === 'add') adds.push(lines[i++])
+    for (let k = 0; k < Math.max(dels.length, adds.length); k++) rows.push({ left: dels[k] || null, right: adds[k] || null })
+  }
+  return rows
+}
+
+const background = (line) => (line?.type === 'add' ? ADD_BG : line?.type === 'del' ? DEL_BG : undefined)
+const sign = (line) => (line.type === 'add' ? '+' : line.type === 'del' ? '-' : ' ')
+
+function UnifiedLines({ lines, lang }) {
+  return lines.map((l, i) => l.type === 'meta'
+    ? <tr key={i}><td colSpan={3} style={{ ...CELL, color: 'var(--muted)' }}>{l.text}</td></tr>
+    : (
+      <tr key={i} style={{ background: background(l) }}>
+        <td style={LINE_NO}>{l.oldNo ?? ''}</td>
+        <td style={LINE_NO}>{l.newNo ?? ''}</td>
+        <td style={CELL}>{sign(l)}{highlight(l.text, lang)}</td>
+      </tr>
+    ))
+}
+
+function SplitLines({ lines, lang }) {
+  const side = (l, no) => l
+    ? <><td style={{ ...LINE_NO, background: background(l) }}>{l[no] ?? ''}</td><td style={{ ...CELL, width: '49%', background: background(l) }}>{l.type === 'meta' ? l.text : highlight(l.text, lang)}</td></>
+    : <><td style={LINE_NO} /><td style={{ ...CELL, width: '49%' }} /></>
+  return splitRows(lines).map((r, i) => <tr key={i}>{side(r.left, 'oldNo')}{side(r.right, 'newNo')}</tr>)
+}
+
+function FileDiff({ file, view }) {
+  const hunks = useMemo(() => parsePatch(file.patch), [file.patch])
+  const [folded, setFolded] = useState(() => new Set())
+  const [showAll, setShowAll] = useState(false)
+  const lang = languageOf(file.filename)
+  const total = hunks.reduce((n, h) => n + h.lines.length, 0)
+  const toggle = (i) => setFolded(prev => { const next = new Set(prev); next.has(i) ? next.delete(i) : next.add(i); return next })
+
+  // Whole hunks are rendered until MAX_LINES; the rest waits for "Show all"
+  let budget = showAll ? Infinity : MAX_LINES
+  const visible = hunks.filter(h => { const fits = budget > 0; budget -= h.lines.length; return fits })
+  if (!hunks.length) return <div className="small mt">No textual diff (binary file, rename only, or too large for the API).</div>
+  return (
+    <>
+      <div className="actions small mt" style={{ alignItems: 'center' }}>
+        <span>{hunks.length} hunk{hunks.length > 1 ? 's' : ''} · {total} lines</span>
+        <button type="button" className="badge" style={{ width: 'auto', cursor: 'pointer' }} onClick={() => setFolded(new Set(hunks.map((_, i) => i)))}>Fold all</button>
+        <button type="button" className="badge" style={{ width: 'auto', cursor: 'pointer' }} onClick={() => setFolded(new Set())}>Expand all</button>
+      </div>
+      <div style={{ overflowX: 'auto', marginTop: 8, border: '1px solid var(--border)', borderRadius: 10, background: '#0b1020' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%', fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace', fontSize: 12 }}>
+          {visible.map((h, i) => (
+            <tbody key={i}>
+              <tr onClick={() => toggle(i)} style={{ cursor: 'pointer', background: '#111a2e' }} title={folded.has(i) ? 'Expand hunk' : 'Fold hunk'}>
+                <td colSpan={view === 'split' ? 4 : 3} style={{ ...CELL, color: 'var(--accent)' }}>
+                  {folded.has(i) ? '▸' : '▾'} {h.header}{folded.has(i) ? `  (${h.lines.length} lines folded)` : ''}
+                </td>
+              </tr>
+              {!folded.has(i) && (view === 'split' ? <SplitLines lines={h.lines} lang={lang} /> : <UnifiedLines lines={h.lines} lang={lang} />)}
+            </tbody>
+          ))}
+        </table>
+      </div>
+      {visible.length < hunks.length && (
+        <button type="button" className="mt" onClick={() => setShowAll(true)} style={{ width: 'auto' }}>
+          Show all {total} lines ({hunks.length - visible.length} more hunk{hunks.length - visible.length > 1 ? 's' : ''})
+        </button>
+      )}
+    </>
+  )
+}
+
+function Viewer({ files, initialFile }) {
+  const pick = (name) => (files.some(f => f.filename === name && f.patch) ? name
+    : (files.find(f => f.patch && !f.skipped) || files.find(f => f.patch) || files[0])?.filename)
+  const [selected, setSelected] = useState(() => pick(initialFile))
+  const [view, setView] = useState(() => localStorage.getItem(VIEW_KEY) || 'unified')
+  useEffect(() => { if (initialFile) setSelected(pick(initialFile)) }, [initialFile])
+  const file = files.find(f => f.filename === selected)
+
+  function onView(value) {
+    setView(value)
+    localStorage.setItem(VIEW_KEY, value)
+  }
+
+  if (!file) return <div className="small">No files.</div>
+  return (
+    <div className="mt">
+      <div className="actions" style={{ alignItems: 'center' }}>
+        <select value={selected} onChange={e => setSelected(e.target.value)} style={{ flex: 1, width: 'auto' }}>
+          {files.map(f => (
+            <option key={f.filename} value={f.filename} disabled={!f.patch}>
+              {f.filename} (+{f.additions}/-{f.deletions}){f.skipped ? ' · filtered' : ''}{f.patch ? '' : ' · no diff'}
+            </option>
+          ))}
+        </select>
+        <select value={view} onChange={e => onView(e.target.value)} style={{ width: 'auto' }}>
+          <option value="unified">Unified</option>
+          <option value="split">Split</option>
+        </select>
+      </div>
+      {file.skipped && <div className="small mt">Hidden from the LLM by path filters ({file.skipReason}).</div>}
+      <FileDiff key={file.filename} file={file} view={view} />
+    </div>
+  )
+}
+
+/**
+ * Per-file diff of a commit card, with unified/split views, syntax highlighting and hunk folding.
+ * Nothing is rendered until the section is opened; `initialFile` picks the file shown first.
+ */
+export default function DiffViewer({ files, initialFile }) {
+  const [open, setOpen] = useState(false)
+  return (
+    <details className="mt" onToggle={e => setOpen(e.currentTarget.open)}>
+      <summary>Diff ({files.filter(f => f.patch).length} of {files.length} files)</summary>
+      {open && <Viewer files={files} initialFile={initialFile} />}
+    </details>
+  )
+}
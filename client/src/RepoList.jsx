@@ -0,0 +1,59 @@
+import React from 'react'
+import { fetchBranches } from './api.js'
+
+const ERROR_BADGE = { background:'#1e0f0f', borderColor:'#7a1f1f' }
+
+// One row per repository: { repo, branch, defaultBranch, branches (null until checked), checking, error }
+export const emptyRepoEntry = (repo = '', branch = '') => ({ repo, branch, defaultBranch: '', branches: null, checking: false, error: '' })
+
+/** True when every filled-in row was checked and at least one row is filled in. */
+export function repoListReady(entries) {
+  const filled = entries.filter(e => e.repo.trim())
+  return filled.length > 0 && filled.every(e => e.branches && !e.error)
+}
+
+/**
+ * Repository list for multi-repo reports: each row is validated like the single repo field
+ * and gets its own branch select (empty means the repo's default branch).
+ */
+export default function RepoList({ entries, onChange, allowLocalRepos, maxRepos }) {
+  const update = (i, patch) => onChange(list => list.map((e, j) => (j === i ? { ...e, ...patch } : e)))
+
+  async function check(i, value) {
+    if (!value.trim()) return
+    update(i, { checking: true, error: '' })
+    try {
+      const info = await fetchBranches(value.trim())
+      onChange(list => list.map((e, j) => (j === i && e.repo === value
+        ? { ...e, checking: false, defaultBranch: info.defaultBranch || '', branches: info.branches, branch: info.branches.includes(e.branch) ? e.branch : '' }
+        : e)))
+    } catch (err) {
+      update(i, { checking: false, branches: null, error: err.message || 'Repo not accessible' })
+    }
+  }
+
+  return (
+    <div>
+      {entries.map((e, i) => (
+        <div key={i} className="actions" style={{ alignItems: 'center', marginBottom: 6 }}>
+          <input value={e.repo} style={{ flex: 2 }}
+            onChange={ev => update(i, { repo: ev.target.value, branches: null, error: '' })}
+            onBlur={ev => check(i, ev.target.value)}
+            placeholder={allowLocalRepos ? 'owner/repo or /path/to/clone' : 'owner/repo'} />
+          <select value={e.branch} onChange={ev => update(i, { branch: ev.target.value })} disabled={!e.branches} style={{ flex: 1 }}>
+            <option value="">{e.defaultBranch ? `Default (${e.defaultBranch})` : 'Default branch'}</option>
+            {(e.branches || []).map(b => <option key={b} value={b}>{b}</option>)}
+          </select>
+          {e.checking && <span className="badge">Checking…</span>}
+          {e.error && <span className="badge" style={ERROR_BADGE} title={e.error}>Error</span>}
+          <button type="button" onClick={() => onChange(list => list.length > 1 ? list.filter((_, j) => j !== i) : [emptyRepoEntry()])}
+            title="Remove this repository">✕</button>
+        </div>
+      ))}
+      <button type="button" onClick={() => onChange(list => [...list, emptyRepoEntry()])}
+        disabled={maxRepos != null && entries.length >= maxRepos}>
+        Add repository
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from 'react'
+import { fetchSchedules, saveSchedule, deleteSchedule, runScheduleNow } from './api.js'
+
+const ANY_BRANCH = '__ANY__'
+const RUN_POLL_MS = 5000
+const CRON_PRESETS = [
+  { label: 'Every weekday at 09:00', cron: '0 9 * * 1-5' },
+  { label: 'Every Monday at 09:00', cron: '0 9 * * 1' },
+  { label: 'Every day at 09:00', cron: '0 9 * * *' },
+  { label: 'First of the month at 09:00', cron: '0 9 1 * *' }
+]
+const FORMATS = [{ value: 'md', label: 'Markdown' }, { value: 'html', label: 'HTML' }]
+const ERROR_BADGE = { background:'#1e0f0f', borderColor:'#7a1f1f' }
+const EMPTY_FORM = {
+  id: null, name: '', cron: '0 9 * * 1', days: 7, endAt: 'now', enabled: true, params: null, useCurrent: true,
+  webhookUrl: '', webhookFormat: 'md', emailTo: '', emailFormat: 'html', directory: '', directoryFormat: 'md', saveToDisk: false
+}
+
+function formFromSchedule(s) {
+  const target = (type) => s.targets.find(t => t.type === type)
+  const webhook = target('webhook'), email = target('email'), directory = target('directory')
+  return {
+    ...EMPTY_FORM,
+    id: s.id, name: s.name, cron: s.cron, days: s.window.days, endAt: s.window.endAt, enabled: s.enabled,
+    params: s.params, useCurrent: false,
+    webhookUrl: webhook?.url || '', webhookFormat: webhook?.format || 'md',
+    emailTo: email?.to.join(', ') || '', emailFormat: email?.format || 'html',
+    saveToDisk: Boolean(directory), directory: directory?.path || '', directoryFormat: directory?.format || 'md'
+  }
+}
+
+function describeRepos(p) {
+  const branch = p.branch === ANY_BRANCH ? ' (any branch)' : p.branch ? ` (${p.branch})` : ''
+  if (p.org) return `${p.org}${p.repoFilter?.length ? ` [${p.repoFilter.join(', ')}]` : ''}${p.topic ? ` topic:${p.topic}` : ''}${branch}`
+  if (p.repos) return p.repos.map(r => `${r.repo}${r.branch ? ` (${r.branch})` : ''}`).join(', ')
+  return `${p.repo}${branch}`
+}
+
+function describeWindow({ days, endAt }) {
+  return `Last ${days} day${days === 1 ? '' : 's'}${endAt === 'midnight' ? ' (whole days)' : ''}`
+}
+
+function runBadge(run) {
+  if (!run) return <span className="small">Never run</span>
+  const when = new Date(run.finishedAt || run.startedAt).toLocaleString()
+  const deliveries = run.deliveries.map(d => `${d.type} → ${d.target}: ${d.ok ? 'ok' : d.error}`).join('\n')
+  return (
+    <span className="badge" style={run.status === 'completed' || run.status === 'running' ? undefined : ERROR_BADGE}
+      title={[run.error, deliveries].filter(Boolean).join('\n') || undefined}>
+      {run.status}{run.manual ? ' (manual)' : ''} · {when}
+    </span>
+  )
+}
+
+/**
+ * Scheduled reports: list, create/edit (from the current analysis settings), run now, delete.
+ * The server runs each schedule on its cron expression and delivers the report to its targets.
+ */
+export default function Schedules({ cfg, buildPayload, canSchedule, onOpenReport }) {
+  const [schedules, setSchedules] = useState([])
+  const [form, setForm] = useState(null)   // null when the editor is closed
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const login = cfg.auth?.user?.login
+  const signedOut = cfg.auth?.enabled && !login
+  const running = schedules.some(s => s.lastRun?.status === 'running')
+
+  async function load() {
+    if (signedOut) { setSchedules([]); return }
+    try {
+      setSchedules(await fetchSchedules())
+    } catch (err) {
+      console.error(err)
+    }
+  }
+  useEffect(() => { load() }, [login, signedOut])
+  // Runs take a while; refresh until the last one settles so its status and deliveries show up
+  useEffect(() => {
+    if (!running) return
+    const t = setInterval(load, RUN_POLL_MS)
+    return () => clearInterval(t)
+  }, [running])
+
+  const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }))
+
+  function currentParams() {
+    const { since, until, mode, ...params } = buildPayload()
+    return params
+  }
+
+  async function onSave(e) {
+    e.preventDefault()
+    setError(''); setBusy(true)
+    try {
+      const targets = [
+        ...(form.webhookUrl.trim() ? [{ type: 'webhook', url: form.webhookUrl.trim(), format: form.webhookFormat }] : []),
+        ...(form.emailTo.trim() ? [{ type: 'email', to: form.emailTo, format: form.emailFormat }] : []),
+        ...(form.saveToDisk ? [{ type: 'directory', path: form.directory.trim(), format: form.directoryFormat }] : [])
+      ]
+      await saveSchedule(form.id, {
+        name: form.name, cron: form.cron, enabled: form.enabled,
+        window: { days: Number(form.days), endAt: form.endAt },
+        params: form.useCurrent ? currentParams() : form.params,
+        targets
+      })
+      setForm(null)
+      load()
+    } catch (err) {
+      setError(err.message || String(err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function onRun(id) {
+    setError('')
+    try {
+      await runScheduleNow(id)
+      load()
+    } catch (err) {
+      setError(err.message || String(err))
+    }
+  }
+
+  async function onToggle(s) {
+    try {
+      await saveSchedule(s.id, { enabled: !s.enabled })
+      load()
+    } catch (err) {
+      setError(err.message || String(err))
+    }
+  }
+
+  async function onDelete(id) {
+    if (!window.confirm('Delete this schedule? Reports it already produced are kept.')) return
+    try {
+      await deleteSchedule(id)
+      if (form?.id === id) setForm(null)
+      load()
+    } catch (err) {
+      setError(err.message || String(err))
+    }
+  }
+
+  return (
+    <div className="card mt">
+      <div className="actions" style={{ alignItems: 'center' }}>
+        <h2 style={{ margin: 0 }}>Scheduled Reports</h2>
+        <div style={{flex:1}} />
+        <button type="button" style={{ width: 'auto' }} disabled={signedOut || !canSchedule || Boolean(form)}
+          title={canSchedule ? 'Save the current repositories, branches, filters and options as a recurring report' : 'Pick valid repositories in date-range mode first'}
+          onClick={() => { setError(''); setForm({ ...EMPTY_FORM }) }}>
+          New schedule
+        </button>
+      </div>
+      {error && <div className="mt"><span className="badge" style={ERROR_BADGE}>Error: {error}</span></div>}
+
+      {form && (
+        <form onSubmit={onSave} className="card mt" style={{ padding: '12px' }}>
+          <div className="row">
+            <div>
+              <label>Name</label>
+              <input value={form.name} onChange={set('name')} placeholder="Weekly changes" required />
+            </div>
+            <div>
+              <label>Schedule (cron, server time)</label>
+              <input value={form.cron} onChange={set('cron')} list="cron-presets" placeholder="0 9 * * 1" required />
+              <datalist id="cron-presets">
+                {CRON_PRESETS.map(p => <option key={p.cron} value={p.cron}>{p.label}</option>)}
+              </datalist>
+            </div>
+            <div>
+              <label>Window (days back)</label>
+              <input type="number" min="1" max="366" value={form.days} onChange={set('days')} />
+            </div>
+            <div>
+              <label>Window ends</label>
+              <select value={form.endAt} onChange={set('endAt')}>
+                <option value="now">When the run starts</option>
+                <option value="midnight">At midnight (whole days)</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="row mt">
+            <div>
+              <label>Outgoing webhook URL</label>
+              <input value={form.webhookUrl} onChange={set('webhookUrl')} placeholder="https://hooks.slack.com/services/…" />
+            </div>
+            <div>
+              <label>Webhook format</label>
+              <select value={form.webhookFormat} onChange={set('webhookFormat')}>
+                {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label>Email recipients{cfg.schedules?.email ? '' : ' (SMTP not configured)'}</label>
+              <input value={form.emailTo} onChange={set('emailTo')} placeholder="team@example.com, lead@example.com"
+                disabled={!cfg.schedules?.email && !form.emailTo} />
+            </div>
+            <div>
+              <label>Email format</label>
+              <select value={form.emailFormat} onChange={set('emailFormat')}>
+                {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="row mt">
+            <div>
+              <label>
+                <input type="checkbox" checked={form.saveToDisk} onChange={set('saveToDisk')} style={{ width: 'auto', marginRight: 6 }} />
+                Save to a directory on the server
+              </label>
+              <input value={form.directory} onChange={set('directory')} disabled={!form.saveToDisk} placeholder="sub-folder of SCHEDULE_OUTPUT_DIR (optional)" />
+            </div>
+            <div>
+              <label>File format</label>
+              <select value={form.directoryFormat} onChange={set('directoryFormat')} disabled={!form.saveToDisk}>
+                {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label>Analysis settings</label>
+              {form.id ? (
+                <label>
+                  <input type="checkbox" checked={form.useCurrent} onChange={set('useCurrent')} disabled={!canSchedule} style={{ width: 'auto', marginRight: 6 }} />
+                  Replace with the current form settings
+                </label>
+              ) : (
+                <div className="small">Repository, branch, filters and options come from the form above.</div>
+              )}
+            </div>
+            <div>
+              <label>
+                <input type="checkbox" checked={form.enabled} onChange={set('enabled')} style={{ width: 'auto', marginRight: 6 }} />
+                Enabled
+              </label>
+            </div>
+          </div>
+
+          <div className="actions mt">
+            <button type="submit" disabled={busy}>{busy ? 'Saving…' : form.id ? 'Save changes' : 'Create schedule'}</button>
+            <button type="button" onClick={() => setForm(null)} disabled={busy}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {schedules.length === 0 ? (
+        <div className="small mt">No scheduled reports. Set up an analysis above, then save it as a schedule.</div>
+      ) : (
+        <table className="table mt">
+          <thead><tr><th>Name</th><th>Repo</th><th>Window</th><th>Schedule</th><th>Next run</th><th>Last run</th><th /></tr></thead>
+          <tbody>
+            {schedules.map(s => (
+              <tr key={s.id} style={s.enabled ? undefined : { opacity: 0.6 }}>
+                <td>{s.name}</td>
+                <td>{describeRepos(s.params)}</td>
+                <td>{describeWindow(s.window)}</td>
+                <td><code>{s.cron}</code></td>
+                <td>{s.enabled ? (s.nextRunAt ? new Date(s.nextRunAt).toLocaleString() : '—') : 'Disabled'}</td>
+                <td>
+                  {runBadge(s.lastRun)}
+                  {s.lastRun?.reportId && <>{' '}<a href="#" onClick={e => { e.preventDefault(); onOpenReport(s.lastRun.reportId) }}>Open</a></>}
+                </td>
+                <td style={{ whiteSpace: 'nowrap' }}>
+                  <button type="button" onClick={() => onRun(s.id)} disabled={s.lastRun?.status === 'running'}>Run now</button>{' '}
+                  <button type="button" onClick={() => { setError(''); setForm(formFromSchedule(s)) }}>Edit</button>{' '}
+                  <button type="button" onClick={() => onToggle(s)}>{s.enabled ? 'Disable' : 'Enable'}</button>{' '}
+                  <button type="button" onClick={() => onDelete(s.id)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+import React from 'react'
+
+const ERROR_BADGE = { background:'#1e0f0f', borderColor:'#7a1f1f' }
+const CHART_WIDTH = 220
+const CHART_HEIGHT = 56
+const BAR_GAP = 4
+
+const pct = (share) => `${Math.round(share * 1000) / 10}%`
+const signed = (v, unit = '') => `${v > 0 ? '+' : ''}${v}${unit}`
+
+// The compared metrics, in the order of the server's trend text; `points` deltas are shares
+const METRICS = [
+  { key: 'commits', label: 'Commits', format: v => String(v) },
+  { key: 'churn', label: 'Churn (lines +/-)', format: v => v.toLocaleString() },
+  { key: 'fixFeatureRatio', label: 'Fix/feature ratio', format: v => String(v) },
+  { key: 'highRiskShare', label: 'High-risk share', format: pct, points: true, worseUp: true }
+]
+
+const day = (iso) => String(iso || '').slice(0, 10)
+
+// One bar per period, oldest left; the current period is drawn in the accent color
+function BarChart({ periods, metric }) {
+  const values = periods.map(p => p.metrics[metric.key])
+  const max = Math.max(...values.filter(v => v != null), 0) || 1
+  const width = (CHART_WIDTH - BAR_GAP * (periods.length - 1)) / periods.length
+  return (
+    <svg width={CHART_WIDTH} height={CHART_HEIGHT} role="img" aria-label={`${metric.label} per period`}>
+      {periods.map((p, i) => {
+        const v = values[i]
+        const h = v == null ? 0 : Math.max(2, Math.round(v / max * (CHART_HEIGHT - 2)))
+        return (
+          <rect key={p.since} x={i * (width + BAR_GAP)} y={CHART_HEIGHT - h} width={width} height={h} rx="2"
+            fill={p.current ? 'var(--accent)' : 'var(--muted)'} opacity={p.current ? 1 : 0.55}>
+            <title>{`${day(p.since)} → ${day(p.until)}: ${v == null ? 'n/a' : metric.format(v)}`}</title>
+          </rect>
+        )
+      })}
+    </svg>
+  )
+}
+
+function DeltaBadge({ delta, metric }) {
+  if (!delta) return <span className="badge">n/a</span>
+  const text = metric.points
+    ? `${signed(Math.round(delta.change * 1000) / 10)} pts`
+    : `${signed(delta.change)}${delta.pct != null ? ` (${signed(delta.pct, '%')})` : ''}`
+  return <span className="badge" style={metric.worseUp && delta.change > 0 ? ERROR_BADGE : undefined}>{text}</span>
+}
+
+/**
+ * Period-over-period view of a report run with comparePeriods: a bar chart per metric over
+ * the compared periods, the change against the previous period, and newly active areas.
+ */
+export default function Trends({ trend }) {
+  const { periods, deltas } = trend
+  const current = periods[periods.length - 1]
+  const previous = periods[periods.length - 2]
+  return (
+    <div>
+      <div className="small">
+        Last {periods.length} periods of the same length (bars oldest → newest); changes compare {day(current.since)} → {day(current.until)} with {day(previous.since)} → {day(previous.until)}.
+      </div>
+      <div className="row mt">
+        {METRICS.map(m => (
+          <div key={m.key}>
+            <label>{m.label}</label>
+            <div className="small" style={{ marginBottom: 4 }}>
+              <span className="badge">{current.metrics[m.key] == null ? 'n/a' : m.format(current.metrics[m.key])}</span>
+              <DeltaBadge delta={deltas[m.key]} metric={m} />
+            </div>
+            <BarChart periods={periods} metric={m} />
+          </div>
+        ))}
+      </div>
+      <div className="small mt">
+        Newly active areas: {deltas.newAreas.length ? deltas.newAreas.map(a => <span key={a} className="badge">{a}</span>) : 'none'}
+        {deltas.inactiveAreas.length > 0 && <> · No longer active: {deltas.inactiveAreas.map(a => <span key={a} className="badge">{a}</span>)}</>}
+      </div>
+    </div>
+  )
+}
@@ -5,7 +5,41 @@ export async function analyzeChanges(payload) {
         body: JSON.stringify(payload),
     });
     if (!r.ok) throw new Error((await r.json()).error || r.statusText);
-    return r.json();
+    return r.json(); // { ok, jobId, status }
+}
+
+async function apiRequest(path, options) {
+    const r = await fetch(path, options);
+    const body = await r.json().catch(() => ({}));
+    if (!r.ok || !body.ok) {
+        const err = new Error(body?.error || r.statusText || "Request failed");
+        err.status = r.status;
+        throw err;
+    }
+    return body;
+}
+
+// Dry run: expected LLM calls, tokens and cost for an analyze payload. No LLM calls are made.
+export async function estimateRun(payload) {
+    const body = await apiRequest("/api/estimate", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(payload),
+    });
+    return body.estimate;
+}
+
+export async function fetchJob(id, { partial = false } = {}) {
+    const q = partial ? "?partial=1" : "";
+    return (await apiRequest(`/api/jobs/${encodeURIComponent(id)}${q}`)).job;
+}
+
+export async function cancelJob(id) {
+    return apiRequest(`/api/jobs/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+export async function resumeJob(id) {
+    return apiRequest(`/api/jobs/${encodeURIComponent(id)}/resume`, { method: "POST" }); // { ok, jobId, status }
 }
 
 export async function fetchConfig() {
@@ -14,6 +48,13 @@ export async function fetchConfig() {
     return r.json();
 }
 
+// GitHub sign-in (when the server has OAuth configured): a full-page redirect, not a fetch
+export const LOGIN_URL = "/api/auth/login";
+
+export async function logout() {
+    return apiRequest("/api/auth/logout", { method: "POST" });
+}
+
 export async function fetchBranches(repo) {
     const r = await fetch(
         `/api/repo/branches?repo=${encodeURIComponent(repo)}`
@@ -25,3 +66,67 @@ export async function fetchBranches(repo) {
     }
     return body; // { ok, repo, defaultBranch, private, branches: [] }
 }
+
+export async function fetchTags(repo) {
+    const r = await fetch(`/api/repo/tags?repo=${encodeURIComponent(repo)}`);
+    const body = await r.json().catch(() => ({}));
+    if (!r.ok || !body.ok) throw new Error(body?.error || r.statusText || "Failed to fetch tags");
+    return body.tags; // newest first
+}
+
+export async function fetchReports(repo) {
+    const q = repo ? `?repo=${encodeURIComponent(repo)}` : "";
+    return (await apiRequest(`/api/reports${q}`)).reports; // newest first, metadata only
+}
+
+export async function fetchReport(id) {
+    return (await apiRequest(`/api/reports/${encodeURIComponent(id)}`)).report; // { id, params, model, createdAt, result, … }
+}
+
+export async function deleteReport(id) {
+    return apiRequest(`/api/reports/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+export async function rerunReport(id) {
+    return apiRequest(`/api/reports/${encodeURIComponent(id)}/rerun`, { method: "POST" }); // { ok, jobId, status }
+}
+
+// Q&A over a saved report; `history` is the earlier turns, oldest first: [{ question, answer }]
+export async function askReport(id, question, history = []) {
+    return apiRequest(`/api/reports/${encodeURIComponent(id)}/ask`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ question, history }),
+    }); // { ok, answer, mode, citations, retrieved, usage? }
+}
+
+export function reportExportUrl(id, format) {
+    return `/api/reports/${encodeURIComponent(id)}/export?format=${encodeURIComponent(format)}`;
+}
+
+// For results that were never saved: the server renders the finished job's result.
+export function jobExportUrl(id, format) {
+    return `/api/jobs/${encodeURIComponent(id)}/export?format=${encodeURIComponent(format)}`;
+}
+
+// Scheduled reports: saved definitions the server runs on a cron schedule
+export async function fetchSchedules() {
+    return (await apiRequest("/api/schedules")).schedules; // newest first, each with lastRun
+}
+
+export async function saveSchedule(id, schedule) {
+    const body = await apiRequest(id ? `/api/schedules/${encodeURIComponent(id)}` : "/api/schedules", {
+        method: id ? "PUT" : "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(schedule),
+    });
+    return body.schedule;
+}
+
+export async function deleteSchedule(id) {
+    return apiRequest(`/api/schedules/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+export async function runScheduleNow(id) {
+    return apiRequest(`/api/schedules/${encodeURIComponent(id)}/run`, { method: "POST" }); // { ok, jobId, run }
+}
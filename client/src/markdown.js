@@ -0,0 +1,7 @@
+import { Marked } from 'marked'
+import { safeRenderer } from '../../shared/markdown.js'
+
+// Summaries and answers go into dangerouslySetInnerHTML; see shared/markdown.js
+const safeMarked = new Marked({ renderer: safeRenderer })
+
+export const renderMarkdown = (markdown) => safeMarked.parse(markdown || '')
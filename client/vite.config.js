@@ -4,6 +4,8 @@ import react from "@vitejs/plugin-react";
 export default defineConfig({
     plugins: [react()],
     server: {
+        // shared/ holds code the server uses too (the Markdown sanitizer)
+        fs: { allow: [".", "../shared"] },
         proxy: {
             "/api": "http://localhost:8787",
         },
@@ -0,0 +1,143 @@
+// server/analytics.js
+import path from 'node:path';
+
+/**
+ * Contributor and hotspot analytics over a report's commit results: who changed what,
+ * which files and directories churn the most, which files change together, and when
+ * the work happened. Everything is derived from the results alone, except first-time
+ * contributors, which need a history lookup (see findFirstTimeAuthors in analyze.js).
+ */
+
+export const MAX_HOTSPOT_FILES = 100;
+export const MAX_CO_CHANGE_PAIRS = 30;
+// Bulk commits (renames, formatting, vendoring) would pair every file with every other one.
+const MAX_CO_CHANGE_FILES = 30;
+const TREE_DEPTH = 3;
+
+const bump = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+const topKeys = (map, n) => [...map.entries()].sort((a, b) => b[1] - a[1]).slice(0, n).map(([k]) => k);
+
+// Multi-repo results carry `repo`; their paths are kept apart by it.
+const fileKey = (r, f) => (r.repo ? `${r.repo}:${f.filename}` : f.filename);
+
+/** Contributor rows, most commits first. `firstTime` is true/false, or null when unknown. */
+function contributorStats(results, firstTimeAuthors) {
+  const byAuthor = new Map();
+  for (const r of results) {
+    if (!byAuthor.has(r.author)) {
+      byAuthor.set(r.author, {
+        author: r.author, commits: 0, additions: 0, deletions: 0, files: new Set(), typeCounts: {}, areas: new Map(),
+        firstCommit: r.date, lastCommit: r.date
+      });
+    }
+    const a = byAuthor.get(r.author);
+    a.commits++;
+    a.additions += r.stats.additions;
+    a.deletions += r.stats.deletions;
+    r.files.forEach(f => a.files.add(fileKey(r, f)));
+    if (!r.ai.unsummarized) {
+      a.typeCounts[r.ai.change_type] = (a.typeCounts[r.ai.change_type] || 0) + 1;
+      (r.ai.areas || []).forEach(area => bump(a.areas, area));
+    }
+    if (r.date < a.firstCommit) a.firstCommit = r.date;
+    if (r.date > a.lastCommit) a.lastCommit = r.date;
+  }
+  return [...byAuthor.values()]
+    .map(a => ({
+      ...a, files: a.files.size, areas: topKeys(a.areas, 5),
+      firstTime: firstTimeAuthors ? firstTimeAuthors.get(a.author) ?? null : null
+    }))
+    .sort((a, b) => b.commits - a.commits || (b.additions + b.deletions) - (a.additions + a.deletions));
+}
+
+/** Per-file churn and authors, over files the path filters kept; the most churned first. */
+function fileStats(results) {
+  const byFile = new Map();
+  for (const r of results) {
+    for (const f of r.files.filter(f => !f.skipped)) {
+      const key = fileKey(r, f);
+      if (!byFile.has(key)) byFile.set(key, { ...(r.repo && { repo: r.repo }), path: f.filename, commits: 0, additions: 0, deletions: 0, authors: new Set() });
+      const s = byFile.get(key);
+      s.commits++;
+      s.additions += f.additions || 0;
+      s.deletions += f.deletions || 0;
+      s.authors.add(r.author);
+    }
+  }
+  return [...byFile.values()]
+    .map(s => ({ ...s, churn: s.additions + s.deletions, authors: s.authors.size, authorNames: [...s.authors] }))
+    .sort((a, b) => b.churn - a.churn || b.commits - a.commits);
+}
+
+/** File pairs changed in the same commit at least twice. */
+function coChangePairs(results) {
+  const pairs = new Map();
+  for (const r of results) {
+    const keys = [...new Set(r.files.filter(f => !f.skipped).map(f => fileKey(r, f)))].sort();
+    if (keys.length < 2 || keys.length > MAX_CO_CHANGE_FILES) continue;
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) bump(pairs, `${keys[i]}\n${keys[j]}`);
+    }
+  }
+  return [...pairs.entries()]
+    .filter(([, n]) => n >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CO_CHANGE_PAIRS)
+    .map(([key, commits]) => {
+      const [a, b] = key.split('\n');
+      return { a, b, commits };
+    });
+}
+
+/**
+ * Directory tree for the treemap: churn and commits per directory, `TREE_DEPTH` levels deep
+ * (deeper files count towards their ancestor at that depth). Multi-repo trees start with the repos.
+ */
+function directoryTree(files) {
+  const root = { name: '', path: '', churn: 0, commits: 0, files: 0, children: [] };
+  for (const f of files) {
+    const dirs = path.posix.dirname(f.path).split('/').filter(d => d && d !== '.');
+    const parts = [...(f.repo ? [f.repo] : []), ...dirs].slice(0, TREE_DEPTH + (f.repo ? 1 : 0));
+    let node = root;
+    node.churn += f.churn; node.commits += f.commits; node.files++;
+    for (const name of parts.length ? parts : ['(root)']) {
+      let child = node.children.find(c => c.name === name);
+      if (!child) {
+        child = { name, path: node.path ? `${node.path}/${name}` : name, churn: 0, commits: 0, files: 0, children: [] };
+        node.children.push(child);
+      }
+      child.churn += f.churn; child.commits += f.commits; child.files++;
+      node = child;
+    }
+  }
+  const sort = (node) => { node.children.sort((a, b) => b.churn - a.churn); node.children.forEach(sort); return node; };
+  return sort(root);
+}
+
+/** Commits per UTC weekday (0 = Sunday) and hour. */
+function activityGrid(results) {
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  for (const r of results) {
+    const d = new Date(r.date);
+    if (!Number.isNaN(d.getTime())) grid[d.getUTCDay()][d.getUTCHours()]++;
+  }
+  return grid;
+}
+
+/**
+ * @param {object[]} results - commit results of the report
+ * @param {{ firstTimeAuthors?: Map<string, boolean>|null }} [opts] - author name → no earlier commit
+ */
+export function computeAnalytics(results, { firstTimeAuthors = null } = {}) {
+  const files = fileStats(results);
+  const contributors = contributorStats(results, firstTimeAuthors);
+  return {
+    contributors,
+    firstTimeContributors: firstTimeAuthors ? contributors.filter(c => c.firstTime).map(c => c.author) : null,
+    files: files.slice(0, MAX_HOTSPOT_FILES),
+    totalFiles: files.length,
+    coChange: coChangePairs(results),
+    directories: directoryTree(files),
+    activity: { timezone: 'UTC', byDayHour: activityGrid(results) }
+  };
+}
@@ -0,0 +1,819 @@
+// server/analyze.js
+import {
+  variantOf, getCachedCommit, putCachedCommit, getCachedSummary, putCachedSummary,
+  createCacheCounters, describeCacheCounters
+} from './cache.js';
+import { createCommitSource, listOrgRepos } from './sources.js';
+import { createPathFilter, globToRegExp, normalizeGlobs } from './filters.js';
+import { MAX_COMPARE_PERIODS, computeTrend, previousWindows } from './trends.js';
+import { computeAnalytics } from './analytics.js';
+import {
+  COMMIT_PROMPT_VERSION, resolveTokenBudget, summarizeCommit, summarizePeriod, unsummarized, estimateCommit, estimatePeriod
+} from './summarize.js';
+import { validateCommitSummary } from './schema.js';
+import { heuristicSummary, renderHeuristicSummary, compareWithBaseline } from './heuristic.js';
+import { detectSignals, applyRiskFloor, redactSecrets, renderRiskSignals } from './signals.js';
+import { GITHUB_CONCURRENCY, LLM_CONCURRENCY, describeQuota, forEachConcurrent, limitLLM, limitSource } from './ratelimit.js';
+import { CostBudgetError, costOf, createUsageMeter, describeUsage, emptyUsage, formatCost, priceFor } from './usage.js';
+
+export const ANY_BRANCH = '__ANY__';
+export const MODES = ['period', 'release', 'commits'];
+// llm: model summaries; heuristic: deterministic rules, no LLM calls; compare: both, rules as a baseline.
+export const SUMMARIZERS = ['llm', 'heuristic', 'compare'];
+const DEFAULT_BRANCH = 'main';
+// Commits mode takes explicit SHAs (e.g. from a push webhook), abbreviated or full.
+const SHA_RE = /^[0-9a-f]{7,40}$/i;
+// Multi-repo reports: at most this many repositories per run (an org filter is cut to the first ones by name).
+export const MAX_REPOS = Math.max(1, Number(process.env.MAX_REPOS_PER_REPORT) || 30);
+// Ceiling on a request's maxCommits: every commit costs GitHub calls (per repository and window)
+const MAX_COMMITS_LIMIT = Math.max(1, Number(process.env.MAX_COMMITS_LIMIT) || 500);
+const ORG_RE = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/;
+// Commits in flight per run; enough to keep both limiters busy without fetching far ahead of the LLM.
+const COMMIT_CONCURRENCY = GITHUB_CONCURRENCY + LLM_CONCURRENCY;
+// Report the GitHub quota after this many fetched commits.
+const QUOTA_REPORT_EVERY = 10;
+// History lookups for first-time contributors: one per author and repository, up to this many.
+const MAX_FIRST_TIME_LOOKUPS = Math.max(0, Number(process.env.MAX_FIRST_TIME_LOOKUPS ?? 50));
+// Streamed summary text is sent in pieces of about this size (or after this long), not token by token.
+const SUMMARY_CHUNK_CHARS = 200;
+const SUMMARY_CHUNK_MS = 250;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validates an /api/analyze body and fills in defaults. Throws (status 400) on bad input.
+ */
+export function normalizeParams(body = {}) {
+  const {
+    mode = 'period',      // "period" (since/until), "release" (base/head refs) or "commits" (shas)
+    repo, since, until,
+    base, head,           // release mode: tags, branches or SHAs
+    shas,                 // commits mode: the commits to analyze
+    repos,                // period mode over several repos: ["owner/a", { repo: "owner/b", branch: "dev" }, …]
+    org,                  // …or over an organization's repos,
+    repoFilter = [],      //   narrowed by name globs ("api-*")
+    topic,                //   and/or a repository topic
+    branch,               // string or "__ANY__"; with repos/org, the default for repos without their own
+    includeMerges = false,
+    maxCommits = 60,
+    useCache = true,      // false = ignore cached entries (they are still refreshed)
+    include = [],         // path globs; when non-empty only matching files are summarized
+    exclude = [],         // path globs to skip
+    defaultIgnore = true, // built-in noise filter (lockfiles, dist/, binaries, …)
+    dropIgnoredCommits = false, // drop commits whose files are all filtered out
+    tokenBudget,          // max prompt tokens per LLM call (defaults to LLM_TOKEN_BUDGET)
+    enrichPRs = true,     // look up the pull request(s) of each commit (GitHub only)
+    excludeLabels = [],   // skip commits whose PR carries any of these labels, e.g. "dependencies"
+    groupByPR = false,    // render the period changelog grouped by pull request
+    summarizer = 'llm',   // see SUMMARIZERS
+    maxCostUsd,           // stop making LLM calls once the run has cost this much
+    comparePeriods = 0    // period mode: also analyze this many earlier windows of the same length
+  } = body;
+  if (!MODES.includes(mode)) throw badRequest(`mode must be one of: ${MODES.join(', ')}`);
+  if (!SUMMARIZERS.includes(summarizer)) throw badRequest(`summarizer must be one of: ${SUMMARIZERS.join(', ')}`);
+  const hasCostCap = maxCostUsd != null && maxCostUsd !== '';
+  if (hasCostCap && !(Number(maxCostUsd) > 0)) throw badRequest('maxCostUsd must be a positive number');
+  const periodsBack = Number(comparePeriods || 0);
+  if (!Number.isInteger(periodsBack) || periodsBack < 0 || periodsBack > MAX_COMPARE_PERIODS) {
+    throw badRequest(`comparePeriods must be a whole number from 0 to ${MAX_COMPARE_PERIODS}`);
+  }
+  if (periodsBack && mode !== 'period') throw badRequest('comparePeriods is only supported in period mode');
+  const multi = repos != null || Boolean(org);
+  if (multi) {
+    if (mode !== 'period') throw badRequest('repos and org are only supported in period mode');
+    if (repo) throw badRequest('Give either repo, repos or org');
+    if (repos != null && org) throw badRequest('Give either repos or org, not both');
+    if (!since || !until) throw badRequest('since and until are required');
+    if (org && !ORG_RE.test(String(org).trim())) throw badRequest(`Invalid organization name "${org}"`);
+  } else if (mode === 'release') {
+    if (!repo || !base || !head) throw badRequest('repo, base, and head are required in release mode');
+  } else if (mode === 'commits') {
+    if (!repo || !Array.isArray(shas) || !shas.length) throw badRequest('repo and shas are required in commits mode');
+    const bad = shas.find(sha => !SHA_RE.test(String(sha)));
+    if (bad !== undefined) throw badRequest(`Invalid commit SHA "${bad}"`);
+  } else if (!repo || !since || !until) {
+    throw badRequest('repo, since, and until are required');
+  }
+  if (!multi) {
+    try { createCommitSource(repo); } catch (err) { throw badRequest(err.message); } // validate early
+  }
+  return {
+    mode,
+    ...(multi
+      ? (org ? { org: String(org).trim(), repoFilter: normalizeGlobs(repoFilter), topic: topic ? String(topic).trim().toLowerCase() : null }
+        : { repos: normalizeRepoList(repos) })
+      : { repo }),
+    ...(mode === 'release' ? { base: String(base).trim(), head: String(head).trim() }
+      : mode === 'commits' ? { shas: [...new Set(shas.map(sha => String(sha).toLowerCase()))], branch }
+      : { since, until, branch, comparePeriods: periodsBack }),
+    includeMerges: Boolean(includeMerges),
+    maxCommits: Math.min(MAX_COMMITS_LIMIT, Math.max(1, Number(maxCommits) || 60)),
+    useCache: useCache !== false,
+    include, exclude,
+    defaultIgnore: defaultIgnore !== false,
+    dropIgnoredCommits: Boolean(dropIgnoredCommits),
+    tokenBudget,
+    enrichPRs: enrichPRs !== false,
+    excludeLabels: normalizeGlobs(excludeLabels).map(l => l.toLowerCase()),
+    groupByPR: Boolean(groupByPR),
+    summarizer,
+    maxCostUsd: hasCostCap ? Number(maxCostUsd) : null
+  };
+}
+
+// repos entries are "owner/repo" strings or { repo, branch }; duplicates (by source id) are dropped.
+function normalizeRepoList(repos) {
+  if (!Array.isArray(repos) || !repos.length) throw badRequest('repos must be a non-empty array');
+  const seen = new Set();
+  const list = [];
+  for (const entry of repos) {
+    const { repo, branch } = typeof entry === 'string' ? { repo: entry } : (entry || {});
+    let id;
+    try { id = createCommitSource(String(repo || '')).id.toLowerCase(); } catch (err) { throw badRequest(`${repo || '(empty)'}: ${err.message}`); }
+    if (seen.has(id)) continue;
+    seen.add(id);
+    list.push({ repo: String(repo).trim(), branch: branch ? String(branch).trim() : null });
+  }
+  if (list.length > MAX_REPOS) throw badRequest(`At most ${MAX_REPOS} repositories per report (MAX_REPOS_PER_REPORT)`);
+  return list;
+}
+
+/** True for reports over several repositories (`repos` or `org`). */
+export function isMultiRepo(params) {
+  return Boolean(params.repos || params.org);
+}
+
+/**
+ * The repositories a multi-repo run covers, each with the branch to read: its own, else the
+ * run's `branch`, else the repo's default branch. An org is listed with the run's token.
+ */
+export async function resolveRepos(params, { githubToken, progress = () => {}, signal } = {}) {
+  let list = params.repos;
+  if (params.org) {
+    progress(`Listing repositories of ${params.org}…`);
+    const all = await listOrgRepos(params.org, { githubToken, signal });
+    const names = params.repoFilter.map(globToRegExp);
+    const matched = all
+      .filter(r => !r.archived && (!names.length || names.some(re => re.test(r.name))) && (!params.topic || r.topics.includes(params.topic)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const filters = [...params.repoFilter, ...(params.topic ? [`topic:${params.topic}`] : [])];
+    progress(`${matched.length} of ${all.length} repositories${filters.length ? ` match ${filters.join(', ')}` : ''} (archived ones are skipped).`);
+    if (!matched.length) throw badRequest(`No repositories in ${params.org} match the filter`);
+    if (matched.length > MAX_REPOS) progress(`Warning: only the first ${MAX_REPOS} repositories (by name) are analyzed (MAX_REPOS_PER_REPORT).`);
+    list = matched.slice(0, MAX_REPOS).map(r => ({ repo: r.repo, branch: params.branch || r.defaultBranch }));
+  }
+  return Promise.all(list.map(async ({ repo, branch }) => ({
+    repo,
+    branch: branch || params.branch || await limitSource(createCommitSource(repo, { githubToken }), { signal, onRetry: progress }).getDefaultBranch({ signal })
+  })));
+}
+
+// Display name for a multi-repo report, e.g. "my-org" or "owner/api, owner/web +3 more".
+function describeRepoSet(params, sources) {
+  if (params.org) return `${params.org} (${sources.length} repos)`;
+  const names = sources.map(s => s.repoFull);
+  return names.length <= 3 ? names.join(', ') : `${names.slice(0, 2).join(', ')} +${names.length - 2} more`;
+}
+
+// Checkpoint key of a (slim) commit: the sha, prefixed by its repository in multi-repo runs.
+const commitKey = (c) => c.repo ? `${c.repo}@${c.sha}` : c.sha;
+const commitDate = (c) => c.commit.author?.date || c.commit.committer?.date || 0;
+
+function isMergeCommit(commit) { return Array.isArray(commit.parents) && commit.parents.length > 1; }
+
+// Only what the pipeline reads, so checkpoints stay small. `repo` (source id) is set in multi-repo
+// runs, `period` (1 = the window before, …) for commits of the earlier windows of a comparison.
+function slimCommit(c, repo, period) {
+  return {
+    ...(repo && { repo }),
+    ...(period && { period }),
+    sha: c.sha,
+    parents: (c.parents || []).map(p => ({ sha: p.sha })),
+    commit: {
+      message: c.commit.message,
+      author: c.commit.author && { name: c.commit.author.name, email: c.commit.author.email, date: c.commit.author.date },
+      committer: c.commit.committer && { name: c.commit.committer.name, email: c.commit.committer.email, date: c.commit.committer.date }
+    }
+  };
+}
+
+async function collectCommits(source, { mode, base, head, shas, branch, since, until, includeMerges, maxCommits }, { progress, signal }) {
+  if (mode === 'commits') {
+    progress(`Looking up ${shas.length} commit(s)…`);
+    const listed = await Promise.all(shas.map(sha => source.getCommitInfo(sha, { signal })));
+    const eligible = (includeMerges ? listed : listed.filter(c => !isMergeCommit(c)))
+      .sort((a, b) => new Date(b.commit.committer?.date || b.commit.author?.date || 0) - new Date(a.commit.committer?.date || a.commit.author?.date || 0));
+    if (eligible.length > maxCommits) progress(`Warning: ${eligible.length} commits given; only the newest ${maxCommits} are analyzed.`);
+    const commits = eligible.slice(0, maxCommits);
+    progress(`Found ${commits.length} commits to analyze.`);
+    return commits;
+  }
+  if (mode === 'release') {
+    progress(`Comparing ${base}...${head}…`);
+    const listed = await source.compareCommits({ base, head, signal });
+    const eligible = includeMerges ? listed : listed.filter(c => !isMergeCommit(c));
+    if (eligible.length > maxCommits) progress(`Warning: ${eligible.length} commits in range; only the newest ${maxCommits} are analyzed (raise maxCommits for complete notes).`);
+    const commits = eligible.slice(0, maxCommits);
+    progress(`Found ${commits.length} commits between ${base} and ${head}.`);
+    return commits;
+  }
+  if (branch === ANY_BRANCH) {
+    progress('Loading branches for ANY selection…');
+    const names = await source.listBranches({ signal });
+    progress(`Found ${names.length} branches. Aggregating commits across all…`);
+
+    const seen = new Map(); // sha -> commit obj from listCommits
+    for (const bname of names) {
+      signal?.throwIfAborted();
+      progress(`Listing commits for branch "${bname}"…`);
+      const list = await source.listCommits({ branch: bname, since, until, signal });
+      for (const c of list) {
+        if (!includeMerges && isMergeCommit(c)) continue;
+        if (!seen.has(c.sha)) {
+          seen.set(c.sha, c);
+          if (seen.size >= maxCommits) break;
+        }
+      }
+      if (seen.size >= maxCommits) break;
+    }
+    const commits = Array.from(seen.values());
+    // Sort by author date desc for readability
+    commits.sort((a,b) => new Date(b.commit.author?.date || b.commit.committer?.date || 0) - new Date(a.commit.author?.date || a.commit.committer?.date || 0));
+    progress(`Aggregated ${commits.length} unique commits across branches (cap ${maxCommits}).`);
+    return commits;
+  }
+  const shaParam = branch || DEFAULT_BRANCH;
+  progress(`Listing commits for branch "${shaParam}"…`);
+  const listed = await source.listCommits({ branch: shaParam, since, until, signal });
+  const commits = (includeMerges ? listed : listed.filter(c => !isMergeCommit(c))).slice(0, Math.min(maxCommits, listed.length));
+  progress(`Found ${commits.length} commits to analyze.`);
+  return commits;
+}
+
+/**
+ * Slim commits of one window across the run's repositories (`entries`: { key, repoFull, branch, source }).
+ * Several repositories are merged newest first; `period` tags commits of an earlier window.
+ */
+async function collectWindow(entries, params, window, { multi, period = 0, progress, signal }) {
+  const lists = [];
+  for (const e of entries) {
+    if (multi) progress(`[${e.repoFull}] Collecting commits…`);
+    const listed = await collectCommits(e.source, { ...params, ...window, ...(multi && { branch: e.branch }) }, { progress, signal });
+    lists.push(listed.map(c => slimCommit(c, e.key, period)));
+  }
+  if (!multi) return lists[0];
+  const all = lists.flat().sort((a, b) => new Date(commitDate(b)) - new Date(commitDate(a)));
+  progress(`Found ${all.length} commits across ${entries.length} repositories.`);
+  return all;
+}
+
+/**
+ * Author name → true when none of the repositories they committed to in the window has an
+ * earlier commit of theirs on the analyzed branch. Null when the run has no window start, or
+ * when the lookups would exceed MAX_FIRST_TIME_LOOKUPS; authors whose lookup failed are left out.
+ */
+async function findFirstTimeAuthors(entries, results, { since, branch, progress, signal }) {
+  if (!since || !results.length) return null;
+  const pairs = new Map(); // "repo\nauthor" -> { entry, author, email }
+  for (const r of results) {
+    const entry = r.repo ? entries.find(e => e.repoFull === r.repo) : entries[0];
+    if (entry) pairs.set(`${entry.repoFull}\n${r.author}`, { entry, author: r.author, email: r.authorEmail || r.author });
+  }
+  if (pairs.size > MAX_FIRST_TIME_LOOKUPS) {
+    progress(`Skipping first-time contributor lookups: ${pairs.size} author/repository pairs (limit ${MAX_FIRST_TIME_LOOKUPS}).`);
+    return null;
+  }
+  progress(`Checking ${pairs.size} author(s) for earlier commits…`);
+  const seen = new Map(); // author -> had an earlier commit somewhere
+  const failed = new Set();
+  await forEachConcurrent([...pairs.values()], GITHUB_CONCURRENCY, async ({ entry, author, email }, _, taskSignal) => {
+    const entryBranch = entry.key ? entry.branch : branch;
+    try {
+      const earlier = await entry.source.hasCommitBefore({
+        author: email, before: since, branch: entryBranch === ANY_BRANCH ? undefined : entryBranch, signal: taskSignal
+      });
+      seen.set(author, (seen.get(author) ?? false) || earlier);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      failed.add(author);
+    }
+  }, { signal });
+  if (failed.size) progress(`Earlier-commit lookups failed for ${failed.size} author(s); they are not classified.`);
+  return new Map([...seen].filter(([author]) => !failed.has(author)).map(([author, earlier]) => [author, !earlier]));
+}
+
+// Cache variant: which files the LLM saw (when filtered) and which PRs it got as context.
+function summaryVariant(kept, filteredCount, pulls) {
+  if (!filteredCount && !pulls.length) return '';
+  const files = filteredCount ? kept.map(f => f.filename) : [];
+  return variantOf(pulls.length ? [...files, ...pulls.map(p => `#${p.number}`)] : files);
+}
+
+/** Rolls per-commit results up into the `aggregate` block. */
+export function computeAggregate(results, { droppedCommits = 0, excludedByLabel = 0 } = {}) {
+  const typeCounts = {}, riskCounts = {}, signalCounts = {};
+  const areaCounts = new Map();
+  const pullNumbers = new Set();
+  let files = 0, filteredFiles = 0, additions = 0, deletions = 0, unlinkedCommits = 0, unsummarized = 0, flaggedCommits = 0;
+  for (const r of results) {
+    if (r.signals?.length) flaggedCommits++;
+    (r.signals || []).forEach(s => { signalCounts[s.kind] = (signalCounts[s.kind] || 0) + 1; });
+    if (r.pulls?.length) r.pulls.forEach(p => pullNumbers.add(p.number));
+    else unlinkedCommits++;
+    // Filtered files still count towards stats; they are only hidden from the LLM.
+    files += r.files.length;
+    filteredFiles += r.filteredCount || 0;
+    additions += r.stats.additions;
+    deletions += r.stats.deletions;
+    // An unsummarized commit has no known type or risk; counting it as "other"/"low" would understate risk.
+    if (r.ai.unsummarized) { unsummarized++; continue; }
+    typeCounts[r.ai.change_type] = (typeCounts[r.ai.change_type] || 0) + 1;
+    riskCounts[r.ai.risk] = (riskCounts[r.ai.risk] || 0) + 1;
+    (r.ai.areas || []).forEach(a => areaCounts.set(a, (areaCounts.get(a) || 0) + 1));
+  }
+  const sortedAreas = [...areaCounts.entries()].sort((a,b)=>b[1]-a[1]).map(([k]) => k);
+  return {
+    count: results.length, files, filteredFiles, droppedCommits, excludedByLabel,
+    pullRequests: pullNumbers.size, unlinkedCommits, unsummarized,
+    additions, deletions, typeCounts, riskCounts, topAreas: sortedAreas.slice(0, 10),
+    signalCounts, flaggedCommits
+  };
+}
+
+/**
+ * Coalesces streamed period-summary deltas into `summary_chunk` events. A delta flagged
+ * `first` starts a new attempt (see llm.complete), so text from a failed one is dropped.
+ */
+function summaryStreamer(emit) {
+  let pending = '', reset = false, timer = null;
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending && !reset) return;
+    emit('summary_chunk', { text: pending, ...(reset && { reset: true }) });
+    pending = '';
+    reset = false;
+  };
+  return {
+    push(delta, { first } = {}) {
+      if (first) { pending = ''; reset = true; }
+      pending += delta;
+      if (pending.length >= SUMMARY_CHUNK_CHARS) flush();
+      else timer ??= setTimeout(flush, SUMMARY_CHUNK_MS);
+    },
+    flush
+  };
+}
+
+// The "Risk signals" section is rendered from the signals themselves, whichever summarizer wrote the rest.
+function withRiskSignals(markdown, results) {
+  const section = renderRiskSignals(results);
+  return section ? `${markdown.replace(/\n*$/, '')}\n\n${section}\n` : markdown;
+}
+
+/**
+ * Runs one analysis end to end.
+ *
+ * `state` is the resumable checkpoint and is mutated as work completes:
+ *   { commits?: slimmed commit list, done?: { [sha]: result | { dropped: true } }, cache?: counters, usage?: LLM totals }
+ * Passing a previous run's state skips commit listing and every commit already in `done`.
+ *
+ * Besides `progress` lines, `emit(type, data)` receives structured events as work completes:
+ *   plan              { total, resumed, mode, summarizer }
+ *   commit_fetched    { sha, index, files, additions, deletions, cached }
+ *   commit_summarized { sha, index, done, total, commit, usage } (or `dropped: reason` instead of `commit`)
+ *   aggregate         { aggregate }
+ *   summary_chunk     { text, reset?, final? } — streamed period summary; `final` carries the whole report
+ *   error             { message, sha } — a commit left unsummarized (jobs.js adds fatal errors)
+ *
+ * @param {object} params - Output of normalizeParams.
+ * @param {{ llm, githubToken?: string, progress?: (msg: string) => void, emit?: (type: string, data: object) => void,
+ *           signal?: AbortSignal, state?: object, checkpoint?: (state: object) => void }} ctx
+ *   `githubToken` overrides GITHUB_TOKEN for the repo calls (the signed-in user's token, see auth.js).
+ */
+export async function runAnalysis(params, { llm: baseLLM, githubToken, progress = () => {}, emit = () => {}, signal, state = {}, checkpoint = () => {} }) {
+  const startedAt = Date.now();
+  const { mode, repo, base, head, useCache } = params;
+  let { since, until } = params;
+  const multi = isMultiRepo(params);
+  const target = params.org ? `organization ${params.org}` : multi ? `${params.repos.length} repositories` : repo;
+
+  progress(mode === 'release' ? `Starting release notes for ${repo}: ${base} → ${head}…`
+    : mode === 'commits' ? `Starting analysis of ${params.shas.length} commit(s) in ${repo}…`
+    : `Starting analysis for ${target} from ${since} to ${until}…`);
+  // The resolved list is checkpointed, so a resumed run covers the same repos and branches.
+  if (multi && !state.repos) {
+    state.repos = await resolveRepos(params, { githubToken, progress, signal });
+    checkpoint(state);
+  }
+  // One entry per repository. Commits of a multi-repo run carry their entry's key (the source id).
+  const entries = (multi ? state.repos : [{ repo, branch: params.branch }]).map(({ repo, branch }) => {
+    const raw = createCommitSource(repo, { githubToken });
+    return {
+      key: multi ? raw.id : null, raw, branch, repoFull: raw.repoFull,
+      source: limitSource(raw, { signal, onRetry: progress }),
+      enrichPRs: params.enrichPRs && raw.kind === 'github'
+    };
+  });
+  const entryByKey = new Map(entries.map(e => [e.key, e]));
+  const entryOf = (c) => entryByKey.get(c.repo ?? null);
+  if (multi) progress(`Repositories: ${entries.map(e => `${e.repoFull} (${e.branch})`).join(', ')}.`);
+  // GitHub sources share the token's quota; the lowest figure seen is the current one.
+  const reportQuota = () => {
+    const quota = entries.map(e => e.raw.rateLimit()).filter(Boolean).sort((a, b) => a.remaining - b.remaining)[0];
+    const q = describeQuota(quota);
+    if (q) progress(q);
+  };
+  const repoFull = multi ? describeRepoSet(params, entries) : entries[0].repoFull;
+  const pathFilter = createPathFilter(params);
+  progress(`Path filters: ${pathFilter.describe()}.`);
+  const enrichPRs = entries.some(e => e.enrichPRs);
+  if (params.enrichPRs && entries.some(e => !e.enrichPRs)) progress('Pull request metadata is only available for GitHub repositories; skipping.');
+  if (enrichPRs && params.excludeLabels.length) progress(`Excluding commits from PRs labelled: ${params.excludeLabels.join(', ')}.`);
+  const budget = resolveTokenBudget(params.tokenBudget);
+  const summarizer = params.summarizer || 'llm'; // jobs persisted before summarizers existed
+  if (summarizer !== 'llm') progress(summarizer === 'heuristic' ? 'Summarizer: deterministic rules (no LLM calls).' : 'Summarizer: LLM, with a rule-based baseline for comparison.');
+  // Usage totals live in the checkpoint, so a resumed run keeps counting (and budgeting) from where it stopped.
+  state.usage ??= emptyUsage();
+  const maxCostUsd = params.maxCostUsd ?? null;
+  const meter = createUsageMeter({ model: baseLLM.model, maxCostUsd, totals: state.usage });
+  // The budget is checked once a call has its limiter slot, so at most LLM_CONCURRENCY calls can overshoot it.
+  const meteredLLM = (tally) => limitLLM(meter.track(baseLLM, tally), { signal, onRetry: progress });
+  if (summarizer !== 'heuristic') {
+    if (!meter.price) progress(`No price known for model "${baseLLM.model}"; token usage is counted but cost is not (see LLM_PRICES_FILE).`);
+    if (maxCostUsd != null) progress(meter.price ? `Cost budget: ${formatCost(maxCostUsd)}.` : 'Warning: maxCostUsd is ignored because the model has no price.');
+  }
+  let budgetNoticeSent = false;
+  const budgetNotice = () => {
+    if (budgetNoticeSent) return;
+    budgetNoticeSent = true;
+    progress(`Cost budget of ${formatCost(maxCostUsd)} reached (${formatCost(meter.totals.costUsd)} spent); no further LLM calls are made.`);
+  };
+
+  // A comparison also analyzes the earlier windows; their commits follow the current ones,
+  // go through the same pipeline and are told apart by `period`. maxCommits applies per window.
+  const windows = params.comparePeriods ? previousWindows(since, until, params.comparePeriods) : [];
+  if (!state.commits) {
+    const current = await collectWindow(entries, params, {}, { multi, progress, signal });
+    const seen = new Set(current.map(commitKey));
+    const earlier = [];
+    for (const [i, window] of windows.entries()) {
+      progress(`Previous period ${i + 1}/${windows.length}: ${window.since.slice(0, 10)} → ${window.until.slice(0, 10)}…`);
+      const list = (await collectWindow(entries, params, window, { multi, period: i + 1, progress, signal })).filter(c => !seen.has(commitKey(c)));
+      list.forEach(c => seen.add(commitKey(c)));
+      earlier.push(...list);
+    }
+    if (windows.length) progress(`Comparing with ${windows.length} previous period(s): ${earlier.length} more commit(s) to analyze.`);
+    state.commits = [...current, ...earlier];
+    checkpoint(state);
+    reportQuota();
+  }
+  state.done ??= {};
+  state.cache ??= createCacheCounters();
+  const { commits, done } = state;
+  const cacheCounters = state.cache;
+
+  const resumed = commits.filter(c => done[commitKey(c)]).length;
+  if (resumed) progress(`Resuming: ${resumed}/${commits.length} commits already processed.`);
+  emit('plan', { total: commits.length, previous: commits.filter(c => c.period).length, resumed, mode: params.mode, summarizer });
+  // A resumed run re-announces finished commits, so a client that lost the earlier events still has them.
+  let doneCount = 0;
+  commits.forEach((c, index) => {
+    const r = done[commitKey(c)];
+    if (!r) return;
+    doneCount++;
+    emit('commit_summarized', { sha: c.sha, ...(c.repo && { repo: entryOf(c).repoFull }), ...(c.period && { period: c.period }), index, done: doneCount, total: commits.length, ...(r.dropped ? { dropped: r.reason } : { commit: r }) });
+  });
+  const finish = (c, index, data) => {
+    doneCount++;
+    emit('commit_summarized', { sha: c.sha, ...(c.repo && { repo: entryOf(c).repoFull }), ...(c.period && { period: c.period }), index, done: doneCount, total: commits.length, usage: { ...meter.totals }, ...data });
+  };
+
+  // Commits are fetched and summarized concurrently (bounded by the GitHub/LLM limiters);
+  // results are keyed by sha and read back in commit order, so the output stays deterministic.
+  const pending = commits.map((c, i) => ({ c, i })).filter(({ c }) => !done[commitKey(c)]);
+  if (pending.length) progress(`Processing ${pending.length} commit(s), up to ${GITHUB_CONCURRENCY} fetches and ${LLM_CONCURRENCY} LLM calls at a time…`);
+  let fetched = 0;
+
+  await forEachConcurrent(pending, COMMIT_CONCURRENCY, async ({ c, i }, _, taskSignal) => {
+    const { source, repoFull: commitRepo, enrichPRs } = entryOf(c);
+    const tag = multi ? `(${i+1}/${commits.length}) [${commitRepo}]` : `(${i+1}/${commits.length})`;
+    const shaShort = c.sha.slice(0,7);
+    const cacheRef = { repoFull: source.id, sha: c.sha };
+
+    // PRs first: a label exclusion saves fetching and summarizing the commit at all.
+    const pulls = enrichPRs ? await source.listPullRequests(c.sha, { signal: taskSignal }) : [];
+    const excludedLabel = pulls.flatMap(p => p.labels).find(l => params.excludeLabels.includes(l.toLowerCase()));
+    if (excludedLabel) {
+      progress(`${tag} ${shaShort} excluded (PR label "${excludedLabel}").`);
+      done[commitKey(c)] = { dropped: true, reason: 'label' };
+      checkpoint(state);
+      finish(c, i, { dropped: 'label' });
+      return;
+    }
+
+    let detail = useCache ? await getCachedCommit(cacheRef) : null;
+    const detailCached = Boolean(detail);
+    if (detail) {
+      cacheCounters.commitHits++;
+      progress(`${tag} Commit ${shaShort} details loaded from cache.`);
+    } else {
+      cacheCounters.commitMisses++;
+      progress(`${tag} Fetching commit ${shaShort} details…`);
+      detail = await source.getCommit(c.sha, { signal: taskSignal });
+      await putCachedCommit(cacheRef, detail);
+      if (++fetched % QUOTA_REPORT_EVERY === 0) reportQuota();
+    }
+    const { stats } = detail;
+    const files = pathFilter(detail.files);
+    const kept = files.filter(f => !f.skipped);
+    const filteredCount = files.length - kept.length;
+    emit('commit_fetched', { sha: c.sha, ...(multi && { repo: commitRepo }), index: i, files: files.length, additions: stats.additions, deletions: stats.deletions, cached: detailCached });
+
+    if (params.dropIgnoredCommits && files.length > 0 && kept.length === 0) {
+      progress(`${tag} ${shaShort} only touches filtered paths — dropped.`);
+      done[commitKey(c)] = { dropped: true, reason: 'filtered' };
+      checkpoint(state);
+      finish(c, i, { dropped: 'filtered' });
+      return;
+    }
+
+    // Signals look at every file (a filtered lockfile still changes dependencies) and only ever raise risk.
+    const signals = detectSignals(files);
+    if (signals.length) progress(`${tag} ${shaShort}: ${signals.length} risk signal(s) (${[...new Set(signals.map(s => s.kind))].join(', ')}).`);
+
+    // Rules are cheap and deterministic, so their output is never cached.
+    const baseline = summarizer !== 'llm' ? applyRiskFloor(heuristicSummary({ commit: c, files: kept, pulls }), signals) : null;
+    const summaryRef = {
+      ...cacheRef, model: baseLLM.id, promptVersion: COMMIT_PROMPT_VERSION,
+      variant: summaryVariant(kept, filteredCount, pulls)
+    };
+    const cached = useCache && summarizer !== 'heuristic' ? await getCachedSummary(summaryRef) : null;
+    let ai = cached && validateCommitSummary(cached).ok ? cached : null;
+    let usage = null; // LLM usage of this commit's summary; none for cache hits and rules
+    if (summarizer === 'heuristic') {
+      ai = baseline;
+    } else if (ai) {
+      cacheCounters.summaryHits++;
+      progress(`${tag} Summary for ${shaShort} loaded from cache.`);
+    } else {
+      cacheCounters.summaryMisses++;
+      taskSignal.throwIfAborted();
+      usage = emptyUsage();
+      // Likely secrets are flagged above; the model gets the diff without them.
+      const promptFiles = signals.some(s => s.kind === 'secret') ? kept.map(f => ({ ...f, patch: redactSecrets(f.patch) })) : kept;
+      try {
+        if (meter.exceeded) throw new CostBudgetError(maxCostUsd);
+        progress(`${tag} Summarizing ${shaShort} "${c.commit.message.split('\n')[0]}"…`);
+        ai = await summarizeCommit({
+          llm: meteredLLM(usage), repoFull: commitRepo, commit: c, files: promptFiles, skippedCount: filteredCount, pulls, signals, budget, signal: taskSignal,
+          onStage: (msg) => progress(`${tag} ${msg}`)
+        });
+        progress(`${tag} ${shaShort}: ${describeUsage(usage, meter.price)} (run total ${meter.price ? formatCost(meter.totals.costUsd) : `${meter.totals.inputTokens + meter.totals.outputTokens} tokens`}).`);
+      } catch (err) {
+        if (!(err instanceof CostBudgetError)) throw err;
+        budgetNotice();
+        ai = unsummarized(kept, err.message);
+      }
+      if (!ai.unsummarized) await putCachedSummary(summaryRef, ai); // so a re-run retries it
+    }
+    ai = applyRiskFloor(ai, signals); // after caching, so the cache keeps the model's own call
+
+    done[commitKey(c)] = {
+      ...(multi && { repo: commitRepo }),
+      ...(c.period && { period: c.period }),
+      sha: c.sha,
+      date: c.commit.author?.date || c.commit.committer?.date,
+      author: c.commit.author?.name || c.commit.committer?.name || 'unknown',
+      authorEmail: c.commit.author?.email || c.commit.committer?.email || null,
+      message: c.commit.message,
+      files,
+      filteredCount,
+      stats,
+      pulls: pulls.map(({ body, ...pr }) => pr), // descriptions only feed the prompt
+      signals,
+      ai,
+      ...(usage && { usage }),
+      ...(summarizer === 'compare' && { baseline })
+    };
+    checkpoint(state);
+    if (ai.unsummarized) emit('error', { sha: c.sha, ...(multi && { repo: commitRepo }), message: `${shaShort} not summarized: ${ai.error}` });
+    finish(c, i, { commit: done[commitKey(c)] });
+  }, { signal });
+  if (fetched % QUOTA_REPORT_EVERY) reportQuota();
+
+  const resultsOf = (list) => list.map(c => done[commitKey(c)]).filter(r => r && !r.dropped);
+  const current = commits.filter(c => !c.period);
+  const results = resultsOf(current);
+  const droppedCommits = current.length - results.length;
+  const excludedByLabel = current.filter(c => done[commitKey(c)]?.reason === 'label').length;
+  const aggregate = computeAggregate(results, { droppedCommits, excludedByLabel });
+  // Period-over-period metrics; `toResult` swaps in the rule baseline for the compare report.
+  const periodResults = (k) => resultsOf(commits.filter(c => (c.period || 0) === k));
+  const buildTrend = (toResult = (r) => r) => computeTrend([{ since, until }, ...windows].map((window, k) => {
+    const list = periodResults(k).map(toResult);
+    return { ...window, results: list, aggregate: computeAggregate(list) };
+  }));
+  const trend = windows.length ? buildTrend() : null;
+  // Per-repo aggregates, in the order the repositories were given (or by name for an org).
+  const repos = multi ? entries.map(e => {
+    const own = current.filter(c => c.repo === e.key);
+    const ownResults = own.map(c => done[commitKey(c)]).filter(r => r && !r.dropped);
+    return {
+      repo: e.repoFull, id: e.key, branch: e.branch,
+      aggregate: computeAggregate(ownResults, {
+        droppedCommits: own.length - ownResults.length,
+        excludedByLabel: own.filter(c => done[commitKey(c)]?.reason === 'label').length
+      })
+    };
+  }) : null;
+  const firstTimeAuthors = params.mode === 'period'
+    ? await findFirstTimeAuthors(entries, results, { since, branch: params.branch, progress, signal })
+    : null;
+  const analytics = computeAnalytics(results, { firstTimeAuthors });
+  emit('aggregate', { aggregate, ...(repos && { repos }), ...(trend && { trend }) });
+  if (excludedByLabel) progress(`Excluded ${excludedByLabel} commit(s) by PR label.`);
+  if (droppedCommits > excludedByLabel) progress(`Dropped ${droppedCommits - excludedByLabel} commit(s) that only touched filtered paths.`);
+
+  progress(describeCacheCounters(cacheCounters));
+  signal?.throwIfAborted();
+  progress(mode === 'release' ? 'Generating release notes…' : 'Generating period summary…');
+  if (mode !== 'period') {
+    // The window a release (or a list of commits) covers is whatever its commits span.
+    const dates = results.map(r => r.date).filter(Boolean).sort((a, b) => new Date(a) - new Date(b));
+    since = dates[0] || null;
+    until = dates[dates.length - 1] || null;
+  }
+  const release = mode === 'release' ? { base, head } : null;
+  const renderRules = () => renderHeuristicSummary({ repoFull, since, until, aggregate, repos, trend, commits: results, groupByPR: params.groupByPR, release });
+  const periodUsage = emptyUsage();
+  let periodMarkdown;
+  if (summarizer === 'heuristic') {
+    periodMarkdown = renderRules();
+  } else {
+    try {
+      if (meter.exceeded) throw new CostBudgetError(maxCostUsd);
+      const stream = summaryStreamer(emit);
+      try {
+        periodMarkdown = await summarizePeriod({
+          llm: meteredLLM(periodUsage), repoFull, since, until, aggregate, repos, trend, previousCommits: trend && periodResults(1), commits: results, groupByPR: params.groupByPR,
+          release, budget, signal, onStage: progress, onChunk: stream.push
+        });
+      } finally {
+        stream.flush();
+      }
+      progress(`${mode === 'release' ? 'Release notes' : 'Period summary'}: ${describeUsage(periodUsage, meter.price)}.`);
+    } catch (err) {
+      if (!(err instanceof CostBudgetError)) throw err;
+      budgetNotice();
+      // A report is still worth having: the rules write it from whatever the model did summarize.
+      const skipped = aggregate.unsummarized ? ` ${aggregate.unsummarized} commit(s) were not summarized, and` : '';
+      periodMarkdown = `> **${err.message}.**${skipped} this report was written by the rule-based summarizer.\n\n${renderRules()}`;
+    }
+  }
+  const summaryMarkdown = withRiskSignals(periodMarkdown, results);
+  // The streamed text is only the model's part; the final chunk is the report as saved.
+  emit('summary_chunk', { text: summaryMarkdown, reset: true, final: true });
+
+  // compare: the same report as rules alone would have produced it, plus where the two disagree.
+  let baseline;
+  if (summarizer === 'compare') {
+    const ruleResults = results.map(r => ({ ...r, ai: r.baseline }));
+    const ruleAggregate = computeAggregate(ruleResults, { droppedCommits, excludedByLabel });
+    const ruleRepos = repos?.map(r => ({ ...r, aggregate: computeAggregate(ruleResults.filter(x => x.repo === r.repo)) }));
+    baseline = {
+      summaryMarkdown: withRiskSignals(renderHeuristicSummary({
+        repoFull, since, until, aggregate: ruleAggregate, repos: ruleRepos, trend: trend && buildTrend(r => ({ ...r, ai: r.baseline })), commits: ruleResults, groupByPR: params.groupByPR, release }), ruleResults),
+      aggregate: ruleAggregate,
+      comparison: compareWithBaseline(results)
+    };
+    const { compared, changeTypeAgreement, riskAgreement } = baseline.comparison;
+    progress(`Baseline agreement: change type ${changeTypeAgreement}/${compared}, risk ${riskAgreement}/${compared}.`);
+  }
+
+  const usage = {
+    model: summarizer === 'heuristic' ? null : baseLLM.model,
+    price: meter.price && { input: meter.price.input, output: meter.price.output },
+    ...meter.totals,
+    costUsd: meter.price ? meter.totals.costUsd : null,
+    period: { ...periodUsage, costUsd: costOf(periodUsage, meter.price) },
+    maxCostUsd,
+    budgetExceeded: meter.exceeded
+  };
+  if (usage.calls) progress(`LLM usage: ${usage.calls} call(s), ${describeUsage(meter.totals, meter.price)}.`);
+  progress(`Done in ${Math.round((Date.now()-startedAt)/1000)}s.`);
+  return {
+    mode, repo: repoFull, since, until, ...(mode === 'release' && { base, head }), summarizer,
+    ...(repos && { repos }),
+    summaryMarkdown, commits: results, aggregate, ...(trend && { trend }), analytics, ...(baseline && { baseline }), cache: cacheCounters, tokenBudget: budget, usage
+  };
+}
+
+/**
+ * Dry-run cost estimate for `params`: lists and fetches the commits (through the commit
+ * cache, so a following run reuses them) and prices the prompts the run would send, without
+ * calling the model. Summaries already cached count as free when their cache key is known
+ * up front, i.e. when PR enrichment is off.
+ *
+ * @param {object} params - Output of normalizeParams.
+ * @param {{ llm, githubToken?: string, progress?: (msg: string) => void, signal?: AbortSignal }} ctx
+ */
+export async function estimateAnalysis(params, { llm, githubToken, progress = () => {}, signal }) {
+  const { mode, useCache } = params;
+  const summarizer = params.summarizer || 'llm';
+  const multi = isMultiRepo(params);
+  const entries = (multi ? await resolveRepos(params, { githubToken, progress, signal }) : [{ repo: params.repo, branch: params.branch }])
+    .map(({ repo, branch }) => ({ branch, source: limitSource(createCommitSource(repo, { githubToken }), { signal, onRetry: progress }) }));
+  const repoFull = multi ? describeRepoSet(params, entries.map(e => e.source)) : entries[0].source.repoFull;
+  const pathFilter = createPathFilter(params);
+  const budget = resolveTokenBudget(params.tokenBudget);
+  const price = priceFor(llm.model);
+
+  // Previous windows of a comparison are analyzed too; a commit is counted in the first window that lists it.
+  const windows = [{}, ...(params.comparePeriods ? previousWindows(params.since, params.until, params.comparePeriods) : [])];
+  const commits = [];
+  const seen = new Set();
+  for (const [period, window] of windows.entries()) {
+    for (const e of entries) {
+      const listed = await collectCommits(e.source, { ...params, ...window, branch: e.branch }, { progress, signal });
+      for (const c of listed) {
+        const key = `${e.source.id}@${c.sha}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        commits.push({ c, e, period });
+      }
+    }
+  }
+  const currentCount = commits.filter(x => !x.period).length;
+  const perCommit = new Array(commits.length);
+  if (summarizer !== 'heuristic') {
+    await forEachConcurrent(commits.map(({ c, e }, i) => ({ c, i, source: e.source })), GITHUB_CONCURRENCY, async ({ c, i, source }, _, taskSignal) => {
+      const knownVariant = !(params.enrichPRs && source.kind === 'github');
+      const cacheRef = { repoFull: source.id, sha: c.sha };
+      let detail = useCache ? await getCachedCommit(cacheRef) : null;
+      if (!detail) {
+        detail = await source.getCommit(c.sha, { signal: taskSignal });
+        await putCachedCommit(cacheRef, detail);
+      }
+      const files = pathFilter(detail.files);
+      const kept = files.filter(f => !f.skipped);
+      if (params.dropIgnoredCommits && files.length > 0 && kept.length === 0) {
+        perCommit[i] = { sha: c.sha, ...(multi && { repo: source.repoFull }), dropped: true };
+        return;
+      }
+      if (useCache && knownVariant) {
+        const summaryRef = { ...cacheRef, model: llm.id, promptVersion: COMMIT_PROMPT_VERSION, variant: summaryVariant(kept, files.length - kept.length, []) };
+        const cached = await getCachedSummary(summaryRef);
+        if (cached && validateCommitSummary(cached).ok) {
+          perCommit[i] = { sha: c.sha, ...(multi && { repo: source.repoFull }), cached: true, ...emptyUsage() };
+          return;
+        }
+      }
+      const est = estimateCommit({
+        repoFull: source.repoFull, commit: c, files: kept, skippedCount: files.length - kept.length,
+        signals: detectSignals(files), budget, model: llm.model
+      });
+      perCommit[i] = { sha: c.sha, ...(multi && { repo: source.repoFull }), cached: false, ...est, costUsd: costOf(est, price) };
+    }, { signal });
+  }
+
+  const counted = perCommit.filter(r => r && !r.dropped);
+  const analyzed = summarizer === 'heuristic' ? commits.length : counted.length;
+  const period = summarizer === 'heuristic' || !analyzed
+    ? emptyUsage()
+    : estimatePeriod({
+      repoFull, commitCount: Math.min(currentCount, analyzed), release: mode === 'release' ? { base: params.base, head: params.head } : null,
+      repos: multi ? entries.map(e => ({ repo: e.source.repoFull, branch: e.branch })) : null, budget, model: llm.model
+    });
+  const totals = [...counted, period].reduce((t, u) => ({
+    calls: t.calls + u.calls, inputTokens: t.inputTokens + u.inputTokens, outputTokens: t.outputTokens + u.outputTokens
+  }), { calls: 0, inputTokens: 0, outputTokens: 0 });
+  const costUsd = summarizer === 'heuristic' ? 0 : costOf(totals, price);
+  const maxCostUsd = params.maxCostUsd ?? null;
+  progress(`Estimate: ${totals.calls} LLM call(s), ${describeUsage(totals, price)}.`);
+  return {
+    mode, repo: repoFull, ...(multi && { repos: entries.map(e => ({ repo: e.source.repoFull, branch: e.branch })) }), summarizer,
+    model: summarizer === 'heuristic' ? null : llm.model,
+    price: price && { input: price.input, output: price.output },
+    commits: analyzed,
+    droppedCommits: commits.length - analyzed,
+    ...(windows.length > 1 && { previousPeriods: windows.length - 1, previousCommits: commits.length - currentCount }),
+    cachedSummaries: counted.filter(r => r.cached).length,
+    ...totals,
+    costUsd,
+    period: { ...period, costUsd: costOf(period, price) },
+    maxCostUsd,
+    withinBudget: maxCostUsd == null || costUsd == null ? null : costUsd <= maxCostUsd,
+    perCommit: counted
+  };
+}
+
+/** Results completed so far, in commit order (for partial job views). */
+export function partialResults(state) {
+  if (!state?.commits) return [];
+  return state.commits.filter(c => !c.period).map(c => state.done?.[commitKey(c)]).filter(r => r && !r.dropped);
+}
@@ -0,0 +1,312 @@
+// server/auth.js
+import crypto from 'node:crypto';
+import { jsonStore } from './store.js';
+import { parseRepo } from './sources.js';
+
+/**
+ * GitHub OAuth sign-in and per-user access control. Off unless GITHUB_CLIENT_ID and
+ * GITHUB_CLIENT_SECRET are set; the server then behaves as before (GITHUB_TOKEN for
+ * every request, no sign-in).
+ *
+ * When on, every API route except health, config and auth needs a session. Repo calls
+ * (branches, tags, estimates, analyses) use the signed-in user's OAuth token instead of
+ * GITHUB_TOKEN, so users only see repos they can read themselves. Jobs and reports
+ * belong to the user who started them.
+ *
+ * Sessions live in DATA_DIR/sessions, keyed by a random id in an HttpOnly cookie. The
+ * GitHub token is stored encrypted with a key derived from SESSION_SECRET.
+ */
+
+const CLIENT_ID = process.env.GITHUB_CLIENT_ID || '';
+const CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET || '';
+export const AUTH_ENABLED = Boolean(CLIENT_ID && CLIENT_SECRET);
+
+const SESSION_SECRET = process.env.SESSION_SECRET || '';
+if (AUTH_ENABLED && SESSION_SECRET.length < 16) {
+  throw new Error('SESSION_SECRET (16+ characters) is required when GitHub OAuth is configured.');
+}
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_DAYS) || 7) * 24 * 3600 * 1000;
+// Base URL of the app as the browser sees it; the OAuth callback and post-login redirect use it.
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const OAUTH_SCOPE = 'repo read:org';
+const STATE_TTL_MS = 10 * 60 * 1000;
+const REPO_ACCESS_TTL_MS = 10 * 60 * 1000;
+
+const csv = (v) => (v || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+const ALLOWED_USERS = csv(process.env.ALLOWED_GITHUB_USERS);
+const ALLOWED_ORGS = csv(process.env.ALLOWED_GITHUB_ORGS);
+// Operators allowed to run server-wide maintenance (purging the shared cache)
+const ADMIN_USERS = csv(process.env.ADMIN_GITHUB_USERS);
+
+// Analyses (new, resumed or re-run) one user may start per hour; 0 disables the limit.
+const USER_JOBS_PER_HOUR = Math.max(0, Number(process.env.USER_JOBS_PER_HOUR || 20) || 0);
+const USER_QUESTIONS_PER_HOUR = Math.max(0, Number(process.env.USER_QUESTIONS_PER_HOUR || 60) || 0);
+const USER_ESTIMATES_PER_HOUR = Math.max(0, Number(process.env.USER_ESTIMATES_PER_HOUR || 30) || 0);
+
+const SESSION_COOKIE = 'gcs_session';
+const STATE_COOKIE = 'gcs_oauth_state';
+
+const store = jsonStore('sessions');
+const sessions = new Map();     // id -> session (token still encrypted)
+const repoAccess = new Map();   // `${login}:${repo}` -> { ok, at }
+
+function authError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ============ Token encryption ============
+const KEY = crypto.createHash('sha256').update(`gcs-session:${SESSION_SECRET}`).digest();
+
+function seal(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join('.');
+}
+function unseal(sealed) {
+  try {
+    const [iv, tag, data] = sealed.split('.').map(s => Buffer.from(s, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch {
+    return null; // SESSION_SECRET changed: the session is unusable
+  }
+}
+
+// ============ Cookies ============
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i !== -1 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+function setCookie(req, res, name, value, maxAgeMs) {
+  const secure = PUBLIC_URL ? PUBLIC_URL.startsWith('https:') : req.secure;
+  res.append('Set-Cookie', [
+    `${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`, ...(secure ? ['Secure'] : [])
+  ].join('; '));
+}
+function baseUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// ============ Sessions ============
+export async function initAuth() {
+  if (!AUTH_ENABLED) return;
+  const now = Date.now();
+  for (const s of await store.list()) {
+    if (!s?.id) continue;
+    if (s.expiresAt < now) await store.remove(s.id);
+    else sessions.set(s.id, s);
+  }
+}
+
+function sessionOf(req) {
+  const id = readCookie(req, SESSION_COOKIE);
+  const s = id && sessions.get(id);
+  if (!s) return null;
+  if (s.expiresAt < Date.now()) {
+    sessions.delete(s.id);
+    store.remove(s.id).catch(() => {});
+    return null;
+  }
+  return s;
+}
+
+/** Express middleware: sets req.user ({ login, id, name, avatarUrl } or null) and req.githubToken. */
+export function authenticate(req, _res, next) {
+  const s = AUTH_ENABLED ? sessionOf(req) : null;
+  req.user = s?.user || null;
+  req.githubToken = s ? unseal(s.token) : undefined; // undefined: sources fall back to GITHUB_TOKEN
+  if (s && !req.githubToken) req.user = null;
+  next();
+}
+
+/** Express middleware for routes that need a signed-in user (a no-op when OAuth is off). */
+export function requireUser(req, res, next) {
+  if (!AUTH_ENABLED || req.user) return next();
+  res.status(401).json({ ok: false, error: 'Sign in with GitHub to use this server.' });
+}
+
+/**
+ * Token for background work started by `login` (jobs outlive requests). Uses the user's
+ * newest live session; undefined when OAuth is off, so GITHUB_TOKEN applies.
+ */
+export function githubTokenFor(login) {
+  if (!AUTH_ENABLED) return undefined;
+  if (!login) throw authError(401, 'This job was started before GitHub sign-in was enabled; start a new analysis.');
+  const s = [...sessions.values()]
+    .filter(s => s.user.login === login && s.expiresAt > Date.now())
+    .sort((a, b) => b.createdAt - a.createdAt)[0];
+  const token = s && unseal(s.token);
+  if (!token) throw authError(401, `No active session for ${login}; sign in again to run this job.`);
+  return token;
+}
+
+/**
+ * Express middleware for server-wide maintenance that affects every user: only ADMIN_GITHUB_USERS
+ * when OAuth is on (nobody if the list is empty); anyone when it is off, as for jobs and reports.
+ */
+export function requireAdmin(req, res, next) {
+  if (!AUTH_ENABLED || (req.user && ADMIN_USERS.includes(req.user.login.toLowerCase()))) return next();
+  res.status(403).json({ ok: false, error: 'Only server administrators (ADMIN_GITHUB_USERS) can do this.' });
+}
+
+/** The requester owns a job or report: always true when OAuth is off. */
+export function ownsResource(req, owner) {
+  return !AUTH_ENABLED || (Boolean(req.user) && owner === req.user.login);
+}
+
+/**
+ * Whether the signed-in user can read `repo` on GitHub (checked with their token, cached
+ * for a few minutes). Local clones are readable by every user, as ALLOW_LOCAL_REPOS is an
+ * operator decision.
+ */
+export async function canReadRepo(req, repo) {
+  if (!AUTH_ENABLED) return true;
+  if (!req.user) return false;
+  let parsed;
+  try { parsed = parseRepo(repo); } catch { return false; }
+  if (parsed.kind === 'local') return true;
+  const key = `${req.user.login}:${parsed.owner}/${parsed.repo}`.toLowerCase();
+  const hit = repoAccess.get(key);
+  if (hit && Date.now() - hit.at < REPO_ACCESS_TTL_MS) return hit.ok;
+  const r = await githubApi(`/repos/${parsed.owner}/${parsed.repo}`, req.githubToken).catch(() => null);
+  repoAccess.set(key, { ok: Boolean(r), at: Date.now() });
+  return Boolean(r);
+}
+
+// ============ Rate limits ============
+/**
+ * Middleware allowing `perHour` accepted requests per user (per IP when OAuth is off). The slot
+ * is taken before the route runs, so parallel requests cannot all pass the check, and given back
+ * when the response is not `acceptedStatus` (a rejected form does not use up the hour).
+ */
+function hourlyLimit({ perHour, acceptedStatus, what }) {
+  const starts = new Map();   // user key -> accepted timestamps within the last hour
+  return (req, res, next) => {
+    if (!perHour) return next();
+    const key = req.user ? `user:${req.user.login}` : `ip:${req.ip}`;
+    const now = Date.now();
+    const recent = (starts.get(key) || []).filter(t => now - t < 3600 * 1000);
+    starts.set(key, recent);
+    if (recent.length >= perHour) {
+      const retryAfter = Math.ceil((recent[0] + 3600 * 1000 - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ ok: false, error: `Limit of ${perHour} ${what} per hour reached; try again in ${Math.ceil(retryAfter / 60)} min.` });
+    }
+    recent.push(now);
+    // Later requests may have replaced the stored list, so the slot is looked up again.
+    res.on('finish', () => {
+      if (res.statusCode === acceptedStatus) return;
+      const list = starts.get(key) || [];
+      const i = list.indexOf(now);
+      if (i !== -1) list.splice(i, 1);
+    });
+    next();
+  };
+}
+
+/** Express middleware: at most USER_JOBS_PER_HOUR accepted job starts per user. */
+export const limitJobStarts = hourlyLimit({ perHour: USER_JOBS_PER_HOUR, acceptedStatus: 202, what: 'analyses' });
+
+/** Express middleware: at most USER_QUESTIONS_PER_HOUR answered report questions per user. */
+export const limitQuestions = hourlyLimit({ perHour: USER_QUESTIONS_PER_HOUR, acceptedStatus: 200, what: 'questions' });
+
+/** Express middleware: at most USER_ESTIMATES_PER_HOUR cost estimates per user (each one lists and fetches commits). */
+export const limitEstimates = hourlyLimit({ perHour: USER_ESTIMATES_PER_HOUR, acceptedStatus: 200, what: 'estimates' });
+
+// ============ GitHub OAuth ============
+async function githubApi(path, token) {
+  const r = await fetch(`https://api.github.com${path}`, {
+    headers: { Accept: 'application/vnd.github+json', Authorization: `Bearer ${token}`, 'User-Agent': 'gh-change-summarizer' }
+  });
+  if (!r.ok) throw authError(r.status, `GitHub ${path} failed (${r.status})`);
+  return r.json();
+}
+
+function allowed(login, orgs) {
+  if (!ALLOWED_USERS.length && !ALLOWED_ORGS.length) return true;
+  return ALLOWED_USERS.includes(login.toLowerCase()) || orgs.some(o => ALLOWED_ORGS.includes(o.toLowerCase()));
+}
+
+/** Summary for /api/config. */
+export function authInfo(req) {
+  return {
+    enabled: AUTH_ENABLED,
+    restricted: ALLOWED_USERS.length > 0 || ALLOWED_ORGS.length > 0,
+    jobsPerHour: USER_JOBS_PER_HOUR || null,
+    questionsPerHour: USER_QUESTIONS_PER_HOUR || null,
+    estimatesPerHour: USER_ESTIMATES_PER_HOUR || null,
+    user: req.user ? { login: req.user.login, name: req.user.name, avatarUrl: req.user.avatarUrl } : null
+  };
+}
+
+/** Mounts /api/auth/login, /api/auth/callback and /api/auth/logout on an Express app. */
+export function authRoutes(app) {
+  app.get('/api/auth/login', (req, res) => {
+    if (!AUTH_ENABLED) return res.status(404).json({ ok: false, error: 'GitHub sign-in is not configured on this server.' });
+    const state = crypto.randomBytes(16).toString('base64url');
+    setCookie(req, res, STATE_COOKIE, state, STATE_TTL_MS);
+    const url = new URL('https://github.com/login/oauth/authorize');
+    url.searchParams.set('client_id', CLIENT_ID);
+    url.searchParams.set('redirect_uri', `${baseUrl(req)}/api/auth/callback`);
+    url.searchParams.set('scope', OAUTH_SCOPE);
+    url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  });
+
+  app.get('/api/auth/callback', async (req, res) => {
+    const back = (error) => res.redirect(`${baseUrl(req)}/${error ? `?authError=${encodeURIComponent(error)}` : ''}`);
+    try {
+      if (!AUTH_ENABLED) return res.status(404).json({ ok: false, error: 'GitHub sign-in is not configured on this server.' });
+      const { code, state, error } = req.query;
+      if (error) return back(String(error));
+      const expected = readCookie(req, STATE_COOKIE);
+      setCookie(req, res, STATE_COOKIE, '', 0);
+      if (!code || !state || state !== expected) return back('Sign-in expired or was tampered with; try again.');
+
+      const r = await fetch('https://github.com/login/oauth/access_token', {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ client_id: CLIENT_ID, client_secret: CLIENT_SECRET, code, redirect_uri: `${baseUrl(req)}/api/auth/callback` })
+      });
+      const body = await r.json().catch(() => ({}));
+      if (!body.access_token) return back(body.error_description || 'GitHub did not return an access token.');
+
+      const gh = await githubApi('/user', body.access_token);
+      const orgs = (await githubApi('/user/orgs?per_page=100', body.access_token).catch(() => [])).map(o => o.login);
+      if (!allowed(gh.login, orgs)) return back(`@${gh.login} is not allowed to use this server.`);
+
+      const session = {
+        id: crypto.randomBytes(32).toString('base64url'),
+        user: { login: gh.login, id: gh.id, name: gh.name || gh.login, avatarUrl: gh.avatar_url },
+        token: seal(body.access_token),
+        createdAt: Date.now(),
+        expiresAt: Date.now() + SESSION_TTL_MS
+      };
+      sessions.set(session.id, session);
+      await store.put(session.id, session);
+      setCookie(req, res, SESSION_COOKIE, session.id, SESSION_TTL_MS);
+      back();
+    } catch (err) {
+      console.error(err);
+      back(String(err?.message || err));
+    }
+  });
+
+  app.post('/api/auth/logout', async (req, res) => {
+    const s = AUTH_ENABLED ? sessionOf(req) : null;
+    if (s) {
+      sessions.delete(s.id);
+      await store.remove(s.id).catch(() => {});
+    }
+    setCookie(req, res, SESSION_COOKIE, '', 0);
+    res.json({ ok: true });
+  });
+}
@@ -0,0 +1,90 @@
+// server/cache.js
+import crypto from 'node:crypto';
+import { jsonStore } from './store.js';
+
+// Commits are immutable, so entries never expire; purge via DELETE /api/cache when needed.
+export const CACHE_ENABLED = process.env.CACHE_DISABLED !== 'true';
+
+const stores = {
+  commits: jsonStore('cache/commits'),
+  summaries: jsonStore('cache/summaries')
+};
+export const CACHE_KINDS = Object.keys(stores);
+
+function hashKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+/** Short stable hash for summary variants (e.g. the list of files that survived path filters). */
+export function variantOf(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+function commitKey({ repoFull, sha }) {
+  return { repo: repoFull, sha };
+}
+function summaryKey({ repoFull, sha, model, promptVersion, variant = '' }) {
+  return { repo: repoFull, sha, model, promptVersion, variant };
+}
+
+async function read(kind, key) {
+  if (!CACHE_ENABLED) return null;
+  const entry = await stores[kind].get(hashKey(key));
+  return entry?.value ?? null;
+}
+async function write(kind, key, value) {
+  if (!CACHE_ENABLED) return;
+  await stores[kind].put(hashKey(key), { key, storedAt: new Date().toISOString(), value });
+}
+
+/** Normalized commit detail ({ files, stats }) keyed by repo + SHA. */
+export const getCachedCommit = (k) => read('commits', commitKey(k));
+export const putCachedCommit = (k, value) => write('commits', commitKey(k), value);
+
+/**
+ * AI commit summary keyed by repo + SHA + model + prompt version.
+ * `variant` distinguishes runs whose prompt input differs for the same commit.
+ */
+export const getCachedSummary = (k) => read('summaries', summaryKey(k));
+export const putCachedSummary = (k, value) => write('summaries', summaryKey(k), value);
+
+/** Per-run hit/miss bookkeeping, reported in the progress log and the result. */
+export function createCacheCounters() {
+  return { commitHits: 0, commitMisses: 0, summaryHits: 0, summaryMisses: 0 };
+}
+export function describeCacheCounters(c) {
+  return `Cache: commit details ${c.commitHits} hit / ${c.commitMisses} miss, ` +
+    `summaries ${c.summaryHits} hit / ${c.summaryMisses} miss.`;
+}
+
+export async function cacheStats() {
+  const out = { enabled: CACHE_ENABLED };
+  for (const kind of CACHE_KINDS) out[kind] = await stores[kind].stats();
+  return out;
+}
+
+/**
+ * Remove cache entries. Without a repo filter the whole kind is dropped;
+ * with one, entries are scanned and only that repo's are removed.
+ *
+ * @param {{ kind?: string, repo?: string }} opts
+ * @returns {Promise<Record<string, number>>} removed entry counts per kind
+ */
+export async function purgeCache({ kind, repo } = {}) {
+  if (kind && !CACHE_KINDS.includes(kind)) throw new Error(`Unknown cache kind "${kind}". Use one of: ${CACHE_KINDS.join(', ')}`);
+  const kinds = kind ? [kind] : CACHE_KINDS;
+  const removed = {};
+  for (const k of kinds) {
+    const store = stores[k];
+    if (!repo) {
+      removed[k] = (await store.stats()).entries;
+      await store.clear();
+      continue;
+    }
+    removed[k] = 0;
+    const wanted = repo.toLowerCase();
+    for (const id of await store.ids()) {
+      const entry = await store.get(id);
+      if (entry?.key?.repo?.toLowerCase() === wanted && await store.remove(id)) removed[k]++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+// server/cli.js
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+
+/**
+ * Headless entry point: runs the same pipeline as POST /api/analyze, without the web server.
+ *
+ *   gh-change-summarizer analyze owner/repo --since 2025-07-01 --until 2025-07-31 --format md -o report.md
+ *
+ * Progress goes to stderr, the report to --output or stdout.
+ * Exit codes: 0 ok, 1 failed, 2 bad usage, 3 estimate over --max-cost, 130 interrupted.
+ */
+
+const USAGE = `Usage: gh-change-summarizer analyze <repo> [options]
+
+<repo> is owner/repo, a GitHub URL, or a path to a local clone.
+
+Window (pick one):
+  --since <date>           start (YYYY-MM-DD or ISO timestamp); default: --days before --until
+  --until <date>           end (YYYY-MM-DD or ISO timestamp); default: now
+  --days <n>               window length when --since is omitted (default 7)
+  --base <ref> --head <ref>  release notes for the commits in base..head instead of a date window
+  --compare <n>            also analyze the n previous windows of the same length and report the trend
+
+Commits:
+  --branch <name>          branch to analyze (default: the repo's default branch)
+  --any-branch             every branch, deduplicated
+  --max-commits <n>        cap on analyzed commits (default 60)
+  --include-merges         include merge commits
+  --include <glob>         only summarize matching paths (repeatable or comma-separated)
+  --exclude <glob>         skip matching paths (repeatable or comma-separated)
+  --no-default-ignore      keep lockfiles, dist/, binaries, …
+  --drop-ignored           drop commits whose files are all filtered
+  --no-prs                 skip pull request lookups
+  --exclude-label <label>  skip commits from PRs with this label (repeatable or comma-separated)
+  --group-by-pr            group the changelog by pull request
+  --summarizer <name>      llm (default), heuristic (rules only, no LLM needed) or compare
+
+Output:
+  --format md|json         report format (default md)
+  -o, --output <file>      write the report to a file instead of stdout
+  --token-budget <n>       max prompt tokens per LLM call
+  --max-cost <usd>         stop making LLM calls once the run has cost this much
+  --estimate               print the expected LLM calls, tokens and cost, then exit (no LLM calls)
+  --no-cache               ignore cached commit details and summaries
+  -q, --quiet              no progress on stderr
+  --env-file <file>        extra .env file to load (server/.env and ./.env are always tried)
+  -h, --help               show this help
+`;
+
+const OPTIONS = {
+  since: { type: 'string' },
+  until: { type: 'string' },
+  days: { type: 'string' },
+  compare: { type: 'string' },
+  base: { type: 'string' },
+  head: { type: 'string' },
+  branch: { type: 'string' },
+  'any-branch': { type: 'boolean' },
+  'max-commits': { type: 'string' },
+  'include-merges': { type: 'boolean' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  'no-default-ignore': { type: 'boolean' },
+  'drop-ignored': { type: 'boolean' },
+  'no-prs': { type: 'boolean' },
+  'exclude-label': { type: 'string', multiple: true },
+  'group-by-pr': { type: 'boolean' },
+  summarizer: { type: 'string', default: 'llm' },
+  format: { type: 'string', default: 'md' },
+  output: { type: 'string', short: 'o' },
+  'token-budget': { type: 'string' },
+  'max-cost': { type: 'string' },
+  estimate: { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  'env-file': { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+const FORMATS = ['md', 'json'];
+
+class UsageError extends Error {}
+const controller = new AbortController(); // SIGINT
+
+// Date-only values cover whole UTC days, like the date pickers in the UI.
+function toTimestamp(value, endOfDay) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`).toISOString();
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new UsageError(`Invalid date "${value}"`);
+  return d.toISOString();
+}
+
+function parseCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  const [command, repo, ...extra] = positionals;
+  if (command !== 'analyze') throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+  if (!repo) throw new UsageError('Missing <repo>');
+  if (extra.length) throw new UsageError(`Unexpected argument "${extra[0]}"`);
+  if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}`);
+  if (Boolean(values.base) !== Boolean(values.head)) throw new UsageError('--base and --head go together');
+  if (values.base && (values.since || values.until || values.days || values.compare)) throw new UsageError('--base/--head cannot be combined with a date window');
+  if (values['any-branch'] && values.branch) throw new UsageError('--branch and --any-branch are exclusive');
+  return { repo, values };
+}
+
+function buildBody(repo, values) {
+  const body = {
+    repo,
+    includeMerges: Boolean(values['include-merges']),
+    maxCommits: values['max-commits'] ? Number(values['max-commits']) : undefined,
+    useCache: !values['no-cache'],
+    include: values.include || [],
+    exclude: values.exclude || [],
+    defaultIgnore: !values['no-default-ignore'],
+    dropIgnoredCommits: Boolean(values['drop-ignored']),
+    tokenBudget: values['token-budget'] ? Number(values['token-budget']) : undefined,
+    enrichPRs: !values['no-prs'],
+    excludeLabels: values['exclude-label'] || [],
+    groupByPR: Boolean(values['group-by-pr']),
+    summarizer: values.summarizer,
+    maxCostUsd: values['max-cost']
+  };
+  if (values.base) return { ...body, mode: 'release', base: values.base, head: values.head };
+
+  const until = values.until ? toTimestamp(values.until, true) : new Date().toISOString();
+  const days = values.days ? Number(values.days) : 7;
+  if (!(days > 0)) throw new UsageError('--days must be a positive number');
+  const since = values.since ? toTimestamp(values.since, false) : new Date(Date.parse(until) - days * 864e5).toISOString();
+  return {
+    ...body, mode: 'period', since, until, branch: values['any-branch'] ? '__ANY__' : values.branch,
+    comparePeriods: values.compare ? Number(values.compare) : undefined
+  };
+}
+
+// --estimate output; exit code 3 when the estimate exceeds --max-cost, so CI can gate on it.
+async function printEstimate(estimate, values, { describeUsage, formatCost }) {
+  const text = values.format === 'json'
+    ? JSON.stringify(estimate, null, 2) + '\n'
+    : [
+      `Estimate for ${estimate.repo} (${estimate.summarizer}${estimate.model ? `, ${estimate.model}` : ''})`,
+      `Commits: ${estimate.commits} (${estimate.cachedSummaries} cached, ${estimate.droppedCommits} dropped)`,
+      `LLM calls: ${estimate.calls}`,
+      `Tokens: ${describeUsage(estimate, estimate.price)}`,
+      `Cost: ${formatCost(estimate.costUsd)}${estimate.maxCostUsd != null ? ` (budget ${formatCost(estimate.maxCostUsd)})` : ''}`
+    ].join('\n') + '\n';
+  if (values.output) await fs.writeFile(values.output, text);
+  else process.stdout.write(text);
+  return estimate.withinBudget === false ? 3 : 0;
+}
+
+async function main(argv) {
+  const { help, repo, values } = parseCli(argv);
+  if (help) { process.stdout.write(USAGE); return 0; }
+
+  // Env has to be loaded before the pipeline modules read it at import time.
+  const serverDir = path.dirname(fileURLToPath(import.meta.url));
+  for (const file of [values['env-file'], path.join(process.cwd(), '.env'), path.join(serverDir, '.env')].filter(Boolean)) {
+    dotenv.config({ path: file }); // never overrides variables that are already set
+  }
+  // ALLOW_LOCAL_REPOS guards the web server; the CLI already runs with the caller's own file access.
+  process.env.ALLOW_LOCAL_REPOS = 'true';
+
+  const { createLLM } = await import('./llm.js');
+  const { createCommitSource } = await import('./sources.js');
+  const { normalizeParams, runAnalysis, estimateAnalysis, ANY_BRANCH } = await import('./analyze.js');
+  const { describeUsage, formatCost } = await import('./usage.js');
+
+  const body = buildBody(repo, values);
+  let params;
+  try {
+    params = normalizeParams(body);
+  } catch (err) {
+    if (err.status === 400) throw new UsageError(err.message);
+    throw err;
+  }
+  const llm = createLLM();
+  // An estimate never calls the model, so it needs no key.
+  if (!values.estimate && params.summarizer !== 'heuristic' && !llm.ready) throw new Error(`No API key for LLM provider "${llm.provider}" (set it in server/.env or the environment, or use --summarizer heuristic).`);
+
+  const log = values.quiet ? () => {} : (msg) => process.stderr.write(`[${new Date().toISOString().slice(11, 19)}] ${msg}\n`);
+  if (params.mode === 'period' && !params.branch) {
+    params.branch = await createCommitSource(params.repo).getDefaultBranch({ signal: controller.signal });
+    log(`Using default branch "${params.branch}".`);
+  }
+  if (params.branch === ANY_BRANCH) log('Analyzing all branches.');
+  if (values.estimate) return printEstimate(await estimateAnalysis(params, { llm, progress: log, signal: controller.signal }), values, { describeUsage, formatCost });
+
+  process.once('SIGINT', () => { log('Interrupted; stopping…'); controller.abort(); });
+
+  const result = await runAnalysis(params, { llm, progress: log, signal: controller.signal });
+  const report = values.format === 'json' ? JSON.stringify(result, null, 2) + '\n' : result.summaryMarkdown.replace(/\n*$/, '\n');
+  if (values.output) {
+    await fs.writeFile(values.output, report);
+    log(`Report written to ${values.output}.`);
+  } else {
+    process.stdout.write(report);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    if (err instanceof UsageError) {
+      process.stderr.write(`Error: ${err.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+    } else if (controller.signal.aborted) {
+      process.exitCode = 130;
+    } else {
+      process.stderr.write(`Error: ${err?.message || err}\n`);
+      process.exitCode = 1;
+    }
+  }
+);
@@ -0,0 +1,246 @@
+// server/export.js
+import { Marked } from 'marked';
+import PDFDocument from 'pdfkit';
+import { isBreaking } from './summarize.js';
+import { escapeHtml, safeRenderer } from '../shared/markdown.js';
+
+/**
+ * Renders an analysis result (a saved report or a finished job's result) for download.
+ * Everything except the period summary itself is built from the structured commit
+ * data, so exports are deterministic and cost no LLM calls.
+ */
+
+export const EXPORT_FORMATS = ['html', 'pdf', 'json', 'csv', 'changelog', 'md'];
+
+const shortSha = (sha) => String(sha || '').slice(0, 7);
+const firstLine = (s) => String(s || '').split('\n')[0];
+// One-line description of a commit: first summary bullet, else the commit subject.
+const headline = (c) => firstLine(c.ai?.summary).replace(/^[-*•]\s*/, '').trim() || firstLine(c.message);
+const day = (iso) => (iso ? String(iso).slice(0, 10) : '');
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// The period summary is rendered with raw HTML as text and unsafe links dropped
+const safeMarked = new Marked({ renderer: safeRenderer });
+
+function title(result) {
+  return result.mode === 'release'
+    ? `Release Notes: ${result.repo} ${result.base} → ${result.head}`
+    : `Change Summary: ${result.repo} ${day(result.since)} → ${day(result.until)}`;
+}
+
+/** Download name without extension, e.g. "owner-repo-2025-07-01_2025-07-31". */
+export function exportBasename(result) {
+  const name = result.mode === 'release'
+    ? `${result.repo}-${result.base}_${result.head}`
+    : `${result.repo}-${day(result.since)}_${day(result.until)}`;
+  return name.replace(/[\\/:*?"<>|\s]+/g, '-');
+}
+
+// ---------- CSV ----------
+// Multi-repo results get a leading "repo" column.
+const CSV_COLUMNS = ['sha', 'date', 'author', 'type', 'risk', 'areas', 'summary', 'additions', 'deletions', 'pull_requests', 'signals', 'message'];
+
+// A leading = + - @ (or tab/CR) makes spreadsheets read the cell as a formula; commit
+// messages and summaries are author-controlled, so such cells are prefixed with '.
+function csvCell(v) {
+  let s = String(v ?? '');
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function renderCsv(result) {
+  const multi = Boolean(result.repos);
+  const rows = (result.commits || []).map(c => [
+    ...(multi ? [c.repo] : []),
+    c.sha,
+    c.date,
+    c.author,
+    c.ai?.change_type || '',
+    c.ai?.risk || '',
+    (c.ai?.areas || []).join('; '),
+    c.ai?.unsummarized ? '' : c.ai?.summary,
+    c.stats?.additions ?? 0,
+    c.stats?.deletions ?? 0,
+    (c.pulls || []).map(p => `#${p.number}`).join(' '),
+    [...new Set((c.signals || []).map(s => s.kind))].join('; '),
+    firstLine(c.message)
+  ]);
+  return [multi ? ['repo', ...CSV_COLUMNS] : CSV_COLUMNS, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ---------- Keep a Changelog ----------
+// change_type -> section; docs/test/style/ci/chore are left out as not user-facing.
+const CHANGELOG_SECTIONS = [
+  ['Added', ['feat']],
+  ['Changed', ['refactor', 'perf', 'build', 'other']],
+  ['Fixed', ['fix']]
+];
+
+/**
+ * A CHANGELOG.md section (https://keepachangelog.com). Release reports are versioned by
+ * their head ref and dated by the newest commit; period reports go under [Unreleased].
+ * Breaking changes are listed first in their section and marked **BREAKING**.
+ */
+export function renderKeepAChangelog(result) {
+  const commits = result.commits || [];
+  const heading = result.mode === 'release'
+    ? `## [${String(result.head).replace(/^v(?=\d)/, '')}] - ${day(result.until)}`
+    : '## [Unreleased]';
+  const entry = (c) => {
+    const ref = `${c.repo ? `${c.repo} ` : ''}${c.pulls?.[0] ? `[#${c.pulls[0].number}](${c.pulls[0].url})` : shortSha(c.sha)}`;
+    return `- ${isBreaking(c.message) ? '**BREAKING** ' : ''}${headline(c).replace(/\s*\n\s*/g, ' ')} (${ref})`;
+  };
+  const out = [heading];
+  for (const [section, types] of CHANGELOG_SECTIONS) {
+    // Unsummarized commits have no type; they land under Changed so nothing disappears.
+    const list = commits.filter(c => types.includes(c.ai?.change_type || 'other'));
+    if (!list.length) continue;
+    list.sort((a, b) => isBreaking(b.message) - isBreaking(a.message));
+    out.push('', `### ${section}`, '', ...list.map(entry));
+  }
+  if (out.length === 1) out.push('', '_No user-facing changes._');
+  return out.join('\n') + '\n';
+}
+
+// ---------- HTML ----------
+const HTML_STYLE = `
+  body { font: 15px/1.55 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2328; max-width: 980px; margin: 32px auto; padding: 0 20px; }
+  h1 { font-size: 26px; margin-bottom: 4px; } h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 4px; margin-top: 32px; }
+  .meta { color: #59636e; font-size: 13px; } .badge { display: inline-block; border: 1px solid #d0d7de; border-radius: 999px; padding: 1px 8px; margin: 2px 4px 2px 0; font-size: 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; } th, td { border: 1px solid #d0d7de; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; } code { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; background: #f6f8fa; padding: 1px 4px; border-radius: 4px; }
+  .risk-high { color: #cf222e; font-weight: 600; } .risk-medium { color: #9a6700; } a { color: #0969da; }
+  @media print { body { margin: 0; max-width: none; } }
+`;
+
+function renderStatsBadges(result) {
+  const a = result.aggregate || {};
+  const badges = [
+    `Commits: ${a.count ?? (result.commits || []).length}`,
+    `Files: ${a.files ?? 0}`,
+    `LOC: +${a.additions ?? 0}/-${a.deletions ?? 0}`,
+    a.pullRequests ? `PRs: ${a.pullRequests}` : null,
+    ...Object.entries(a.typeCounts || {}).map(([t, n]) => `${t}: ${n}`),
+    ...Object.entries(a.riskCounts || {}).map(([r, n]) => `risk ${r}: ${n}`)
+  ].filter(Boolean);
+  return badges.map(b => `<span class="badge">${escapeHtml(b)}</span>`).join('');
+}
+
+export function renderHtml(result, { report } = {}) {
+  const multi = Boolean(result.repos);
+  const rows = (result.commits || []).map(c => {
+    const prs = (c.pulls || []).map(p => `<a href="${escapeHtml(p.url)}">#${p.number}</a>`).join(' ');
+    const summary = c.ai?.unsummarized ? `<em>unsummarized</em> — ${escapeHtml(firstLine(c.message))}` : escapeHtml(c.ai?.summary).replace(/\n/g, '<br>');
+    return `<tr>${multi ? `<td>${escapeHtml(c.repo)}</td>` : ''}<td><code>${shortSha(c.sha)}</code></td><td>${escapeHtml(day(c.date))}</td><td>${escapeHtml(c.author)}</td>`
+      + `<td>${escapeHtml(c.ai?.change_type || '')}</td><td class="risk-${escapeHtml(c.ai?.risk)}">${escapeHtml(c.ai?.risk || '')}</td>`
+      + `<td>${summary}</td><td>+${c.stats?.additions ?? 0}/-${c.stats?.deletions ?? 0}</td><td>${prs}</td></tr>`;
+  }).join('\n');
+  const generated = report?.model ? ` · ${escapeHtml(report.model.provider)}/${escapeHtml(report.model.model)}` : '';
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title(result))}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title(result))}</h1>
+<div class="meta">Generated ${escapeHtml(new Date(report?.createdAt || Date.now()).toISOString().slice(0, 16).replace('T', ' '))} UTC${generated}</div>
+<p>${renderStatsBadges(result)}</p>
+${safeMarked.parse(result.summaryMarkdown || '')}
+<h2>Commits</h2>
+<table>
+<thead><tr>${multi ? '<th>Repo</th>' : ''}<th>SHA</th><th>Date</th><th>Author</th><th>Type</th><th>Risk</th><th>Summary</th><th>LOC</th><th>PR</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// ---------- PDF ----------
+// The built-in PDF fonts only cover WinAnsi (Latin-1 plus a few typographic marks).
+const winAnsi = (s) => String(s ?? '').replace(/→/g, '->').replace(/[^\x00-\xFF–—‘’“”•…€™]/gu, '?');
+// Markdown inline syntax the PDF renderer drops: emphasis, code ticks, links (keeps the text).
+const plain = (s) => winAnsi(s)
+  .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+  .replace(/(\*\*|__|`)/g, '')
+  .replace(/(^|\s)[*_]([^*_]+)[*_](?=\s|$)/g, '$1$2');
+
+/** A simple typeset PDF: the summary markdown line by line, then one block per commit. */
+export function renderPdf(result, { report } = {}) {
+  return new Promise((resolve, reject) => {
+    const heading = winAnsi(title(result));
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: heading } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const gray = '#59636e';
+    doc.font('Helvetica-Bold').fontSize(18).text(heading);
+    doc.font('Helvetica').fontSize(9).fillColor(gray)
+      .text(winAnsi(`Generated ${new Date(report?.createdAt || Date.now()).toISOString().slice(0, 16).replace('T', ' ')} UTC${report?.model ? ` · ${report.model.provider}/${report.model.model}` : ''}`))
+      .fillColor('black').moveDown();
+
+    let inTable = false;
+    for (const raw of String(result.summaryMarkdown || '').split('\n')) {
+      const line = raw.trimEnd();
+      const h = line.match(/^(#{1,6})\s+(.*)$/);
+      if (/^\|?\s*:?-{3,}/.test(line)) continue; // table separator row
+      if (line.startsWith('|')) {
+        // Tables become "cell · cell" lines; the header row is bold.
+        const cells = line.replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(s => plain(s.trim().replace(/\\\|/g, '|')));
+        doc.font(inTable ? 'Helvetica' : 'Helvetica-Bold').fontSize(9).text(cells.join('  ·  '));
+        inTable = true;
+        continue;
+      }
+      inTable = false;
+      if (h) {
+        doc.moveDown(0.5).font('Helvetica-Bold').fontSize(h[1].length <= 1 ? 15 : h[1].length === 2 ? 13 : 11).text(plain(h[2]));
+      } else if (/^\s*[-*]\s+/.test(line)) {
+        const indent = line.match(/^\s*/)[0].length;
+        doc.font('Helvetica').fontSize(10).text(`•  ${plain(line.replace(/^\s*[-*]\s+/, ''))}`, { indent: 10 + indent * 4 });
+      } else if (line) {
+        doc.font('Helvetica').fontSize(10).text(plain(line));
+      } else {
+        doc.moveDown(0.4);
+      }
+    }
+
+    doc.addPage().font('Helvetica-Bold').fontSize(15).text('Commits').moveDown(0.5);
+    for (const c of result.commits || []) {
+      const tags = [c.ai?.change_type, c.ai?.risk && `risk ${c.ai.risk}`, ...(c.pulls || []).map(p => `PR #${p.number}`)].filter(Boolean).join(' · ');
+      doc.font('Helvetica-Bold').fontSize(10).text(winAnsi(`${c.repo ? `[${c.repo}] ` : ''}${shortSha(c.sha)}  ${firstLine(c.message)}`));
+      doc.font('Helvetica').fontSize(8).fillColor(gray)
+        .text(winAnsi(`${day(c.date)} · ${c.author} · +${c.stats?.additions ?? 0}/-${c.stats?.deletions ?? 0}${tags ? ` · ${tags}` : ''}`))
+        .fillColor('black');
+      doc.fontSize(9).text(c.ai?.unsummarized ? '(unsummarized)' : plain(c.ai?.summary), { indent: 10 }).moveDown(0.6);
+    }
+    doc.end();
+  });
+}
+
+/**
+ * @returns {Promise<{ body: string|Buffer, contentType: string, filename: string }>}
+ */
+export async function renderExport(result, format, { report } = {}) {
+  const name = exportBasename(result);
+  switch (format) {
+    case 'html': return { body: renderHtml(result, { report }), contentType: 'text/html; charset=utf-8', filename: `${name}.html` };
+    case 'pdf': return { body: await renderPdf(result, { report }), contentType: 'application/pdf', filename: `${name}.pdf` };
+    case 'json': return { body: JSON.stringify(result, null, 2) + '\n', contentType: 'application/json; charset=utf-8', filename: `${name}.json` };
+    case 'csv': return { body: renderCsv(result), contentType: 'text/csv; charset=utf-8', filename: `${name}.csv` };
+    case 'changelog': return { body: renderKeepAChangelog(result), contentType: 'text/markdown; charset=utf-8', filename: 'CHANGELOG.md' };
+    case 'md': return { body: String(result.summaryMarkdown || '').replace(/\n*$/, '\n'), contentType: 'text/markdown; charset=utf-8', filename: `${name}.md` };
+    default: throw badRequest(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
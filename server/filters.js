@@ -0,0 +1,115 @@
+// server/filters.js
+
+/**
+ * Built-in noise filter: generated, vendored and binary files that add tokens but no insight.
+ * Same pattern rules as user globs (see globToRegExp).
+ */
+export const DEFAULT_IGNORE = [
+  // lockfiles
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+  'Cargo.lock', 'Gemfile.lock', 'composer.lock', 'poetry.lock', 'Pipfile.lock', 'go.sum', 'mix.lock',
+  // build output + vendored code
+  'node_modules/', 'dist/', 'build/', 'out/', '.next/', 'coverage/', 'vendor/', 'third_party/',
+  // minified bundles, source maps, snapshots
+  '*.min.js', '*.min.css', '*.map', '__snapshots__/', '*.snap',
+  // binaries
+  '*.{png,jpg,jpeg,gif,bmp,ico,webp,avif,psd}',
+  '*.{woff,woff2,ttf,otf,eot}',
+  '*.{pdf,zip,gz,tgz,bz2,xz,7z,rar,jar,war}',
+  '*.{exe,dll,so,dylib,a,o,class,wasm,pyc}',
+  '*.{mp3,mp4,mov,avi,wav,ogg,webm}'
+];
+
+function escapeRegex(ch) { return /[.+^${}()|[\]\\]/.test(ch) ? '\\' + ch : ch; }
+
+/**
+ * Converts a glob into a RegExp over a repo-relative path. Rules (gitignore-flavoured):
+ *   *  any run of characters except "/"        ** any run including "/"
+ *   ?  one character except "/"                {a,b} alternatives      [abc] character class
+ *   a pattern without "/" matches the basename at any depth ("*.lock", "yarn.lock")
+ *   a trailing "/" matches everything under a directory of that name ("dist/")
+ *   a leading "/" anchors the pattern to the repo root ("/docs/**")
+ */
+export function globToRegExp(glob) {
+  let g = String(glob).trim();
+  const anchored = g.startsWith('/');
+  if (anchored) g = g.slice(1);
+  const dirOnly = g.endsWith('/');
+  if (dirOnly) g = g.slice(0, -1);
+  if (!anchored && !g.includes('/')) g = '**/' + g;
+  if (dirOnly) g += '/**';
+
+  let re = '';
+  let braceDepth = 0;
+  for (let i = 0; i < g.length; i++) {
+    const ch = g[i];
+    if (ch === '*') {
+      if (g[i + 1] === '*') {
+        const slashAfter = g[i + 2] === '/';
+        re += slashAfter ? '(?:.*/)?' : '.*';
+        i += slashAfter ? 2 : 1;
+      } else {
+        re += '[^/]*';
+      }
+    } else if (ch === '?') re += '[^/]';
+    else if (ch === '{') { re += '(?:'; braceDepth++; }
+    else if (ch === '}' && braceDepth) { re += ')'; braceDepth--; }
+    else if (ch === ',' && braceDepth) re += '|';
+    else if (ch === '[') {
+      const end = g.indexOf(']', i + 1);
+      if (end === -1) { re += '\\['; continue; }
+      re += '[' + g.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else re += escapeRegex(ch);
+  }
+  return new RegExp('^' + re + '$');
+}
+
+/** Accepts an array or a comma/newline separated string; returns trimmed, non-empty globs. */
+export function normalizeGlobs(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  return list.map(s => String(s).trim()).filter(Boolean);
+}
+
+function compile(globs) {
+  return normalizeGlobs(globs).map(glob => ({ glob, re: globToRegExp(glob) }));
+}
+
+// GitHub omits `patch` for binary files; a changed file with no patch and no line counts is one.
+function looksBinary(f) {
+  return !f.patch && !f.additions && !f.deletions && f.status !== 'removed' && f.status !== 'renamed';
+}
+
+/**
+ * Builds a reusable path filter.
+ *
+ * @param {{ include?: string[]|string, exclude?: string[]|string, defaultIgnore?: boolean }} opts
+ * @returns {(files: object[]) => object[]} marks filtered files with `skipped: true` and a `skipReason`
+ */
+export function createPathFilter({ include, exclude, defaultIgnore = true } = {}) {
+  const inc = compile(include);
+  const exc = compile(exclude);
+  const def = defaultIgnore ? compile(DEFAULT_IGNORE) : [];
+
+  function reasonFor(f) {
+    const name = f.filename;
+    if (inc.length && !inc.some(p => p.re.test(name))) return 'not included';
+    const userHit = exc.find(p => p.re.test(name));
+    if (userHit) return `excluded (${userHit.glob})`;
+    const defHit = def.find(p => p.re.test(name));
+    if (defHit) return `default ignore (${defHit.glob})`;
+    if (defaultIgnore && looksBinary(f)) return 'no diff (binary or empty)';
+    return null;
+  }
+
+  const filter = (files) => files.map(f => {
+    const skipReason = reasonFor(f);
+    return skipReason ? { ...f, skipped: true, skipReason } : f;
+  });
+  filter.describe = () => [
+    inc.length && `include ${inc.map(p => p.glob).join(', ')}`,
+    exc.length && `exclude ${exc.map(p => p.glob).join(', ')}`,
+    def.length && 'default noise filter'
+  ].filter(Boolean).join('; ') || 'none';
+  return filter;
+}
@@ -0,0 +1,280 @@
+// server/heuristic.js
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { globToRegExp } from './filters.js';
+import { CHANGE_TYPES } from './schema.js';
+import {
+  PERIOD_SECTIONS, RELEASE_SECTIONS, REPO_SECTION, TREND_SECTION, describeRepoAggregate, isBreaking, renderContributors, renderChangelogTable, renderPullRequestChangelog
+} from './summarize.js';
+import { describeTrend } from './trends.js';
+
+/**
+ * Deterministic summarizer: fills the same `ai` fields as the LLM from rules, so an
+ * analysis can run without a model (summarizer: "heuristic") or be checked against
+ * one (summarizer: "compare").
+ *
+ *   change_type  Conventional Commit prefix, else subject keywords, else what the files are
+ *   areas        path → area mappings (AREA_MAP_FILE first, then the built-in rules)
+ *   risk         churn, file count, sensitive paths, breaking-change markers
+ *   test_impact  whether test files changed alongside code
+ */
+
+export const HEURISTIC_VERSION = 1;
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+// Built-in path → area rules; every matching rule tags the file. Same glob syntax as path filters.
+const DEFAULT_AREA_RULES = [
+  ['{.github,.gitlab,.circleci,.buildkite}/', 'ci'], ['{Jenkinsfile,.gitlab-ci.yml,.travis.yml,azure-pipelines.yml}', 'ci'],
+  ['{Dockerfile,*.dockerfile,docker-compose*.{yml,yaml},compose.{yml,yaml}}', 'infra'],
+  ['{terraform,infra,deploy,deployment,k8s,kubernetes,helm,charts,ansible}/', 'infra'], ['*.{tf,tfvars}', 'infra'],
+  ['{migrations,migrate,db,schema}/', 'db'], ['*.sql', 'db'], ['*.prisma', 'db'],
+  ['{auth,security,oauth,session,sessions,permissions}/', 'auth'], ['*{auth,login,session,password,crypto,token,acl}*', 'auth'],
+  ['{docs,doc,documentation}/', 'docs'], ['*.{md,mdx,rst,adoc,txt}', 'docs'],
+  ['{test,tests,__tests__,spec,specs,e2e,testdata,fixtures}/', 'tests'], ['*.{test,spec}.*', 'tests'], ['*_test.{go,py,rb,exs}', 'tests'], ['test_*.py', 'tests'],
+  ['{api,routes,controllers,handlers,server,graphql,rpc}/', 'api'],
+  ['{ui,components,pages,views,client,frontend,web,app/assets,styles}/', 'ui'], ['*.{css,scss,sass,less,jsx,tsx,vue,svelte,html}', 'ui'],
+  ['{package.json,go.mod,Cargo.toml,pyproject.toml,setup.py,setup.cfg,requirements*.txt,Gemfile,*.gemspec,pom.xml,build.gradle*,*.csproj,composer.json}', 'deps'],
+  ['{Makefile,CMakeLists.txt,*.config.{js,ts,mjs,cjs},tsconfig*.json,.babelrc,webpack.*,vite.*,rollup.*}', 'build']
+];
+// Areas whose changes raise risk to at least medium.
+const SENSITIVE_AREAS = new Set(['auth', 'db', 'infra', 'ci', 'deps']);
+// Churn (added + deleted lines) and file-count thresholds.
+const MEDIUM_CHURN = 200, HIGH_CHURN = 800;
+const MEDIUM_FILES = 10, HIGH_FILES = 30;
+
+function loadAreaRules() {
+  const file = process.env.AREA_MAP_FILE;
+  let custom = [];
+  if (file) {
+    try {
+      const map = JSON.parse(fs.readFileSync(path.resolve(HERE, file), 'utf8'));
+      custom = Object.entries(map).map(([glob, area]) => [glob, String(area)]);
+    } catch (err) {
+      throw new Error(`AREA_MAP_FILE: could not read ${file} (${err.message})`);
+    }
+  }
+  return [...custom, ...DEFAULT_AREA_RULES].map(([glob, area]) => ({ re: globToRegExp(glob), area }));
+}
+const AREA_RULES = loadAreaRules();
+
+export function areasOf(filename) {
+  return [...new Set(AREA_RULES.filter(r => r.re.test(filename)).map(r => r.area))];
+}
+const isTestFile = (f) => areasOf(f.filename).includes('tests');
+const isDocFile = (f) => areasOf(f.filename).includes('docs');
+
+// ============ Change type ============
+
+const CONVENTIONAL_RE = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+const TYPE_ALIASES = { feature: 'feat', bugfix: 'fix', hotfix: 'fix', doc: 'docs', tests: 'test', deps: 'build', dep: 'build', revert: 'other', release: 'chore' };
+const KEYWORD_TYPES = [
+  [/^(fix(e[sd])?|bug|hotfix|resolve[sd]?|correct)\b/i, 'fix'],
+  [/^(add(s|ed)?|implement(s|ed)?|introduce[sd]?|support|allow|enable)\b/i, 'feat'],
+  [/^(refactor|clean ?up|rename|move|extract|simplify|restructure)/i, 'refactor'],
+  [/^(bump|upgrade|update (deps|dependencies))\b/i, 'build'],
+  [/^(doc(s|ument)?|readme)\b/i, 'docs'],
+  [/^(speed up|optimi[sz]e|perf)/i, 'perf'],
+  [/^(format|lint|style)\b/i, 'style']
+];
+
+// Subject line without leading ticket/tracker tags like "[ABC-123]".
+const subjectOf = (message) => String(message || '').split('\n')[0].replace(/^(\[[^\]]*\]\s*)+/, '').trim();
+
+/** Parses "type(scope)!: description"; null when the subject is not a Conventional Commit. */
+export function parseConventionalCommit(message) {
+  const m = subjectOf(message).match(CONVENTIONAL_RE);
+  if (!m) return null;
+  const raw = m[1].toLowerCase();
+  const type = TYPE_ALIASES[raw] || raw;
+  return {
+    type: CHANGE_TYPES.includes(type) ? type : null,
+    scope: m[2] || null,
+    breaking: Boolean(m[3]) || isBreaking(message),
+    description: m[4].trim()
+  };
+}
+
+function classify(subject, conventional, files) {
+  if (conventional?.type) return conventional.type;
+  const text = conventional?.description || subject;
+  for (const [re, type] of KEYWORD_TYPES) if (re.test(text)) return type;
+  if (files.length) {
+    const every = (area) => files.every(f => areasOf(f.filename).includes(area));
+    if (every('tests')) return 'test';
+    if (every('docs')) return 'docs';
+    if (every('ci')) return 'ci';
+    if (files.every(f => ['build', 'deps'].some(a => areasOf(f.filename).includes(a)))) return 'build';
+  }
+  return 'other';
+}
+
+// ============ Risk ============
+
+/**
+ * Risk level plus the reasons behind it (reasons are shown in the heuristic period summary).
+ * @param {{ filename: string, additions?: number, deletions?: number }[]} files - files the summary covers
+ */
+export function assessRisk(files, message) {
+  const churn = files.reduce((n, f) => n + (f.additions || 0) + (f.deletions || 0), 0);
+  const sensitive = [...new Set(files.flatMap(f => areasOf(f.filename)).filter(a => SENSITIVE_AREAS.has(a)))];
+  const reasons = [];
+  let level = 'low';
+  const raise = (to, reason) => {
+    reasons.push(reason);
+    if (to === 'high' || level === 'low') level = to;
+  };
+  if (isBreaking(message)) raise('high', 'declares a breaking change');
+  if (churn >= HIGH_CHURN) raise('high', `${churn} lines changed`);
+  else if (churn >= MEDIUM_CHURN) raise('medium', `${churn} lines changed`);
+  if (files.length >= HIGH_FILES) raise('high', `${files.length} files`);
+  else if (files.length >= MEDIUM_FILES) raise('medium', `${files.length} files`);
+  if (sensitive.length) raise('medium', `touches ${sensitive.join(', ')}`);
+  return { level, reasons };
+}
+
+// ============ Commit summary ============
+
+/**
+ * Rule-based equivalent of summarizeCommit: returns an object matching COMMIT_SUMMARY_SCHEMA.
+ * `files` are the files left after path filters.
+ */
+export function heuristicSummary({ commit, files, pulls = [] }) {
+  const message = commit.commit.message;
+  const subject = subjectOf(message);
+  const conventional = parseConventionalCommit(message);
+  const change_type = classify(subject, conventional, files);
+
+  const areaCounts = new Map();
+  for (const f of files) for (const a of areasOf(f.filename)) areaCounts.set(a, (areaCounts.get(a) || 0) + 1);
+  const areas = [...areaCounts.entries()].sort((a, b) => b[1] - a[1]).map(([a]) => a);
+  if (conventional?.scope && !areas.includes(conventional.scope)) areas.unshift(conventional.scope);
+
+  const tests = files.filter(isTestFile);
+  const code = files.filter(f => !isTestFile(f) && !isDocFile(f));
+  const test_impact = tests.length
+    ? `Tests changed: ${tests.slice(0, 3).map(f => f.filename).join(', ')}${tests.length > 3 ? ` and ${tests.length - 3} more` : ''}.`
+    : code.length ? `No test changes alongside ${code.length} code file(s); tests recommended.` : 'None (no code changes).';
+
+  const churn = (f) => (f.additions || 0) + (f.deletions || 0);
+  const notable_files = [...files].sort((a, b) => churn(b) - churn(a)).slice(0, 3).map(f => f.filename);
+  const additions = files.reduce((n, f) => n + (f.additions || 0), 0);
+  const deletions = files.reduce((n, f) => n + (f.deletions || 0), 0);
+
+  const bullets = [`- ${conventional?.description || subject}`];
+  if (files.length) bullets.push(`- ${files.length} file(s) changed (+${additions}/-${deletions})${areas.length ? ` in ${areas.slice(0, 4).join(', ')}` : ''}.`);
+  if (pulls[0]) bullets.push(`- Part of #${pulls[0].number}: ${pulls[0].title}`);
+
+  return {
+    summary: bullets.join('\n'),
+    change_type,
+    areas: areas.slice(0, 6),
+    risk: assessRisk(files, message).level,
+    test_impact,
+    notable_files
+  };
+}
+
+// ============ Period summary ============
+
+const shortSha = (sha) => sha.slice(0, 7);
+const headline = (c) => String(c.ai?.summary || '').split('\n')[0].replace(/^[-*•]\s*/, '') || c.message.split('\n')[0];
+const ref = (c) => `${c.repo ? `${c.repo} ` : ''}${c.pulls?.length ? `${shortSha(c.sha)}, #${c.pulls[0].number}` : shortSha(c.sha)}`;
+const MAX_LISTED = 8;
+
+function listCommits(commits, empty, prefix = '') {
+  if (!commits.length) return empty ? [empty] : [];
+  const lines = commits.slice(0, MAX_LISTED).map(c => `- ${prefix}${headline(c)} (${ref(c)})`);
+  if (commits.length > MAX_LISTED) lines.push(`- …and ${commits.length - MAX_LISTED} more`);
+  return lines;
+}
+
+/**
+ * Fixed-template period summary (or release notes with `release`), built from commit
+ * results and the aggregate only. Section headings match the LLM prompts, so reports
+ * from both summarizers read the same.
+ */
+export function renderHeuristicSummary({ repoFull, since, until, aggregate, repos = null, trend = null, commits, groupByPR = false, release = null }) {
+  const byType = (...types) => commits.filter(c => types.includes(c.ai?.change_type));
+  const breaking = commits.filter(c => isBreaking(c.message));
+  const risky = commits.filter(c => c.ai?.risk === 'high' && !isBreaking(c.message));
+  const untested = commits.filter(c => /tests recommended/.test(c.ai?.test_impact || ''));
+  // Docs often ship inside feature commits, so any docs file counts, not only docs-type commits
+  const docsChanged = commits.some(c => (c.files || []).some(isDocFile));
+  const authors = new Set(commits.map(c => c.author)).size;
+  const counts = Object.entries(aggregate.typeCounts || {}).sort((a, b) => b[1] - a[1]).map(([t, n]) => `${t} ${n}`).join(', ');
+  const window = release ? `${release.base} → ${release.head}` : `${String(since).slice(0, 10)} → ${String(until).slice(0, 10)}`;
+  const overview = [
+    `- ${aggregate.count} commit(s) by ${authors} author(s) in ${repoFull} (${window}); ${aggregate.files} files, +${aggregate.additions}/-${aggregate.deletions} lines.`,
+    ...(counts ? [`- By type: ${counts}.`] : []),
+    ...(aggregate.pullRequests ? [`- ${aggregate.pullRequests} pull request(s); ${aggregate.unlinkedCommits} commit(s) without one.`] : [])
+  ];
+  const riskLines = [
+    ...breaking.map(c => `- **Breaking:** ${headline(c)} (${ref(c)})`),
+    ...risky.slice(0, MAX_LISTED).map(c => {
+      const { reasons } = assessRisk(c.files.filter(f => !f.skipped), c.message);
+      return `- ${headline(c)} (${ref(c)}): ${reasons.join('; ') || 'high risk'}`;
+    })
+  ];
+  const note = '_Generated from commit metadata by deterministic rules (no LLM)._';
+
+  let parts;
+  if (release) {
+    const [highlights, features, fixes, breakingH, upgrade] = RELEASE_SECTIONS;
+    parts = [
+      `# Release Notes: ${release.head}`, note, '',
+      highlights, ...overview, '',
+      features, ...listCommits(byType('feat'), '- None.'), '',
+      fixes, ...listCommits(byType('fix'), '- None.'), '',
+      breakingH, ...(breaking.length ? breaking.map(c => `- ${headline(c)} (${ref(c)})`) : ['None.']), '',
+      upgrade, breaking.length ? '- Review the breaking changes above before upgrading.' : 'No action required.'
+    ];
+  } else {
+    const [title, highlights, risks, areas, nextSteps] = PERIOD_SECTIONS;
+    const areaCounts = new Map();
+    commits.forEach(c => (c.ai?.areas || []).forEach(a => areaCounts.set(a, (areaCounts.get(a) || 0) + 1)));
+    const steps = [
+      ...(untested.length ? [`- Add or verify tests for ${untested.length} commit(s) that changed code without tests: ${untested.slice(0, 5).map(c => shortSha(c.sha)).join(', ')}${untested.length > 5 ? ', …' : '.'}`] : []),
+      ...(breaking.length || risky.length ? [`- QA the ${breaking.length + risky.length} high-risk change(s) listed above.`] : []),
+      ...(byType('feat').length && !docsChanged ? ['- Document the new features; no docs changes were found in this window.'] : []),
+      ...(aggregate.unsummarized ? [`- ${aggregate.unsummarized} commit(s) could not be classified.`] : [])
+    ];
+    parts = [
+      title, note, '',
+      highlights, ...overview,
+      ...listCommits(byType('feat', 'perf'), '- No new features.', 'Feature: '),
+      ...listCommits(byType('fix'), null, 'Fix: '), '',
+      ...(repos ? [REPO_SECTION, ...repos.map(r => `- ${describeRepoAggregate(r)}`), ''] : []),
+      ...(trend ? [TREND_SECTION, ...describeTrend(trend), ''] : []),
+      risks, ...(riskLines.length ? riskLines : ['- None flagged.']), '',
+      areas, ...(areaCounts.size
+        ? [...areaCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10).map(([a, n]) => `- ${a}: ${n} commit(s)`)
+        : ['- (n/a)']), '',
+      nextSteps, ...(steps.length ? steps : ['- No follow-ups detected.'])
+    ];
+  }
+
+  const out = [parts.join('\n')];
+  if (release) out.push(renderContributors(commits));
+  out.push(groupByPR ? renderPullRequestChangelog(commits) : renderChangelogTable(commits));
+  return `${out.join('\n\n')}\n`;
+}
+
+/** How often the LLM and the rules agree, over commits that have both (compare mode). */
+export function compareWithBaseline(results) {
+  const compared = results.filter(r => r.baseline && !r.ai.unsummarized);
+  const mismatches = compared
+    .filter(r => r.ai.change_type !== r.baseline.change_type || r.ai.risk !== r.baseline.risk)
+    .map(r => ({
+      sha: r.sha,
+      change_type: { llm: r.ai.change_type, heuristic: r.baseline.change_type },
+      risk: { llm: r.ai.risk, heuristic: r.baseline.risk }
+    }));
+  return {
+    compared: compared.length,
+    changeTypeAgreement: compared.filter(r => r.ai.change_type === r.baseline.change_type).length,
+    riskAgreement: compared.filter(r => r.ai.risk === r.baseline.risk).length,
+    mismatches
+  };
+}
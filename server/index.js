@@ -2,172 +2,122 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import { Octokit } from 'octokit';
-import OpenAI from 'openai';
+import { CACHE_KINDS, cacheStats, purgeCache } from './cache.js';
+import { ALLOW_LOCAL_REPOS, createCommitSource } from './sources.js';
+import { createLLM } from './llm.js';
+import { DEFAULT_IGNORE } from './filters.js';
+import { DEFAULT_TOKEN_BUDGET } from './summarize.js';
+import { MAX_REPOS, normalizeParams, estimateAnalysis } from './analyze.js';
+import { progressStream } from './progress.js';
+import {
+  TERMINAL, initJobs, createJob, getJob, listJobs, publicJob, cancelJob, resumeJob, deleteJob
+} from './jobs.js';
+import { initReports, listReports, getReport, deleteReport, addQuestionUsage } from './reports.js';
+import { renderExport } from './export.js';
+import { answerQuestion, questionBudgetExceeded } from './qa.js';
+import { limitLLM } from './ratelimit.js';
+import {
+  AUTH_ENABLED, initAuth, authRoutes, authInfo, authenticate, requireUser, requireAdmin, limitJobStarts, limitQuestions, limitEstimates,
+  githubTokenFor, ownsResource, canReadRepo
+} from './auth.js';
+import { WEBHOOKS_ENABLED, initWebhooks, handleGithubWebhook, listDeliveries, getDelivery, retryDelivery } from './webhooks.js';
+import {
+  initSchedules, listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule, runSchedule, publicSchedule
+} from './schedules.js';
+import { MAIL_ENABLED } from './mailer.js';
 
 const app = express();
-app.use(cors());
+// CORS_ORIGINS: comma-separated origins that may call the API with cookies; "*" allows any
+// origin without them. Unset means same-origin only (the Vite dev proxy is same-origin).
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+if (CORS_ORIGINS.includes('*')) app.use(cors());
+else if (CORS_ORIGINS.length) app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+// GitHub webhooks authenticate by HMAC over the exact body, so this route reads it raw (before express.json).
+app.post('/api/webhooks/github', express.raw({ type: () => true, limit: '25mb' }), handleGithubWebhook);
 app.use(express.json({ limit: '8mb' }));
+app.use(authenticate);
 
 // --- ENV ---
 const PORT = process.env.PORT || 8787;
-const DEFAULT_BRANCH = 'main';
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-const ANY_BRANCH = '__ANY__';
 
-// Add this:
-const IS_GPT5 = (OPENAI_MODEL || '').toLowerCase().includes('gpt-5');
+// Init LLM provider (LLM_PROVIDER, see llm.js)
+const llm = createLLM();
 
-// Init OpenAI
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-/** Create OpenAI response with model-specific options.
- *  GPT-5 models ignore/ban `temperature`, so omit it when model includes "gpt-5".
- */
-function createOpenAIResponse(input) {
-  const opts = { model: OPENAI_MODEL, input };
-  if (!IS_GPT5) opts.temperature = 0.2;
-  return openai.responses.create(opts);
-}
-
-// ============ Progress Streaming (SSE) ============
-const channels = new Map(); // id -> { res?, buffer: string[] }
-
-/**
- * Sends progress updates to a specific channel by writing to the response stream if available,
- * or buffering the message if the response stream is not yet set.
- *
- * @param {string} id - The unique identifier for the channel.
- * @param {string} text - The progress message to send.
- */
-function progressSend(id, text) {
-  if (!id) return;
-  const ch = channels.get(id) || { buffer: [] };
-  const line = String(text);
-  if (ch.res) {
-    ch.res.write(`data: ${JSON.stringify({ ts: Date.now(), msg: line })}\n\n`);
-  } else {
-    ch.buffer.push(line);
-    if (ch.buffer.length > 2000) ch.buffer.shift();
-  }
-  channels.set(id, ch);
-}
-function progressDone(id) {
-  const ch = channels.get(id);
-  if (ch?.res) ch.res.write(`event: done\ndata: ${JSON.stringify({ ts: Date.now() })}\n\n`);
-  channels.delete(id);
-}
-app.get('/api/progress/:id', (req, res) => {
-  const { id } = req.params;
-  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
-  res.flushHeaders?.();
-  const ch = channels.get(id) || { buffer: [] };
-  ch.res = res;
-  channels.set(id, ch);
-  for (const line of ch.buffer) res.write(`data: ${JSON.stringify({ ts: Date.now(), msg: line })}\n\n`);
-  res.write(`event: ready\ndata: ${JSON.stringify({ ts: Date.now() })}\n\n`);
-  const ping = setInterval(() => res.write(`: ping ${Date.now()}\n\n`), 15000);
-  req.on('close', () => { clearInterval(ping); if (channels.get(id)?.res === res) channels.get(id).res = null; });
-});
+// ============ Public routes: health, config, sign-in ============
+app.get('/api/health', (_req, res) => res.json({ ok: true }));
 
-// ============ Config endpoint for UI indicators ============
-app.get('/api/config', (_req, res) => {
+// Config endpoint for UI indicators
+app.get('/api/config', (req, res) => {
   res.json({
-    hasOpenAIKey: Boolean(process.env.OPENAI_API_KEY),
-    hasGithubToken: Boolean(process.env.GITHUB_TOKEN),
-    openaiModel: OPENAI_MODEL
+    // With sign-in on, repo calls use the user's token rather than GITHUB_TOKEN
+    hasGithubToken: AUTH_ENABLED ? Boolean(req.user) : Boolean(process.env.GITHUB_TOKEN),
+    auth: authInfo(req),
+    webhooks: WEBHOOKS_ENABLED,
+    schedules: { email: MAIL_ENABLED },
+    allowLocalRepos: ALLOW_LOCAL_REPOS,
+    defaultIgnore: DEFAULT_IGNORE,
+    tokenBudget: DEFAULT_TOKEN_BUDGET,
+    maxReposPerReport: MAX_REPOS,
+    llm: {
+      provider: llm.provider,
+      model: llm.model,
+      baseURL: llm.baseURL,
+      requiresKey: llm.capabilities.requiresKey,
+      structuredOutput: llm.capabilities.structuredOutput,
+      hasKey: llm.hasKey,
+      ready: llm.ready
+    }
   });
 });
 
-// ============ Utilities ============
-function parseRepo(input) {
-  const urlish = (input || '').trim();
-  const matchUrl = urlish.match(/github\.com\/([^/]+)\/([^/.]+)(?:\.git)?/i);
-  if (matchUrl) return { owner: matchUrl[1], repo: matchUrl[2] };
-  const matchSimple = urlish.match(/^([^/]+)\/([^/]+)$/);
-  if (matchSimple) return { owner: matchSimple[1], repo: matchSimple[2] };
-  throw new Error('Invalid repo format. Use "owner/repo" or a GitHub URL.');
-}
-function truncate(str, max = 12000) { if (!str) return ''; return str.length > max ? str.slice(0, max) + '\n...[truncated]...' : str; }
-function isMergeCommit(commit) { return Array.isArray(commit.parents) && commit.parents.length > 1; }
+authRoutes(app);
 
-function buildCommitPrompt({ repoFull, commit, files }) {
-  const fileList = files.map(f => `- ${f.filename} (+${f.additions}/-${f.deletions})`).join('\n');
-  const patches = files.map(f => [
-    `FILE: ${f.filename} (${f.status}, +${f.additions}/-${f.deletions})`,
-    truncate(f.patch ?? '', 4000)
-  ].join('\n')).join('\n\n');
+// Everything below needs a session when GitHub sign-in is on
+app.use('/api', requireUser);
 
-  return [
-    `You are a senior engineer writing concise, actionable commit summaries.`,
-    `Repository: ${repoFull}`,
-    `Commit: ${commit.sha.slice(0,7)} | Author: ${commit.commit.author?.name || 'unknown'} | Date: ${commit.commit.author?.date || 'unknown'}`,
-    `Title: ${commit.commit.message.split('\n')[0]}`,
-    `Files changed:\n${fileList || '(none)'}\n`,
-    `Diff hunks (truncated as needed):\n${patches || '(no patch available)'}\n\n`,
-    `OUTPUT STRICT JSON with this shape (and nothing else):`,
-    `{
-      "summary": "1-3 bullets, terse but informative. What changed and why (if inferable).",
-      "change_type": "feat|fix|refactor|docs|chore|test|build|ci|perf|style|other",
-      "areas": ["short tags like 'api', 'ui', 'build', 'infra', 'auth'"],
-      "risk": "low|medium|high",
-      "test_impact": "did tests change or are tests recommended?",
-      "notable_files": ["top 3 relevant files"]
-    }`
-  ].join('\n');
-}
-async function summarizeCommit({ repoFull, commit, files }) {
-  const prompt = buildCommitPrompt({ repoFull, commit, files });
-  const resp = await createOpenAIResponse(prompt);
-  try {
-    const text = resp.output_text?.trim() || '';
-    return JSON.parse(text);
-  } catch {
-    return {
-      summary: "Could not parse summary (model returned non-JSON).",
-      change_type: "other",
-      areas: [],
-      risk: "low",
-      test_impact: "N/A",
-      notable_files: files.slice(0,3).map(f => f.filename)
-    };
+// Jobs belong to the user who started them; others get a 404, not a hint that the id exists.
+function ownJob(req, res) {
+  const job = getJob(req.params.id);
+  if (!job || !ownsResource(req, job.owner)) {
+    res.status(404).json({ ok: false, error: 'Job not found' });
+    return null;
   }
+  return job;
 }
-function buildPeriodPrompt({ repoFull, since, until, aggregate, commitSummaries }) {
-  const bullets = commitSummaries.map(c => `- ${c.sha.slice(0,7)}: ${c.ai?.summary || '(no summary)'}`).join('\n');
-  return [
-    `You are creating a crisp, executive-ready summary of code changes over a period.`,
-    `Repository: ${repoFull}`,
-    `Window: ${since} to ${until}`,
-    `Commits: ${aggregate.count}, Files changed: ${aggregate.files}, LOC +${aggregate.additions}/-${aggregate.deletions}`,
-    `Change-type counts: ${JSON.stringify(aggregate.typeCounts)}`,
-    `Risk distribution: ${JSON.stringify(aggregate.riskCounts)}`,
-    `Areas touched (top): ${aggregate.topAreas.join(', ') || '(n/a)'}`,
-    `Below are commit-level bullets:`,
-    bullets,
-    `\nReturn MARKDOWN with these sections:\n` +
-    `# Period Summary\n## Highlights\n## Potential Risks / Breaking Changes\n## Areas & Components Touched\n## Suggested Next Steps (QA, docs, cleanup)\n## Changelog (by commit)\n` +
-    `Render the changelog as a table with: short SHA, date, author, one-liner summary.`
-  ].join('\n');
+// True when the user can read every one of `repos` (a multi-repo report needs them all).
+async function canReadRepos(req, repos) {
+  return (await Promise.all(repos.map(repo => canReadRepo(req, repo)))).every(Boolean);
+}
+// Reports are readable by their owner and by anyone who can read the repo(s) on GitHub.
+async function readableReport(req, res) {
+  const report = await getReport(req.params.id);
+  if (!report || !(ownsResource(req, report.owner) || await canReadRepos(req, report.repoKeys || [report.params.repo]))) {
+    res.status(404).json({ ok: false, error: 'Report not found' });
+    return null;
+  }
+  return report;
 }
 
+// ============ Progress Streaming (SSE) ============
+app.get('/api/progress/:id', (req, res) => {
+  if (ownJob(req, res)) progressStream(req, res);
+});
+
 // ============ Repo meta (validate + branches) ============
 app.get('/api/repo/branches', async (req, res) => {
   try {
     const { repo } = req.query;
     if (!repo) return res.status(400).json({ ok: false, error: 'Missing ?repo=owner/repo' });
-    const { owner, repo: repoName } = parseRepo(repo);
-    const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-
-    const r = await octokit.rest.repos.get({ owner, repo: repoName });
-    // List branches (paginated)
-    const branches = await octokit.paginate(octokit.rest.repos.listBranches, { owner, repo: repoName, per_page: 100 });
+    const source = createCommitSource(repo, { githubToken: req.githubToken });
+    const info = await source.getRepoInfo();
     res.json({
       ok: true,
-      repo: `${owner}/${repoName}`,
-      defaultBranch: r.data.default_branch,
-      private: r.data.private,
-      branches: branches.map(b => b.name).sort((a,b)=>a.localeCompare(b))
+      repo: source.repoFull,
+      kind: source.kind,
+      defaultBranch: info.defaultBranch,
+      private: info.private,
+      branches: info.branches.sort((a,b)=>a.localeCompare(b))
     });
   } catch (err) {
     const code = err.status || 500;
@@ -175,127 +125,304 @@ app.get('/api/repo/branches', async (req, res) => {
   }
 });
 
-// ============ API ============
-app.get('/api/health', (_req, res) => res.json({ ok: true }));
-
-app.post('/api/analyze', async (req, res) => {
-  const startedAt = Date.now();
-  const {
-    repo, since, until,
-    branch,               // string or "__ANY__"
-    includeMerges = false,
-    maxCommits = 60,
-    requestId
-  } = req.body || {};
-
-  const progress = (msg) => progressSend(requestId, msg);
-
+// Tags for release-notes ref pickers (newest first where the source can tell)
+app.get('/api/repo/tags', async (req, res) => {
   try {
-    if (!repo || !since || !until) return res.status(400).json({ error: 'repo, since, and until are required' });
-
-    progress(`Starting analysis for ${repo} from ${since} to ${until}…`);
-    const { owner, repo: repoName } = parseRepo(repo);
-    const repoFull = `${owner}/${repoName}`;
-    const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+    const { repo } = req.query;
+    if (!repo) return res.status(400).json({ ok: false, error: 'Missing ?repo=owner/repo' });
+    const source = createCommitSource(repo, { githubToken: req.githubToken });
+    res.json({ ok: true, repo: source.repoFull, tags: await source.listTags() });
+  } catch (err) {
+    const code = err.status || 500;
+    res.status(code).json({ ok: false, error: String(err?.message || err) });
+  }
+});
 
-    // Collect commits
-    let commits = [];
-    if (branch === ANY_BRANCH) {
-      progress('Loading branches for ANY selection…');
-      const branches = await octokit.paginate(octokit.rest.repos.listBranches, { owner, repo: repoName, per_page: 100 });
-      const names = branches.map(b => b.name);
-      progress(`Found ${names.length} branches. Aggregating commits across all…`);
+// ============ Cache (inspect + purge) ============
+app.get('/api/cache', async (_req, res) => {
+  try {
+    res.json({ ok: true, ...(await cacheStats()) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+// Purging is shared by every user (their runs pay to re-summarize), so it is for administrators.
+app.delete('/api/cache', requireAdmin, async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !CACHE_KINDS.includes(kind)) return res.status(400).json({ ok: false, error: `kind must be one of: ${CACHE_KINDS.join(', ')}` });
+    const repo = req.query.repo ? createCommitSource(req.query.repo).id : undefined;
+    const removed = await purgeCache({ kind, repo });
+    res.json({ ok: true, removed });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
 
-      const seen = new Map(); // sha -> commit obj from listCommits
-      for (const bname of names) {
-        progress(`Listing commits for branch "${bname}"…`);
-        const list = await octokit.paginate(octokit.rest.repos.listCommits, {
-          owner, repo: repoName, since, until, per_page: 100, sha: bname
-        });
-        for (const c of list) {
-          if (!includeMerges && isMergeCommit(c)) continue;
-          if (!seen.has(c.sha)) {
-            seen.set(c.sha, c);
-            if (seen.size >= maxCommits) break;
-          }
-        }
-        if (seen.size >= maxCommits) break;
-      }
-      commits = Array.from(seen.values());
-      // Sort by author date desc for readability
-      commits.sort((a,b) => new Date(b.commit.author?.date || b.commit.committer?.date || 0) - new Date(a.commit.author?.date || a.commit.committer?.date || 0));
-      progress(`Aggregated ${commits.length} unique commits across branches (cap ${maxCommits}).`);
-    } else {
-      const shaParam = branch || DEFAULT_BRANCH;
-      progress(`Listing commits for branch "${shaParam}"…`);
-      const listParams = { owner, repo: repoName, since, until, per_page: 100, sha: shaParam };
-      const listed = await octokit.paginate(octokit.rest.repos.listCommits, listParams);
-      commits = (includeMerges ? listed : listed.filter(c => !isMergeCommit(c))).slice(0, Math.min(maxCommits, listed.length));
-      progress(`Found ${commits.length} commits to analyze.`);
+// ============ API ============
+// Starts an analysis as a background job; poll /api/jobs/:id and stream /api/progress/:jobId.
+app.post('/api/analyze', limitJobStarts, async (req, res) => {
+  try {
+    const params = normalizeParams(req.body || {});
+    if (params.summarizer !== 'heuristic' && !llm.ready) {
+      return res.status(400).json({ ok: false, error: `No API key for LLM provider "${llm.provider}". Set one in server/.env, or use summarizer "heuristic".` });
     }
+    const job = await createJob(params, { owner: req.user?.login ?? null });
+    res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
 
-    // For each commit, fetch details + summarize
-    const results = [];
-    let aggFiles = 0, aggAdd = 0, aggDel = 0;
-    const typeCounts = {}, riskCounts = {};
-    const areaCounts = new Map();
-
-    for (let i = 0; i < commits.length; i++) {
-      const c = commits[i];
-      const shaShort = c.sha.slice(0,7);
-      progress(`(${i+1}/${commits.length}) Fetching commit ${shaShort} details…`);
-
-      const detail = await octokit.rest.repos.getCommit({ owner, repo: repoName, ref: c.sha });
-      const files = (detail.data.files || []).map(f => ({
-        filename: f.filename,
-        status: f.status,
-        additions: f.additions || 0,
-        deletions: f.deletions || 0,
-        changes: f.changes || 0,
-        patch: f.patch || ''
-      }));
-
-      aggFiles += files.length;
-      aggAdd += detail.data.stats?.additions || 0;
-      aggDel += detail.data.stats?.deletions || 0;
-
-      progress(`(${i+1}/${commits.length}) Summarizing ${shaShort} "${c.commit.message.split('\n')[0]}"…`);
-      const ai = await summarizeCommit({ repoFull, commit: c, files });
+// Dry run: what an /api/analyze call with this body would cost. Fetches commits, never calls the LLM.
+app.post('/api/estimate', limitEstimates, async (req, res) => {
+  try {
+    const params = normalizeParams(req.body || {});
+    const estimate = await estimateAnalysis(params, { llm, githubToken: req.githubToken });
+    res.json({ ok: true, estimate });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
 
-      typeCounts[ai.change_type] = (typeCounts[ai.change_type] || 0) + 1;
-      riskCounts[ai.risk] = (riskCounts[ai.risk] || 0) + 1;
-      (ai.areas || []).forEach(a => areaCounts.set(a, (areaCounts.get(a) || 0) + 1));
+// ============ Jobs ============
+app.get('/api/jobs', (req, res) => {
+  res.json({ ok: true, jobs: listJobs().filter(j => ownsResource(req, j.owner)).map(j => {
+    const { result, ...rest } = publicJob(j);
+    return { ...rest, hasResult: Boolean(result) };
+  }) });
+});
+app.get('/api/jobs/:id', (req, res) => {
+  const job = ownJob(req, res);
+  if (!job) return;
+  res.json({ ok: true, job: publicJob(job, { partial: req.query.partial === '1' }) });
+});
+// Cancels a queued/running job; deletes a finished one.
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = ownJob(req, res);
+    if (!job) return;
+    if (TERMINAL.has(job.status)) {
+      await deleteJob(job.id);
+      return res.json({ ok: true, deleted: true });
+    }
+    await cancelJob(job.id);
+    res.json({ ok: true, job: publicJob(job) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+app.post('/api/jobs/:id/resume', limitJobStarts, (req, res) => {
+  try {
+    if (!ownJob(req, res)) return;
+    const job = resumeJob(req.params.id);
+    res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
 
-      results.push({
-        sha: c.sha,
-        date: c.commit.author?.date || c.commit.committer?.date,
-        author: c.commit.author?.name || c.commit.committer?.name || 'unknown',
-        message: c.commit.message,
-        files,
-        stats: { additions: detail.data.stats?.additions || 0, deletions: detail.data.stats?.deletions || 0 },
-        ai
-      });
+// ============ Report history ============
+app.get('/api/reports', async (req, res) => {
+  try {
+    // Signed-in users list their own reports plus webhook reports (no owner) for repos they can read;
+    // other users' reports open by permalink when the repo is readable.
+    const reports = listReports({ repo: req.query.repo || undefined });
+    const visible = await Promise.all(reports.map(r => ownsResource(req, r.owner) || (r.owner == null && canReadRepos(req, r.repoKeys))));
+    res.json({ ok: true, reports: reports.filter((_, i) => visible[i]) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+app.get('/api/reports/:id', async (req, res) => {
+  try {
+    const report = await readableReport(req, res);
+    if (!report) return;
+    res.json({ ok: true, report });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+app.delete('/api/reports/:id', async (req, res) => {
+  try {
+    const report = await getReport(req.params.id);
+    if (!report || !ownsResource(req, report.owner) || !(await deleteReport(report.id))) {
+      return res.status(404).json({ ok: false, error: 'Report not found' });
+    }
+    res.json({ ok: true, deleted: true });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+// Starts a new job with the saved report's parameters (same window/refs, filters and options).
+app.post('/api/reports/:id/rerun', limitJobStarts, async (req, res) => {
+  try {
+    const report = await readableReport(req, res);
+    if (!report) return;
+    const params = normalizeParams(report.params);
+    if (params.summarizer !== 'heuristic' && !llm.ready) {
+      return res.status(400).json({ ok: false, error: `No API key for LLM provider "${llm.provider}".` });
     }
+    const job = await createJob(params, { owner: req.user?.login ?? null });
+    res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Q&A over a saved report: body { question, history?: [{ question, answer }] }. Search-only without
+// an LLM key, or once the report's or the server's Q&A cost budget is spent.
+app.post('/api/reports/:id/ask', limitQuestions, async (req, res) => {
+  try {
+    const report = await readableReport(req, res);
+    if (!report) return;
+    const { question, history = [] } = req.body || {};
+    const budgetExceeded = llm.ready ? questionBudgetExceeded(report, llm.model) : null;
+    const abort = new AbortController();
+    res.on('close', () => { if (!res.writableFinished) abort.abort(); });
+    const answer = await answerQuestion({
+      llm: llm.ready && !budgetExceeded ? limitLLM(llm, { signal: abort.signal }) : null, result: report.result, question, history,
+      budget: report.result.tokenBudget || DEFAULT_TOKEN_BUDGET, signal: abort.signal
+    });
+    if (answer.usage) await addQuestionUsage(report.id, answer.usage);
+    res.json({ ok: true, ...answer, ...(budgetExceeded && { budgetExceeded }) });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
 
-    const sortedAreas = [...areaCounts.entries()].sort((a,b)=>b[1]-a[1]).map(([k]) => k);
-    const aggregate = { count: results.length, files: aggFiles, additions: aggAdd, deletions: aggDel, typeCounts, riskCounts, topAreas: sortedAreas.slice(0, 10) };
+// ============ Webhook deliveries (log + retry) ============
+app.get('/api/webhooks/deliveries', async (req, res) => {
+  try {
+    const list = listDeliveries({ status: req.query.status || undefined });
+    const visible = await Promise.all(list.map(d => !d.repo || canReadRepo(req, d.repo)));
+    res.json({ ok: true, deliveries: list.filter((_, i) => visible[i]) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+app.get('/api/webhooks/deliveries/:id', async (req, res) => {
+  const delivery = getDelivery(req.params.id);
+  if (!delivery || (delivery.repo && !(await canReadRepo(req, delivery.repo)))) return res.status(404).json({ ok: false, error: 'Delivery not found' });
+  res.json({ ok: true, delivery });
+});
+// Re-sends failed notifications, or re-runs the summary when that is what failed.
+app.post('/api/webhooks/deliveries/:id/retry', async (req, res) => {
+  try {
+    const delivery = getDelivery(req.params.id);
+    if (!delivery || (delivery.repo && !(await canReadRepo(req, delivery.repo)))) return res.status(404).json({ ok: false, error: 'Delivery not found' });
+    res.status(202).json({ ok: true, delivery: await retryDelivery(delivery.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
 
-    progress('Generating period summary…');
-    const periodPrompt = buildPeriodPrompt({ repoFull, since, until, aggregate, commitSummaries: results.map(r => ({ sha: r.sha, ai: r.ai })) });
-    const periodResp = await createOpenAIResponse(periodPrompt);
-    const summaryMarkdown = periodResp.output_text?.trim() || '# Period Summary\n(No content)';
+// ============ Scheduled reports ============
+// Schedules belong to the user who created them, like jobs.
+function ownSchedule(req, res) {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule || !ownsResource(req, schedule.owner)) {
+    res.status(404).json({ ok: false, error: 'Schedule not found' });
+    return null;
+  }
+  return schedule;
+}
+// Scheduled runs use GITHUB_TOKEN, so the user must be able to read every repo themselves.
+// An organization's repo list is only known at run time, so org schedules need sign-in off.
+async function checkScheduleRepos(req, res, params) {
+  if (!params) return true;
+  if (params.org && AUTH_ENABLED) {
+    res.status(403).json({ ok: false, error: 'Organization schedules are not available with GitHub sign-in; list the repositories instead' });
+    return false;
+  }
+  const repos = [params.repo, ...(Array.isArray(params.repos) ? params.repos : []).map(r => (typeof r === 'string' ? r : r?.repo))];
+  for (const repo of repos.filter(Boolean)) {
+    if (await canReadRepo(req, repo)) continue;
+    res.status(403).json({ ok: false, error: `You do not have access to ${repo}` });
+    return false;
+  }
+  return true;
+}
+app.get('/api/schedules', (req, res) => {
+  res.json({ ok: true, schedules: listSchedules().filter(s => ownsResource(req, s.owner)).map(publicSchedule) });
+});
+app.post('/api/schedules', async (req, res) => {
+  try {
+    if (!(await checkScheduleRepos(req, res, req.body?.params))) return;
+    const schedule = await createSchedule(req.body || {}, { owner: req.user?.login ?? null });
+    res.status(201).json({ ok: true, schedule: publicSchedule(schedule) });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = ownSchedule(req, res);
+  if (schedule) res.json({ ok: true, schedule: publicSchedule(schedule) });
+});
+app.put('/api/schedules/:id', async (req, res) => {
+  try {
+    if (!ownSchedule(req, res)) return;
+    if (!(await checkScheduleRepos(req, res, req.body?.params))) return;
+    res.json({ ok: true, schedule: publicSchedule(await updateSchedule(req.params.id, req.body || {})) });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    if (!ownSchedule(req, res)) return;
+    await deleteSchedule(req.params.id);
+    res.json({ ok: true, deleted: true });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+// Runs a schedule now (its window ends now); the run is recorded like a scheduled one.
+app.post('/api/schedules/:id/run', limitJobStarts, async (req, res) => {
+  try {
+    if (!ownSchedule(req, res)) return;
+    const run = await runSchedule(req.params.id, { manual: true });
+    res.status(202).json({ ok: true, jobId: run.jobId, run });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
 
-    progress(`Done in ${Math.round((Date.now()-startedAt)/1000)}s.`);
-    progressDone(requestId);
-    res.json({ repo: repoFull, since, until, summaryMarkdown, commits: results, aggregate });
+// ============ Export (html | pdf | json | csv | changelog | md) ============
+function sendExport(res, { body, contentType, filename }) {
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.send(body);
+}
+app.get('/api/reports/:id/export', async (req, res) => {
+  try {
+    const report = await readableReport(req, res);
+    if (!report) return;
+    sendExport(res, await renderExport(report.result, req.query.format, { report }));
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+// Renders a finished job's result, e.g. one whose report could not be saved. Only results
+// the server produced are exported, never content posted by the client.
+app.get('/api/jobs/:id/export', async (req, res) => {
+  try {
+    const job = ownJob(req, res);
+    if (!job) return;
+    if (job.status !== 'completed' || !job.result) return res.status(409).json({ ok: false, error: `Job is ${job.status}; only completed jobs can be exported` });
+    sendExport(res, await renderExport(job.result, req.query.format));
   } catch (err) {
-    progress(`Error: ${String(err?.message || err)}`);
-    progressDone(requestId);
-    console.error(err);
-    res.status(500).json({ error: String(err?.message || err) });
+    res.status(err.status || 500).json({ ok: false, error: String(err?.message || err) });
   }
 });
 
+await initAuth();
+await initReports();
+await initJobs({ llm, githubTokenFor });
+await initWebhooks({ llm });
+await initSchedules({ llm });
+
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
 });
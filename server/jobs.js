@@ -0,0 +1,219 @@
+// server/jobs.js
+import crypto from 'node:crypto';
+import { jsonStore } from './store.js';
+import { runAnalysis, partialResults } from './analyze.js';
+import { progressSend, progressEvent, progressDone, progressReopen } from './progress.js';
+import { saveReport } from './reports.js';
+
+/**
+ * Analyses run as background jobs so a closed tab or proxy timeout loses nothing.
+ * Jobs live in memory while the server runs and are persisted (throttled) to
+ * DATA_DIR/jobs, including a checkpoint of finished commits for resume.
+ *
+ * Status: queued → running → completed | failed | cancelled
+ * Completed results are also saved to the report history (reports.js); `reportId` links them.
+ * With GitHub sign-in on, `owner` is the user's login and each attempt runs with their token.
+ * `trigger` says who started a job: "user", or a server feature such as "webhook" or
+ * "schedule"; those jobs always use GITHUB_TOKEN (a scheduled job keeps the schedule's
+ * owner, so its report shows up in their history).
+ */
+
+const MAX_CONCURRENT_JOBS = Math.max(1, Number(process.env.MAX_CONCURRENT_JOBS) || 2);
+const JOB_RETENTION = Math.max(1, Number(process.env.JOB_RETENTION) || 50);
+const SAVE_INTERVAL_MS = 1500;
+export const TERMINAL = new Set(['completed', 'failed', 'cancelled']);
+
+const store = jsonStore('jobs');
+const jobs = new Map();         // id -> job
+const controllers = new Map();  // id -> AbortController for running jobs
+const saveTimers = new Map();   // id -> pending throttled save
+const queue = [];               // ids waiting for a slot
+const settledListeners = new Set();
+let runtime = null;             // { llm, githubTokenFor }
+
+function now() { return new Date().toISOString(); }
+
+async function save(job) {
+  clearTimeout(saveTimers.get(job.id));
+  saveTimers.delete(job.id);
+  if (!jobs.has(job.id)) return; // deleted while running
+  job.updatedAt = now();
+  await store.put(job.id, job);
+}
+function saveSoon(job) {
+  if (saveTimers.has(job.id)) return;
+  const t = setTimeout(() => save(job).catch(err => console.error('job save failed', err)), SAVE_INTERVAL_MS);
+  t.unref?.();
+  saveTimers.set(job.id, t);
+}
+
+/**
+ * Loads persisted jobs. Anything still queued/running belonged to a previous process,
+ * so it is marked failed (and can be resumed from its checkpoint).
+ */
+export async function initJobs({ llm, githubTokenFor = () => undefined }) {
+  runtime = { llm, githubTokenFor };
+  for (const job of await store.list()) {
+    if (!TERMINAL.has(job.status)) {
+      Object.assign(job, { status: 'failed', error: 'Interrupted by server restart', finishedAt: now() });
+      await save(job);
+    }
+    jobs.set(job.id, job);
+  }
+}
+
+/** Job as returned by the API: no checkpoint internals; partial commits on request. */
+export function publicJob(job, { partial = false } = {}) {
+  const { state, ...rest } = job;
+  const out = { ...rest, resumable: job.status === 'failed' || job.status === 'cancelled' };
+  if (partial && !job.result) out.partial = { commits: partialResults(state) };
+  return out;
+}
+
+export function getJob(id) { return jobs.get(id) || null; }
+
+export function listJobs() {
+  return [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function prune() {
+  const finished = listJobs().filter(j => TERMINAL.has(j.status));
+  for (const job of finished.slice(JOB_RETENTION)) await deleteJob(job.id);
+}
+
+/** Called with the job each time a run ends (completed, failed or cancelled); returns an unsubscribe function. */
+export function onJobSettled(fn) {
+  settledListeners.add(fn);
+  return () => settledListeners.delete(fn);
+}
+
+/** Creates and enqueues a job for already-normalized analysis params. */
+export async function createJob(params, { owner = null, trigger = 'user' } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    owner,
+    trigger,
+    params,
+    createdAt: now(),
+    progress: { done: 0, total: null },
+    attempts: 0,
+    error: null,
+    result: null,
+    state: {}
+  };
+  jobs.set(job.id, job);
+  await save(job);
+  enqueue(job);
+  await prune();
+  return job;
+}
+
+function enqueue(job) {
+  queue.push(job.id);
+  progressSend(job.id, controllers.size >= MAX_CONCURRENT_JOBS ? 'Queued — waiting for a free worker…' : 'Queued…');
+  drain();
+}
+
+function drain() {
+  while (controllers.size < MAX_CONCURRENT_JOBS && queue.length) {
+    const job = jobs.get(queue.shift());
+    if (job && job.status === 'queued') run(job).catch(err => console.error(`job ${job.id} failed to settle`, err));
+  }
+}
+
+async function run(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  Object.assign(job, { status: 'running', startedAt: now(), error: null, finishedAt: null });
+  job.attempts++;
+
+  const progress = (msg) => progressSend(job.id, msg);
+  const emit = (type, data) => progressEvent(job.id, type, data);
+  const checkpoint = (state) => {
+    job.progress = { done: Object.keys(state.done || {}).length, total: state.commits?.length ?? null, usage: state.usage || null };
+    saveSoon(job);
+  };
+
+  try {
+    // Inside the try: a store failure fails the job and still frees its slot
+    await save(job);
+    const githubToken = (job.trigger ?? 'user') === 'user' ? runtime.githubTokenFor(job.owner) : undefined;
+    const result = await runAnalysis(job.params, { llm: runtime.llm, githubToken, progress, emit, signal: controller.signal, state: job.state, checkpoint });
+    Object.assign(job, { status: 'completed', result, state: {} });
+    try {
+      job.reportId = (await saveReport({ jobId: job.id, owner: job.owner, params: job.params, result, llm: runtime.llm, startedAt: job.startedAt })).id;
+    } catch (err) {
+      progress(`Warning: could not save the report to history (${err?.message || err}).`);
+      console.error(err);
+    }
+  } catch (err) {
+    if (controller.signal.aborted) {
+      job.status = 'cancelled';
+      progress('Cancelled.');
+    } else {
+      job.status = 'failed';
+      job.error = String(err?.message || err);
+      progress(`Error: ${job.error}`);
+      emit('error', { message: job.error, fatal: true });
+      console.error(err);
+    }
+  } finally {
+    job.finishedAt = now();
+    controllers.delete(job.id);
+    await save(job).catch(err => console.error('job save failed', err));
+    progressDone(job.id);
+    drain();
+    settled(job);
+  }
+}
+
+function settled(job) {
+  for (const fn of settledListeners) {
+    Promise.resolve().then(() => fn(job)).catch(err => console.error('job listener failed', err));
+  }
+}
+
+/** Cancels a queued or running job; in-flight GitHub/LLM requests are aborted. */
+export async function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || TERMINAL.has(job.status)) return job;
+  if (job.status === 'queued') {
+    const i = queue.indexOf(id);
+    if (i !== -1) queue.splice(i, 1);
+    Object.assign(job, { status: 'cancelled', finishedAt: now() });
+    await save(job);
+    progressSend(id, 'Cancelled.');
+    progressDone(id);
+    settled(job);
+    return job;
+  }
+  controllers.get(id)?.abort();
+  return job;
+}
+
+/** Re-queues a failed or cancelled job; it continues after the last completed commit. */
+export function resumeJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (job.status !== 'failed' && job.status !== 'cancelled') {
+    const err = new Error(`Only failed or cancelled jobs can be resumed (job is ${job.status}).`);
+    err.status = 409;
+    throw err;
+  }
+  progressReopen(id);
+  Object.assign(job, { status: 'queued', error: null });
+  enqueue(job);
+  return job;
+}
+
+export async function deleteJob(id) {
+  const job = jobs.get(id);
+  if (!job) return false;
+  if (!TERMINAL.has(job.status)) await cancelJob(id);
+  clearTimeout(saveTimers.get(id));
+  saveTimers.delete(id);
+  jobs.delete(id);
+  await store.remove(id);
+  return true;
+}
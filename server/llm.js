@@ -0,0 +1,215 @@
+// server/llm.js
+import OpenAI from 'openai';
+
+/**
+ * LLM provider layer. Every provider exposes the same surface:
+ *   complete(input, { json?, onChunk? }) -> Promise<{ text, usage: { inputTokens, outputTokens } }>
+ * plus capability flags, so callers never branch on provider or model names.
+ * `json: { name, schema }` asks for structured output in whatever form the provider
+ * supports (capabilities.structuredOutput); `text` is then the JSON document.
+ * `onChunk(delta, { first })` streams plain-text replies as they are generated; `text`
+ * still holds the whole reply. It is ignored together with `json`.
+ *
+ * Providers:
+ *   openai             OpenAI Responses API
+ *   openai-compatible  any Chat Completions endpoint at LLM_BASE_URL (Ollama, vLLM, llama.cpp server, …)
+ *   anthropic          Anthropic Messages API
+ */
+
+const DEFAULT_MODELS = {
+  'openai': 'gpt-4o-mini',
+  'openai-compatible': 'llama3.1',
+  'anthropic': 'claude-3-5-haiku-latest'
+};
+
+// Model families that reject `temperature` (reasoning models).
+const NO_TEMPERATURE_MODELS = /^(gpt-5|o\d)/i;
+// How a provider can be made to emit JSON: native schema, tool call, plain JSON mode, or prompt only.
+export const STRUCTURED_OUTPUT_MODES = ['json_schema', 'tool', 'json_object', 'none'];
+
+function envFlag(env, name) {
+  const v = env[name];
+  return v == null || v === '' ? undefined : v === 'true';
+}
+
+// ---------- OpenAI (Responses API) ----------
+function openaiProvider({ model, apiKey }) {
+  // Created lazily: the SDK throws on a missing key, and the server should still boot to report it.
+  let client;
+  return {
+    capabilities: { requiresKey: true, temperature: !NO_TEMPERATURE_MODELS.test(model), structuredOutput: 'json_schema' },
+    hasKey: Boolean(apiKey),
+    async complete(input, { temperature, signal, json, onChunk }) {
+      const opts = { model, input };
+      if (temperature != null) opts.temperature = temperature;
+      if (json) opts.text = { format: { type: 'json_schema', name: json.name, schema: json.schema, strict: true } };
+      client ??= new OpenAI({ apiKey, maxRetries: 0 }); // retries live in ratelimit.js
+      if (onChunk) {
+        let text = '', usage = null;
+        for await (const event of await client.responses.create({ ...opts, stream: true }, { signal })) {
+          if (event.type === 'response.output_text.delta') { text += event.delta; onChunk(event.delta); }
+          if (event.type === 'response.completed') usage = event.response?.usage;
+        }
+        return { text, usage: { inputTokens: usage?.input_tokens || 0, outputTokens: usage?.output_tokens || 0 } };
+      }
+      const resp = await client.responses.create(opts, { signal });
+      return {
+        text: resp.output_text || '',
+        usage: { inputTokens: resp.usage?.input_tokens || 0, outputTokens: resp.usage?.output_tokens || 0 }
+      };
+    }
+  };
+}
+
+// ---------- OpenAI-compatible (Chat Completions) ----------
+function openaiCompatibleProvider({ model, apiKey, baseURL }) {
+  if (!baseURL) throw new Error('LLM_BASE_URL is required for LLM_PROVIDER=openai-compatible (e.g. http://localhost:11434/v1).');
+  // Local servers usually ignore the key, but the SDK insists on a non-empty value.
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 });
+  return {
+    // Servers differ in which response_format they accept, so JSON mode is opt-in (LLM_STRUCTURED_OUTPUT).
+    capabilities: { requiresKey: false, temperature: !NO_TEMPERATURE_MODELS.test(model), structuredOutput: 'none' },
+    hasKey: Boolean(apiKey),
+    async complete(input, { temperature, signal, json, structuredOutput, onChunk }) {
+      const opts = { model, messages: [{ role: 'user', content: input }] };
+      if (temperature != null) opts.temperature = temperature;
+      if (json && structuredOutput === 'json_schema') opts.response_format = { type: 'json_schema', json_schema: { name: json.name, schema: json.schema, strict: true } };
+      if (json && structuredOutput === 'json_object') opts.response_format = { type: 'json_object' };
+      if (onChunk) {
+        let text = '', usage = null;
+        const stream = await client.chat.completions.create({ ...opts, stream: true, stream_options: { include_usage: true } }, { signal });
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) { text += delta; onChunk(delta); }
+          if (chunk.usage) usage = chunk.usage;
+        }
+        return { text, usage: { inputTokens: usage?.prompt_tokens || 0, outputTokens: usage?.completion_tokens || 0 } };
+      }
+      const resp = await client.chat.completions.create(opts, { signal });
+      return {
+        text: resp.choices?.[0]?.message?.content || '',
+        usage: { inputTokens: resp.usage?.prompt_tokens || 0, outputTokens: resp.usage?.completion_tokens || 0 }
+      };
+    }
+  };
+}
+
+// ---------- Anthropic (Messages API, plain fetch) ----------
+/** Collects a streamed Messages response (server-sent events), passing text deltas to `onChunk`. */
+async function readAnthropicStream(body, onChunk) {
+  const decoder = new TextDecoder();
+  let buffered = '', text = '', inputTokens = 0, outputTokens = 0;
+  for await (const bytes of body) {
+    buffered += decoder.decode(bytes, { stream: true });
+    let end;
+    while ((end = buffered.indexOf('\n\n')) !== -1) {
+      const data = buffered.slice(0, end).split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('');
+      buffered = buffered.slice(end + 2);
+      if (!data) continue;
+      const event = JSON.parse(data);
+      if (event.type === 'message_start') inputTokens = event.message?.usage?.input_tokens || 0;
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') { text += event.delta.text; onChunk(event.delta.text); }
+      if (event.type === 'message_delta') outputTokens = event.usage?.output_tokens || outputTokens;
+      if (event.type === 'error') throw new Error(`Anthropic API error: ${event.error?.message || 'stream failed'}`);
+    }
+  }
+  return { text, usage: { inputTokens, outputTokens } };
+}
+
+function anthropicProvider({ model, apiKey, baseURL }) {
+  const url = `${(baseURL || 'https://api.anthropic.com').replace(/\/+$/, '')}/v1/messages`;
+  const maxTokens = Number(process.env.LLM_MAX_OUTPUT_TOKENS) || 4096;
+  return {
+    capabilities: { requiresKey: true, temperature: true, structuredOutput: 'tool' },
+    hasKey: Boolean(apiKey),
+    async complete(input, { temperature, signal, json, onChunk }) {
+      const body = { model, max_tokens: maxTokens, messages: [{ role: 'user', content: input }] };
+      if (onChunk) body.stream = true;
+      if (temperature != null) body.temperature = temperature;
+      // Structured output via a forced tool call whose input schema is the requested shape.
+      if (json) {
+        body.tools = [{ name: json.name, description: 'Record the result.', input_schema: json.schema }];
+        body.tool_choice = { type: 'tool', name: json.name };
+      }
+      const r = await fetch(url, {
+        method: 'POST',
+        signal,
+        headers: { 'content-type': 'application/json', 'x-api-key': apiKey || '', 'anthropic-version': '2023-06-01' },
+        body: JSON.stringify(body)
+      });
+      if (r.ok && onChunk) return readAnthropicStream(r.body, onChunk);
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        const err = new Error(`Anthropic API error ${r.status}: ${data?.error?.message || r.statusText}`);
+        err.status = r.status;
+        err.headers = Object.fromEntries(r.headers.entries());
+        throw err;
+      }
+      const toolUse = json && (data.content || []).find(b => b.type === 'tool_use');
+      return {
+        text: toolUse ? JSON.stringify(toolUse.input) : (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+        usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 }
+      };
+    }
+  };
+}
+
+const FACTORIES = {
+  'openai': openaiProvider,
+  'openai-compatible': openaiCompatibleProvider,
+  'anthropic': anthropicProvider
+};
+export const LLM_PROVIDERS = Object.keys(FACTORIES);
+
+/**
+ * Builds the provider selected by LLM_PROVIDER from environment settings.
+ * Capability flags can be overridden for models the defaults guess wrong
+ * (e.g. LLM_SUPPORTS_TEMPERATURE=false).
+ */
+export function createLLM(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const factory = FACTORIES[provider];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER "${provider}". Use one of: ${LLM_PROVIDERS.join(', ')}`);
+
+  const model = env.LLM_MODEL || (provider === 'openai' && env.OPENAI_MODEL) || DEFAULT_MODELS[provider];
+  // Provider-specific keys never fall through to a custom base URL, so an OpenAI key is not sent to a third-party server.
+  const apiKey = env.LLM_API_KEY || { 'openai': env.OPENAI_API_KEY, 'anthropic': env.ANTHROPIC_API_KEY }[provider];
+  const baseURL = env.LLM_BASE_URL || undefined;
+  const impl = factory({ model, apiKey, baseURL });
+
+  const capabilities = { ...impl.capabilities };
+  const tempOverride = envFlag(env, 'LLM_SUPPORTS_TEMPERATURE');
+  if (tempOverride !== undefined) capabilities.temperature = tempOverride;
+  const structuredOverride = (env.LLM_STRUCTURED_OUTPUT || '').toLowerCase();
+  if (structuredOverride) {
+    if (!STRUCTURED_OUTPUT_MODES.includes(structuredOverride)) throw new Error(`Unknown LLM_STRUCTURED_OUTPUT "${structuredOverride}". Use one of: ${STRUCTURED_OUTPUT_MODES.join(', ')}`);
+    capabilities.structuredOutput = structuredOverride;
+  }
+
+  return {
+    provider,
+    model,
+    baseURL,
+    // Used in cache keys so summaries from different backends never mix.
+    id: provider === 'openai' ? model : `${provider}:${model}`,
+    capabilities,
+    hasKey: impl.hasKey,
+    ready: impl.hasKey || !capabilities.requiresKey,
+    /**
+     * Single-turn completion; temperature is only sent when the model accepts it, and
+     * `json` only becomes a provider request when structured output is enabled.
+     * Each call (so each retry) starts its stream with `{ first: true }`, so listeners can discard a failed attempt's text.
+     */
+    complete(input, { temperature = 0.2, signal, json, onChunk } = {}) {
+      let first = true;
+      const chunk = onChunk && !json ? (delta) => { onChunk(delta, { first }); first = false; } : undefined;
+      return impl.complete(input, {
+        temperature: capabilities.temperature ? temperature : undefined,
+        signal,
+        json: capabilities.structuredOutput !== 'none' ? json : undefined,
+        structuredOutput: capabilities.structuredOutput,
+        onChunk: chunk
+      });
+    }
+  };
+}
@@ -0,0 +1,160 @@
+// server/mailer.js
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import crypto from 'node:crypto';
+
+/**
+ * Minimal SMTP client for scheduled report emails, so the server needs no mail dependency.
+ * One message per connection: EHLO, STARTTLS when the server offers it, AUTH PLAIN or LOGIN
+ * when SMTP_USER is set, then a multipart/alternative message (plain text + HTML).
+ *
+ * SMTP_SECURE=true uses implicit TLS (usually port 465); otherwise the connection starts
+ * in plain text (port 587 or 25) and is upgraded when possible.
+ */
+
+const HOST = process.env.SMTP_HOST || '';
+const SECURE = process.env.SMTP_SECURE === 'true';
+const PORT = Number(process.env.SMTP_PORT) || (SECURE ? 465 : 587);
+const USER = process.env.SMTP_USER || '';
+const PASS = process.env.SMTP_PASS || '';
+const FROM = process.env.SMTP_FROM || USER;
+const TIMEOUT_MS = 30000;
+
+export const MAIL_ENABLED = Boolean(HOST && FROM);
+
+const EMAIL_RE = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+export const isEmail = (s) => EMAIL_RE.test(String(s || '').trim());
+
+function smtpError(reply, what) {
+  const err = new Error(`SMTP ${what} failed: ${reply.join(' ').slice(0, 300)}`);
+  err.status = Number(reply[0]?.slice(0, 3)) || 500;
+  return err;
+}
+
+// Reads multi-line replies ("250-…" continues, "250 …" ends) off a socket, in order.
+function conversation(socket) {
+  let buf = '', lines = [], failed = null;
+  const replies = [], waiters = [];
+  const onData = (chunk) => {
+    buf += chunk.toString('utf8');
+    for (let i; (i = buf.indexOf('\r\n')) !== -1; ) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = lines;
+        lines = [];
+        if (waiters.length) waiters.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onError = (err) => {
+    failed = err;
+    while (waiters.length) waiters.shift().reject(err);
+  };
+  const onClose = () => onError(new Error('SMTP connection closed'));
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  const read = () => replies.length ? Promise.resolve(replies.shift())
+    : failed ? Promise.reject(failed)
+    : new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+
+  return {
+    /** Sends a command (or just reads, when null) and checks the reply code's first digit. */
+    async send(line, what, expect = '2') {
+      if (line != null) socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (!reply[0].startsWith(expect)) throw smtpError(reply, what);
+      return reply;
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function open() {
+  return new Promise((resolve, reject) => {
+    const socket = SECURE
+      ? tls.connect({ host: HOST, port: PORT, servername: HOST }, () => resolve(socket))
+      : net.connect({ host: HOST, port: PORT }, () => resolve(socket));
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: HOST }, () => resolve(secure));
+    secure.once('error', reject);
+  });
+}
+
+const address = (s) => (String(s).match(/<([^>]+)>/)?.[1] || String(s)).trim();
+const encodeHeader = (s) => `=?UTF-8?B?${Buffer.from(String(s).replace(/[\r\n]+/g, ' ')).toString('base64')}?=`;
+const base64Lines = (s) => Buffer.from(s, 'utf8').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+
+function buildMessage({ to, subject, text, html }) {
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  const part = (type, body) => [
+    `--${boundary}`, `Content-Type: ${type}; charset=utf-8`, 'Content-Transfer-Encoding: base64', '', base64Lines(body)
+  ].join('\r\n');
+  return [
+    `From: ${FROM}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    part('text/plain', text),
+    ...(html ? [part('text/html', html)] : []),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+/**
+ * Sends one email.
+ *
+ * @param {{ to: string[], subject: string, text: string, html?: string }} message
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!MAIL_ENABLED) throw new Error('Email is not configured on this server (set SMTP_HOST and SMTP_FROM).');
+  let socket = await open();
+  let smtp = conversation(socket);
+  try {
+    await smtp.send(null, 'greeting');
+    let ehlo = await smtp.send(`EHLO ${os.hostname()}`, 'EHLO');
+    if (!SECURE && ehlo.some(l => /STARTTLS/i.test(l))) {
+      await smtp.send('STARTTLS', 'STARTTLS');
+      smtp.detach();
+      socket = await upgrade(socket);
+      smtp = conversation(socket);
+      ehlo = await smtp.send(`EHLO ${os.hostname()}`, 'EHLO');
+    }
+    if (USER) {
+      const auth = ehlo.find(l => /AUTH/i.test(l)) || '';
+      if (/PLAIN/i.test(auth) || !/LOGIN/i.test(auth)) {
+        await smtp.send(`AUTH PLAIN ${Buffer.from(`\0${USER}\0${PASS}`).toString('base64')}`, 'AUTH');
+      } else {
+        await smtp.send('AUTH LOGIN', 'AUTH', '3');
+        await smtp.send(Buffer.from(USER).toString('base64'), 'AUTH', '3');
+        await smtp.send(Buffer.from(PASS).toString('base64'), 'AUTH');
+      }
+    }
+    await smtp.send(`MAIL FROM:<${address(FROM)}>`, 'MAIL FROM');
+    for (const rcpt of to) await smtp.send(`RCPT TO:<${address(rcpt)}>`, `RCPT TO ${rcpt}`);
+    await smtp.send('DATA', 'DATA', '3');
+    await smtp.send(`${buildMessage({ to, subject, text, html })}\r\n.`, 'message');
+    await smtp.send('QUIT', 'QUIT').catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
@@ -0,0 +1,113 @@
+// server/outbound.js
+import dns from 'node:dns';
+import net from 'node:net';
+import http from 'node:http';
+import https from 'node:https';
+
+/**
+ * Outgoing requests to URLs that users enter (scheduled-report webhook targets). The server
+ * would otherwise POST to its own network: localhost, cloud metadata (169.254.169.254) or
+ * private ranges. Hosts are checked when a target is saved, and again on every delivery by
+ * the DNS lookup of the connection itself, so a name that later resolves elsewhere is caught
+ * too. Redirects are not followed. SCHEDULE_WEBHOOK_ALLOWED_HOSTS lists hosts (e.g. an
+ * internal chat relay) that may be private.
+ */
+
+const ALLOWED_HOSTS = (process.env.SCHEDULE_WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+const blocked = new net.BlockList();
+for (const [subnet, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) blocked.addSubnet(subnet, prefix, 'ipv4');
+// Unspecified, loopback, NAT64, unique-local, link-local and multicast. IPv4-mapped addresses
+// are checked as IPv4 (a ::ffff:0:0/96 rule would also match every IPv4 address).
+for (const [subnet, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) blocked.addSubnet(subnet, prefix, 'ipv6');
+
+// "::ffff:7f00:1" or "::ffff:127.0.0.1" -> "127.0.0.1"; null for other addresses
+function mappedIPv4(address) {
+  const m = address.toLowerCase().match(/^::ffff:(?:([\d.]+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (!m) return null;
+  if (m[1]) return m[1];
+  const hi = parseInt(m[2], 16), lo = parseInt(m[3], 16);
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+}
+
+export function isPrivateAddress(address) {
+  if (!net.isIPv6(address)) return blocked.check(address, 'ipv4');
+  const v4 = mappedIPv4(address);
+  return v4 ? blocked.check(v4, 'ipv4') : blocked.check(address, 'ipv6');
+}
+
+function privateError(host, address) {
+  const err = new Error(`${host} is a loopback, link-local or private address (${address}); add it to SCHEDULE_WEBHOOK_ALLOWED_HOSTS to allow it`);
+  err.status = 400;
+  err.code = 'EPRIVATEADDR';
+  return err;
+}
+
+// URL hostnames keep IPv6 literals in brackets
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// dns.lookup replacement for http.request: fails instead of connecting to a private address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => isPrivateAddress(a.address));
+    if (bad) return callback(privateError(hostname, bad.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/** Throws (status 400) unless `rawUrl` is http(s) and its host resolves only to public addresses. */
+export async function checkPublicUrl(rawUrl) {
+  const url = new URL(rawUrl);
+  if (!/^https?:$/.test(url.protocol)) throw Object.assign(new Error('url must be http(s)'), { status: 400 });
+  const host = hostOf(url);
+  if (ALLOWED_HOSTS.includes(host)) return;
+  if (net.isIP(host)) {
+    if (isPrivateAddress(host)) throw privateError(host, host);
+    return;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (err) {
+    throw Object.assign(new Error(`Could not resolve ${host} (${err.code || err.message})`), { status: 400 });
+  }
+  const bad = addresses.find(a => isPrivateAddress(a.address));
+  if (bad) throw privateError(host, bad.address);
+}
+
+/**
+ * POSTs JSON to a user-supplied URL, connecting only to public addresses (see above).
+ * @returns {Promise<{ status: number, ok: boolean, text: string }>}
+ */
+export async function postJson(rawUrl, body, { timeoutMs }) {
+  const url = new URL(rawUrl);
+  const host = hostOf(url);
+  const allowed = ALLOWED_HOSTS.includes(host);
+  // IP literals are connected to without a lookup, so they are checked here
+  if (!allowed && net.isIP(host) && isPrivateAddress(host)) throw privateError(host, host);
+  const payload = JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+      ...(!allowed && { lookup: publicLookup }),
+      signal: AbortSignal.timeout(timeoutMs)
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => { if (size < 64 * 1024) { chunks.push(chunk); size += chunk.length; } });
+      res.on('end', () => resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300, text: Buffer.concat(chunks).toString('utf8') }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
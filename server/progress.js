@@ -0,0 +1,104 @@
+// server/progress.js
+
+// ============ Progress Streaming (SSE) ============
+// Channels keep their full log so a client that (re)connects mid-run — e.g. after a
+// page reload — replays everything from the start. Finished channels linger for a while.
+// Two kinds of entries share the log, in order: unnamed `message` events with a log line
+// ({ ts, msg }), and typed events (see EVENT_TYPES) whose data is { ts, ...payload }.
+const channels = new Map(); // id -> { clients: Set<res>, buffer: entry[], done: boolean, cleanup? }
+const BUFFER_MAX = 2000;
+const RETAIN_MS = 15 * 60 * 1000;
+
+export const EVENT_TYPES = ['plan', 'commit_fetched', 'commit_summarized', 'aggregate', 'summary_chunk', 'error'];
+
+function channel(id) {
+  let ch = channels.get(id);
+  if (!ch) {
+    ch = { clients: new Set(), buffer: [], done: false };
+    channels.set(id, ch);
+  }
+  return ch;
+}
+function write(res, event, payload) {
+  res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(payload)}\n\n`);
+}
+function writeEntry(res, entry) {
+  if (entry.type) write(res, entry.type, { ts: entry.ts, ...entry.data });
+  else write(res, null, entry);
+}
+function record(ch, entry) {
+  ch.buffer.push(entry);
+  if (ch.buffer.length > BUFFER_MAX) {
+    // Log lines go first: a replayed run needs its events (plan, commits) to rebuild the view.
+    // `plan` is never evicted; without it a reconnecting client ignores everything after.
+    const oldestLine = ch.buffer.findIndex(e => !e.type);
+    const victim = oldestLine !== -1 ? oldestLine : ch.buffer.findIndex(e => e.type !== 'plan');
+    ch.buffer.splice(victim, 1);
+  }
+  for (const res of ch.clients) writeEntry(res, entry);
+}
+
+/**
+ * Sends a progress line to every client on a channel and records it for replay.
+ *
+ * @param {string} id - The unique identifier for the channel.
+ * @param {string} text - The progress message to send.
+ */
+export function progressSend(id, text) {
+  if (!id) return;
+  record(channel(id), { ts: Date.now(), msg: String(text) });
+}
+
+/**
+ * Sends a typed event to every client on a channel and records it for replay.
+ * `data` is serialized on every write, so it is kept by reference rather than copied.
+ *
+ * @param {string} id - The unique identifier for the channel.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {object} data - The event payload.
+ */
+export function progressEvent(id, type, data) {
+  if (!id) return;
+  record(channel(id), { ts: Date.now(), type, data });
+}
+
+/** Marks a channel finished: clients get a `done` event, and the log is dropped after RETAIN_MS. */
+export function progressDone(id) {
+  const ch = channels.get(id);
+  if (!ch) return;
+  ch.done = true;
+  for (const res of ch.clients) write(res, 'done', { ts: Date.now() });
+  clearTimeout(ch.cleanup);
+  ch.cleanup = setTimeout(() => channels.delete(id), RETAIN_MS);
+  ch.cleanup.unref?.();
+}
+
+/** Re-opens a finished channel (resumed jobs keep appending to the same log). */
+export function progressReopen(id) {
+  const ch = channel(id);
+  ch.done = false;
+  clearTimeout(ch.cleanup);
+}
+
+/**
+ * Express handler for GET /api/progress/:id. Only jobs create channels: a stream for a job
+ * without one (its log expired, or was lost in a restart) gets `ready` and `done` and is
+ * closed, so subscribers never leave empty channels behind.
+ */
+export function progressStream(req, res) {
+  const { id } = req.params;
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  res.flushHeaders?.();
+  const ch = channels.get(id);
+  if (!ch) {
+    write(res, 'ready', { ts: Date.now() });
+    write(res, 'done', { ts: Date.now() });
+    return res.end();
+  }
+  ch.clients.add(res);
+  for (const entry of ch.buffer) writeEntry(res, entry);
+  write(res, 'ready', { ts: Date.now() });
+  if (ch.done) write(res, 'done', { ts: Date.now() });
+  const ping = setInterval(() => res.write(`: ping ${Date.now()}\n\n`), 15000);
+  req.on('close', () => { clearInterval(ping); ch.clients.delete(res); });
+}
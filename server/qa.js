@@ -0,0 +1,236 @@
+// server/qa.js
+import { estimateTokens, truncateTokens } from './tokens.js';
+import { costOf, formatCost, priceFor } from './usage.js';
+import { redactSecrets } from './signals.js';
+
+/**
+ * Questions about a finished analysis ("which commits touched auth?"). Commits are retrieved
+ * by BM25 keyword search over their messages, summaries, file names and patches; the best
+ * matches go to the LLM, which answers citing short SHAs and file paths. Without an LLM the
+ * matches themselves are the answer.
+ */
+
+export const MAX_QUESTION_CHARS = 2000;
+// Server-wide Q&A spend per UTC day. Kept in memory, so a restart starts the day over.
+const QA_MAX_COST_USD_PER_DAY = Number(process.env.QA_MAX_COST_USD_PER_DAY) || null;
+// Only the last few turns go into the prompt; longer histories are refused outright.
+const MAX_HISTORY_TURNS = 4;
+const MAX_HISTORY_ACCEPTED = 20;
+const TOP_COMMITS = 8;
+// Patches are indexed (and shown to the model) up to this much per file.
+const PATCH_CHARS_PER_FILE = 4000;
+// A message or summary hit says more about a commit than a word somewhere in its diff.
+const FIELD_WEIGHTS = { message: 3, summary: 3, files: 2, areas: 2, author: 1, patch: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const STOPWORDS = new Set((
+  'a an and are as at be but by can changed commit commits could did do does for from had has have how i in is it its me ' +
+  'of on or our should so that the their them there these this those to was we were what when where which who why will with ' +
+  'would you all about after before into than then touched touch changes change'
+).split(' '));
+
+const shortSha = (sha) => sha.slice(0, 7);
+// Redacted before the cut, so a secret at the boundary is not left half visible. The index uses
+// the same text as the prompt, so a redacted credential cannot be found by searching for it either.
+const patchText = (f) => redactSecrets(f.patch).slice(0, PATCH_CHARS_PER_FILE);
+const firstLine = (s) => String(s || '').split('\n')[0];
+
+const spentToday = { day: '', costUsd: 0 };
+function todaysSpend() {
+  const day = new Date().toISOString().slice(0, 10);
+  if (spentToday.day !== day) Object.assign(spentToday, { day, costUsd: 0 });
+  return spentToday;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** Lowercase search terms; camelCase, snake_case and paths are split into their words too. */
+export function tokenize(text) {
+  const words = String(text || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/);
+  return words.filter(w => w.length > 1 && !STOPWORDS.has(w));
+}
+
+// Weighted term frequencies of one commit, field by field.
+function indexCommit(c) {
+  const fields = {
+    message: c.message,
+    summary: [c.ai?.summary, c.ai?.change_type, c.ai?.test_impact, ...(c.pulls || []).map(p => p.title)].filter(Boolean).join('\n'),
+    files: c.files.map(f => f.filename).join(' '),
+    areas: (c.ai?.areas || []).join(' '),
+    author: c.author,
+    patch: c.files.filter(f => !f.skipped).map(patchText).join('\n')
+  };
+  const tf = new Map();
+  let length = 0;
+  for (const [field, text] of Object.entries(fields)) {
+    for (const term of tokenize(text)) {
+      tf.set(term, (tf.get(term) || 0) + FIELD_WEIGHTS[field]);
+      length += FIELD_WEIGHTS[field];
+    }
+  }
+  return { commit: c, tf, length };
+}
+
+// Files of a commit whose path or patch mentions one of the terms.
+function matchingFiles(c, terms) {
+  return c.files
+    .filter(f => {
+      const words = new Set(tokenize(`${f.filename} ${f.skipped ? '' : patchText(f)}`));
+      return terms.some(t => words.has(t));
+    })
+    .map(f => f.filename);
+}
+
+/**
+ * Commits of `result` ranked by relevance to `query` (best first, only those that match).
+ * A SHA in the query (7+ hex characters) pins that commit to the top. Terms of `context`
+ * (the previous question of a follow-up) count half.
+ * @returns {{ commit, score, files: string[] }[]}
+ */
+export function searchCommits(result, query, { context = '', limit = TOP_COMMITS } = {}) {
+  const docs = result.commits.map(indexCommit);
+  if (!docs.length) return [];
+  const weights = new Map(tokenize(context).map(term => [term, 0.5]));
+  tokenize(query).forEach(term => weights.set(term, 1));
+  const terms = [...weights.keys()];
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+  const pinned = (String(query).match(/\b[0-9a-f]{7,40}\b/gi) || []).map(s => s.toLowerCase());
+  const idf = new Map(terms.map(term => {
+    const df = docs.filter(d => d.tf.has(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+  return docs
+    .map(d => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = d.tf.get(term);
+        if (!tf) continue;
+        score += weights.get(term) * idf.get(term) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * d.length / avgLength));
+      }
+      if (pinned.some(p => d.commit.sha.toLowerCase().startsWith(p))) score += 1000;
+      return { commit: d.commit, score: Math.round(score * 1000) / 1000, files: matchingFiles(d.commit, terms) };
+    })
+    .filter(hit => hit.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// One context block per retrieved commit; `maxTokens` caps it (patches go last, so they are cut first).
+function commitBlock(hit, maxTokens, model) {
+  const c = hit.commit;
+  const files = c.files.map(f => `${f.filename} (+${f.additions || 0}/-${f.deletions || 0})${f.skipped ? ' [filtered]' : ''}`);
+  // Files that matched the question first, so their patches survive the cut.
+  const patched = [...c.files].filter(f => !f.skipped && f.patch).sort((a, b) => hit.files.includes(b.filename) - hit.files.includes(a.filename));
+  const text = [
+    `[${shortSha(c.sha)}]${c.repo ? ` repository ${c.repo},` : ''} ${String(c.date || '').slice(0, 10)} by ${c.author}`,
+    `Message: ${c.message}`,
+    ...(c.ai && !c.ai.unsummarized ? [`Summary (${c.ai.change_type}, ${c.ai.risk} risk): ${c.ai.summary}`] : []),
+    ...(c.pulls?.length ? [`Pull requests: ${c.pulls.map(p => `#${p.number} ${p.title}`).join('; ')}`] : []),
+    `Files: ${files.join(', ')}`,
+    ...patched.map(f => `--- ${f.filename}\n${patchText(f)}`)
+  ].join('\n');
+  return truncateTokens(text, maxTokens, model);
+}
+
+/**
+ * @param {object} args
+ * @param {object[]} args.history - earlier turns, oldest first: { question, answer }
+ * @param {string} args.context - commit blocks
+ */
+export function buildAnswerPrompt({ result, question, history = [], summary, context }) {
+  const window = result.mode === 'release' ? `${result.base} → ${result.head}` : `${String(result.since || '').slice(0, 10)} → ${String(result.until || '').slice(0, 10)}`;
+  return [
+    `You answer questions about code changes in ${result.repo} (${window}), using only the analyzed commits below.`,
+    `Cite every claim with the commit's short SHA in square brackets, e.g. [${shortSha(result.commits[0]?.sha || 'abc1234')}], and name files in backticks.`,
+    `If the commits do not answer the question, say so plainly instead of guessing. Keep the answer short; use bullets for lists of commits.`,
+    ...(summary ? [`\nReport summary (for orientation):\n${summary}`] : []),
+    ...(history.length ? [`\nEarlier in this conversation:`, ...history.map(t => `Q: ${t.question}\nA: ${t.answer}`)] : []),
+    `\nRelevant commits (best match first):\n${context || '(no commit matched the question)'}`,
+    `\nQuestion: ${question}`
+  ].join('\n');
+}
+
+/**
+ * Commits and files the answer refers to, in order of first mention: short or full SHAs of
+ * the report's commits, and the file paths of those commits that the answer names.
+ */
+export function extractCitations(answer, result) {
+  const citations = [];
+  for (const [sha] of String(answer).matchAll(/\b[0-9a-f]{7,40}\b/gi)) {
+    const c = result.commits.find(x => x.sha.toLowerCase().startsWith(sha.toLowerCase()));
+    if (!c || citations.some(x => x.sha === c.sha && x.repo === c.repo)) continue;
+    citations.push({
+      sha: c.sha, ...(c.repo && { repo: c.repo }), title: firstLine(c.message),
+      files: c.files.map(f => f.filename).filter(name => answer.includes(name))
+    });
+  }
+  return citations;
+}
+
+function searchAnswer(hits) {
+  if (!hits.length) return 'No commit in this report matches the question.';
+  return [
+    'The commits that best match the question:',
+    ...hits.map(h => `- [${shortSha(h.commit.sha)}]${h.commit.repo ? ` (${h.commit.repo})` : ''} ${firstLine(h.commit.message)}` +
+      `${h.files.length ? ` — ${h.files.slice(0, 5).map(f => `\`${f}\``).join(', ')}` : ''}`)
+  ].join('\n');
+}
+
+/**
+ * Why questions about a saved report may no longer call the LLM, or null. A report's questions
+ * draw on the cost budget (maxCostUsd) it ran with, after the run's own spend; all questions
+ * together are held to QA_MAX_COST_USD_PER_DAY. As for runs, only priced models can be held
+ * to a budget.
+ */
+export function questionBudgetExceeded(report, model) {
+  if (!priceFor(model)) return null;
+  const cap = report.params?.maxCostUsd;
+  const spent = (report.result.usage?.costUsd || 0) + (report.questionUsage?.costUsd || 0);
+  if (cap != null && spent >= cap) return `The report's cost budget of ${formatCost(cap)} is used up (${formatCost(spent)} spent).`;
+  if (QA_MAX_COST_USD_PER_DAY && todaysSpend().costUsd >= QA_MAX_COST_USD_PER_DAY) {
+    return `Today's Q&A budget of ${formatCost(QA_MAX_COST_USD_PER_DAY)} is used up.`;
+  }
+  return null;
+}
+
+/**
+ * Answers `question` about an analysis result. `llm` is null (or not ready) for search-only
+ * answers; `history` gives follow-up questions their context.
+ * @returns {Promise<{ answer, mode: 'llm'|'search', citations, retrieved, usage? }>}
+ */
+export async function answerQuestion({ llm, result, question, history = [], budget, signal }) {
+  question = String(question || '').trim();
+  if (!question) throw badRequest('question is required');
+  if (question.length > MAX_QUESTION_CHARS) throw badRequest(`question is limited to ${MAX_QUESTION_CHARS} characters`);
+  if (!Array.isArray(history)) throw badRequest('history must be an array of { question, answer }');
+  if (history.length > MAX_HISTORY_ACCEPTED) throw badRequest(`history is limited to ${MAX_HISTORY_ACCEPTED} turns`);
+  // Earlier questions get the same limit as the current one (cut rather than refused)
+  const turns = history.slice(-MAX_HISTORY_TURNS).map(t => ({ question: String(t?.question || '').slice(0, MAX_QUESTION_CHARS), answer: String(t?.answer || '') }));
+
+  // A follow-up ("and the tests for it?") is searched together with the question before it.
+  const hits = searchCommits(result, question, { context: turns.at(-1)?.question });
+  const retrieved = hits.map(h => ({ sha: h.commit.sha, ...(h.commit.repo && { repo: h.commit.repo }), score: h.score, files: h.files }));
+  if (!llm?.ready) {
+    const answer = searchAnswer(hits);
+    return { answer, mode: 'search', citations: extractCitations(answer, result), retrieved };
+  }
+
+  const model = llm.model;
+  const summary = truncateTokens(result.summaryMarkdown || '', Math.floor(budget / 8), model);
+  const recent = turns.map(t => ({ ...t, answer: truncateTokens(t.answer, Math.floor(budget / 16), model) }));
+  const overhead = estimateTokens(buildAnswerPrompt({ result, question, history: recent, summary, context: '' }), model);
+  const room = Math.max(budget - overhead, Math.floor(budget / 2));
+  const context = hits.map(h => commitBlock(h, Math.floor(room / hits.length), model)).join('\n\n');
+  const resp = await llm.complete(buildAnswerPrompt({ result, question, history: recent, summary, context }), { signal });
+  const answer = resp.text.trim() || searchAnswer(hits);
+  const costUsd = costOf(resp.usage || {}, priceFor(model));
+  todaysSpend().costUsd += costUsd || 0;
+  return {
+    answer, mode: 'llm', citations: extractCitations(answer, result), retrieved,
+    usage: { calls: 1, ...resp.usage, costUsd }
+  };
+}
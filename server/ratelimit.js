@@ -0,0 +1,216 @@
+// server/ratelimit.js
+
+/**
+ * Bounded concurrency + retry for the two remote services an analysis talks to.
+ * Limiters are process-wide, so concurrent jobs share the same GitHub/LLM slots.
+ *
+ * Retries honor `retry-after`/`retry-after-ms` and GitHub's `x-ratelimit-*` headers,
+ * falling back to exponential backoff with jitter. While a rate limit is in effect the
+ * whole limiter pauses, so sibling requests don't burn through the same wall.
+ */
+
+export const GITHUB_CONCURRENCY = Math.max(1, Number(process.env.GITHUB_CONCURRENCY) || 4);
+export const LLM_CONCURRENCY = Math.max(1, Number(process.env.LLM_CONCURRENCY) || 2);
+const MAX_RETRIES = Math.max(0, Number(process.env.RATE_LIMIT_RETRIES ?? 4));
+// Longest single wait we accept before failing the job instead (it can be resumed later).
+const MAX_WAIT_MS = Math.max(1000, Number(process.env.RATE_LIMIT_MAX_WAIT_MS) || 5 * 60 * 1000);
+const BASE_DELAY_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+/** Abortable sleep. */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Semaphore with a pause gate: run(fn) starts fn once a slot is free and the limiter isn't paused.
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  let pausedUntil = 0;
+  const waiting = [];
+
+  function next() {
+    if (active >= concurrency || !waiting.length) return;
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) { setTimeout(next, wait).unref?.(); return; }
+    active++;
+    waiting.shift()();
+  }
+
+  return {
+    concurrency,
+    get active() { return active; },
+    get pending() { return waiting.length; },
+    /** Holds back new starts for `ms` (in-flight calls are unaffected). */
+    pause(ms) {
+      const until = Date.now() + ms;
+      if (until <= pausedUntil) return false;
+      pausedUntil = until;
+      return true;
+    },
+    async run(fn, { signal } = {}) {
+      await new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const start = () => { signal?.removeEventListener('abort', onAbort); resolve(); };
+        const onAbort = () => {
+          const i = waiting.indexOf(start);
+          if (i !== -1) waiting.splice(i, 1);
+          reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(start);
+        next();
+      });
+      try {
+        return await fn();
+      } finally {
+        active--;
+        next();
+      }
+    }
+  };
+}
+
+export const githubLimiter = createLimiter(GITHUB_CONCURRENCY);
+export const llmLimiter = createLimiter(LLM_CONCURRENCY);
+
+// Octokit errors carry `response.headers`, OpenAI/Anthropic errors `headers` (plain objects or Headers).
+function header(err, name) {
+  const h = err?.response?.headers || err?.headers;
+  if (!h) return undefined;
+  return typeof h.get === 'function' ? h.get(name) ?? undefined : h[name];
+}
+
+/**
+ * How long to wait before retrying `err`, or null when it isn't worth retrying.
+ * `rateLimited` marks waits imposed by the server (vs. plain backoff).
+ */
+export function retryDelay(err, attempt) {
+  if (err?.name === 'AbortError') return null;
+  const status = err?.status;
+
+  const retryAfterMs = Number(header(err, 'retry-after-ms'));
+  if (retryAfterMs > 0) return { ms: retryAfterMs, rateLimited: true };
+  const retryAfter = header(err, 'retry-after');
+  if (retryAfter != null) {
+    const secs = Number(retryAfter);
+    const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms >= 0) return { ms, rateLimited: true };
+  }
+  // GitHub primary rate limit: 403/429 with no quota left; wait for the window to reset.
+  if ((status === 403 || status === 429) && header(err, 'x-ratelimit-remaining') === '0') {
+    const reset = Number(header(err, 'x-ratelimit-reset'));
+    if (reset) return { ms: Math.max(0, reset * 1000 - Date.now()) + 1000, rateLimited: true };
+  }
+
+  // Network failures have no status; everything else must be a known transient code.
+  if (status != null && !RETRYABLE_STATUS.has(status)) return null;
+  const backoff = Math.min(MAX_BACKOFF_MS, BASE_DELAY_MS * 2 ** attempt);
+  return { ms: Math.round(backoff / 2 + Math.random() * backoff / 2), rateLimited: status === 429 };
+}
+
+/**
+ * Runs `fn` through `limiter`, retrying transient failures up to RATE_LIMIT_RETRIES times.
+ *
+ * @param {() => Promise<any>} fn
+ * @param {{ limiter: object, label: string, signal?: AbortSignal, onRetry?: (msg: string) => void }} opts
+ */
+export async function withRetry(fn, { limiter, label, signal, onRetry = () => {} }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await limiter.run(fn, { signal });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      const delay = attempt < MAX_RETRIES ? retryDelay(err, attempt) : null;
+      if (!delay) throw err;
+      if (delay.ms > MAX_WAIT_MS) {
+        const e = new Error(`${label}: rate limited for ${Math.ceil(delay.ms / 60000)} min (over the ${Math.round(MAX_WAIT_MS / 1000)}s wait limit). Resume the job later.`);
+        e.status = 429;
+        throw e;
+      }
+      if (delay.rateLimited) limiter.pause(delay.ms);
+      const reason = err.status ? `HTTP ${err.status}` : (err.code || err.message);
+      onRetry(`${label}: ${reason}; retrying in ${(delay.ms / 1000).toFixed(1)}s (attempt ${attempt + 2}/${MAX_RETRIES + 1})…`);
+      await sleep(delay.ms, signal);
+    }
+  }
+}
+
+/** One-line quota description for the progress log, e.g. "GitHub quota: 4210/5000 left (resets 14:05 UTC)". */
+export function describeQuota(quota) {
+  if (!quota) return null;
+  const reset = quota.reset ? new Date(quota.reset * 1000).toISOString().slice(11, 16) + ' UTC' : 'unknown';
+  return `GitHub quota: ${quota.remaining}/${quota.limit} left (resets ${reset}).`;
+}
+
+/**
+ * Calls fn(item, index, signal) for every item with at most `limit` in flight. The first
+ * failure aborts the rest (via the signal passed to fn) and is rethrown once all have settled.
+ */
+export async function forEachConcurrent(items, limit, fn, { signal } = {}) {
+  const failFast = new AbortController();
+  const taskSignal = signal ? AbortSignal.any([signal, failFast.signal]) : failFast.signal;
+  let nextIndex = 0, firstError = null;
+  const worker = async () => {
+    while (nextIndex < items.length && !taskSignal.aborted) {
+      const i = nextIndex++;
+      try {
+        await fn(items[i], i, taskSignal);
+      } catch (err) {
+        if (!firstError) { firstError = err; failFast.abort(err); }
+        return;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  if (firstError) throw signal?.aborted ? signal.reason : firstError;
+  signal?.throwIfAborted();
+}
+
+/** Wraps a commit source so every remote call is limited and retried. */
+export function limitSource(source, { signal, onRetry }) {
+  // Known-empty quota: hold the limiter until the reset instead of spending requests on 403s.
+  const gate = (label) => {
+    const quota = source.rateLimit?.();
+    if (!quota || quota.remaining > 0) return;
+    const ms = quota.reset * 1000 - Date.now() + 1000;
+    if (ms <= 0) return;
+    if (ms > MAX_WAIT_MS) {
+      const e = new Error(`${label}: GitHub quota exhausted until ${new Date(quota.reset * 1000).toISOString()}. Resume the job later.`);
+      e.status = 429;
+      throw e;
+    }
+    if (githubLimiter.pause(ms)) onRetry?.(`GitHub quota exhausted; pausing requests for ${Math.ceil(ms / 1000)}s…`);
+  };
+  const wrap = async (label, fn) => {
+    gate(label);
+    return withRetry(fn, { limiter: githubLimiter, label, signal, onRetry });
+  };
+  return {
+    ...source,
+    listBranches: (opts) => wrap('List branches', () => source.listBranches(opts)),
+    listCommits: (opts) => wrap('List commits', () => source.listCommits(opts)),
+    hasCommitBefore: (opts) => wrap('Earlier commits', () => source.hasCommitBefore(opts)),
+    compareCommits: (opts) => wrap('Compare refs', () => source.compareCommits(opts)),
+    listTags: (opts) => wrap('List tags', () => source.listTags(opts)),
+    getDefaultBranch: (opts) => wrap('Default branch', () => source.getDefaultBranch(opts)),
+    listPullRequests: (sha, opts) => wrap(`PRs for ${sha.slice(0, 7)}`, () => source.listPullRequests(sha, opts)),
+    getCommit: (sha, opts) => wrap(`Fetch ${sha.slice(0, 7)}`, () => source.getCommit(sha, opts)),
+    getCommitInfo: (sha, opts) => wrap(`Look up ${sha.slice(0, 7)}`, () => source.getCommitInfo(sha, opts))
+  };
+}
+
+/** Wraps an LLM client so every completion is limited and retried. */
+export function limitLLM(llm, { signal, onRetry }) {
+  return {
+    ...llm,
+    complete: (input, opts) => withRetry(() => llm.complete(input, opts), { limiter: llmLimiter, label: 'LLM', signal, onRetry })
+  };
+}
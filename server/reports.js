@@ -0,0 +1,117 @@
+// server/reports.js
+import crypto from 'node:crypto';
+import { jsonStore } from './store.js';
+import { createCommitSource } from './sources.js';
+import { HEURISTIC_VERSION } from './heuristic.js';
+
+/**
+ * Saved report history. Every completed analysis is stored in DATA_DIR/reports with its
+ * full result, the params it ran with and the model that wrote it, so it can be reopened
+ * from a permalink (commit cards included) or re-run long after its job was pruned.
+ * Listing works from an in-memory index; full results are read from disk on demand.
+ * `owner` is the login of the user who ran it when GitHub sign-in is on, else null.
+ */
+
+const store = jsonStore('reports');
+const index = new Map(); // id -> metadata (no result)
+
+// Cache/source id, so "Owner/Repo", a GitHub URL and "owner/repo" list together.
+function repoKey(repo) {
+  return createCommitSource(repo).id.toLowerCase();
+}
+
+function metaOf(report) {
+  const { result, params } = report;
+  return {
+    id: report.id,
+    jobId: report.jobId,
+    owner: report.owner ?? null,
+    repo: result.repo,
+    repoKeys: report.repoKeys || [report.repoKey], // reports saved before multi-repo runs have one
+    repos: result.repos?.length ?? 1,
+    mode: result.mode || 'period',
+    summarizer: result.summarizer || 'llm',
+    since: result.since || null,
+    until: result.until || null,
+    branch: params.branch ?? null,
+    base: result.base ?? null,
+    head: result.head ?? null,
+    commits: result.aggregate?.count ?? result.commits?.length ?? 0,
+    model: report.model,
+    createdAt: report.createdAt
+  };
+}
+
+export async function initReports() {
+  for (const report of await store.list()) {
+    if (report?.id && report.result) index.set(report.id, metaOf(report));
+  }
+}
+
+/** Stores a completed job's result; returns the report metadata. */
+export async function saveReport({ jobId, owner = null, params, result, llm, startedAt }) {
+  const report = {
+    id: crypto.randomUUID(),
+    jobId,
+    owner,
+    // Every repository the report covers; a listing filtered by repo includes multi-repo reports.
+    repoKeys: result.repos ? result.repos.map(r => r.id.toLowerCase()) : [repoKey(params.repo)],
+    params,
+    model: params.summarizer === 'heuristic'
+      ? { provider: 'heuristic', model: `rules v${HEURISTIC_VERSION}`, id: 'heuristic' }
+      : { provider: llm.provider, model: llm.model, id: llm.id },
+    startedAt: startedAt || null,
+    createdAt: new Date().toISOString(),
+    result
+  };
+  await store.put(report.id, report);
+  const meta = metaOf(report);
+  index.set(report.id, meta);
+  return meta;
+}
+
+/** Newest first; `repo` (any form createCommitSource accepts) narrows to one repository, `owner` to one user. */
+export function listReports({ repo, owner } = {}) {
+  const key = repo ? repoKey(repo) : null;
+  return [...index.values()]
+    .filter(r => !key || r.repoKeys.includes(key))
+    .filter(r => owner === undefined || r.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function getReport(id) {
+  if (!index.has(id)) return null;
+  return store.get(id);
+}
+
+// Q&A usage writes per report, chained so parallel questions do not overwrite each other's totals.
+const usageWrites = new Map();
+
+/**
+ * Adds one Q&A answer's LLM usage to the report's `questionUsage` (kept apart from the run's
+ * `result.usage`); returns the new totals, or null when the report is gone.
+ */
+export function addQuestionUsage(id, usage) {
+  const write = (usageWrites.get(id) || Promise.resolve()).then(async () => {
+    const report = index.has(id) ? await store.get(id) : null;
+    if (!report) return null;
+    const total = report.questionUsage || { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    total.calls += usage.calls || 0;
+    total.inputTokens += usage.inputTokens || 0;
+    total.outputTokens += usage.outputTokens || 0;
+    total.costUsd += usage.costUsd || 0;
+    report.questionUsage = total;
+    await store.put(id, report);
+    return total;
+  });
+  const settled = write.catch(() => {});
+  usageWrites.set(id, settled);
+  settled.then(() => { if (usageWrites.get(id) === settled) usageWrites.delete(id); });
+  return write;
+}
+
+export async function deleteReport(id) {
+  if (!index.delete(id)) return false;
+  await store.remove(id);
+  return true;
+}
@@ -0,0 +1,427 @@
+// server/schedules.js
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { DATA_DIR, jsonStore } from './store.js';
+import { normalizeParams } from './analyze.js';
+import { createJob, getJob, onJobSettled, TERMINAL } from './jobs.js';
+import { getReport } from './reports.js';
+import { renderExport } from './export.js';
+import { MAIL_ENABLED, isEmail, sendMail } from './mailer.js';
+import { checkPublicUrl, postJson } from './outbound.js';
+
+/**
+ * Scheduled reports: saved definitions (repo, branch, filters and options, a relative
+ * window such as "last 7 days", and a cron expression) that a server-side scheduler runs
+ * as ordinary background jobs. When a run's job completes, its report is rendered as
+ * markdown or HTML and delivered to each target: an outgoing webhook, an email (SMTP,
+ * see mailer.js) or a file in a directory under SCHEDULE_OUTPUT_DIR.
+ *
+ * Cron expressions use five fields (minute hour day-of-month month day-of-week) and are
+ * evaluated in the server's local time zone (set TZ). A run that was due while the server
+ * was down is made once at startup; a run that comes due while the previous one is still
+ * going is skipped. Like webhook jobs, scheduled runs use GITHUB_TOKEN; with sign-in on,
+ * read access to the repo is checked when the schedule is saved.
+ */
+
+const DISABLED = process.env.SCHEDULER_DISABLED === 'true';
+const OUTPUT_DIR = path.resolve(DATA_DIR, process.env.SCHEDULE_OUTPUT_DIR || 'scheduled-reports');
+const TICK_MS = 30 * 1000;
+const RUN_HISTORY = 10;
+const MAX_TARGETS = 10;
+const MAX_WINDOW_DAYS = 366;
+const DELIVERY_TIMEOUT_MS = 10000;
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+export const TARGET_TYPES = ['webhook', 'email', 'directory'];
+export const TARGET_FORMATS = ['md', 'html'];
+export const WINDOW_ENDS = ['now', 'midnight']; // midnight: whole days, ending at the start of today
+
+const store = jsonStore('schedules');
+const schedules = new Map(); // id -> schedule
+const byJob = new Map();     // job id -> schedule id
+let runtime = null;          // { llm }
+let ticking = false;
+
+function now() { return new Date().toISOString(); }
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+async function save(s) {
+  s.updatedAt = now();
+  await store.put(s.id, s);
+}
+
+// ============ Cron ============
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+function parseCronField(text, { name, min, max, names }) {
+  const values = new Set();
+  const value = (s) => {
+    const named = names ? names.indexOf(s.toLowerCase()) : -1;
+    const n = named >= 0 ? named + min : (/^\d+$/.test(s) ? Number(s) : NaN);
+    if (!(n >= min && n <= max)) throw badRequest(`cron: "${s}" is not a valid ${name} (${min}-${max})`);
+    return n;
+  };
+  for (const item of text.split(',')) {
+    const m = item.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i);
+    if (!m) throw badRequest(`cron: cannot parse ${name} "${item}"`);
+    const [lo, hi] = m[1] === '*' ? [min, max] : m[1].split('-').map(value);
+    const step = m[2] ? Number(m[2]) : 1;
+    if (!(step >= 1)) throw badRequest(`cron: step must be at least 1 in ${name} "${item}"`);
+    // "5/15" means from 5 to the end of the range
+    const end = hi ?? (m[2] ? max : lo);
+    if (end < lo) throw badRequest(`cron: range "${item}" runs backwards`);
+    for (let v = lo; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Parses a five-field cron expression (or @hourly/@daily/@weekly/@monthly/@yearly). Throws 400 when invalid. */
+export function parseCron(expr) {
+  const text = String(expr || '').trim();
+  const parts = (CRON_ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) throw badRequest('cron must have 5 fields: minute hour day-of-month month day-of-week');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (dow.has(7)) dow.add(0); // 7 is Sunday too
+  // As in cron(8): when both day fields are restricted, either one matching is enough
+  return { minute, hour, dom, month, dow, anyDom: parts[2] === '*', anyDow: parts[4] === '*' };
+}
+
+function dayMatches(cron, d) {
+  const dom = cron.dom.has(d.getDate());
+  const dow = cron.dow.has(d.getDay());
+  if (cron.anyDom || cron.anyDow) return (cron.anyDom || dom) && (cron.anyDow || dow);
+  return dom || dow;
+}
+
+/** The first time after `after` (a Date) that matches `expr`, in local time; null if none within 5 years. */
+export function nextCronRun(expr, after = new Date()) {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(after.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * 24 * 3600 * 1000;
+  while (d.getTime() < limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+// ============ Definitions ============
+/** since/until for a relative window, e.g. { days: 7, endAt: 'now' } = the last 7 days. */
+export function windowRange({ days, endAt }, at = new Date()) {
+  const until = new Date(at.getTime());
+  if (endAt === 'midnight') until.setHours(0, 0, 0, 0);
+  const since = new Date(until.getTime());
+  since.setDate(since.getDate() - days);
+  return { since: since.toISOString(), until: until.toISOString() };
+}
+
+function normalizeWindow(window = {}) {
+  const days = Number(window.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_WINDOW_DAYS) throw badRequest(`window.days must be a whole number from 1 to ${MAX_WINDOW_DAYS}`);
+  const endAt = window.endAt || 'now';
+  if (!WINDOW_ENDS.includes(endAt)) throw badRequest(`window.endAt must be one of: ${WINDOW_ENDS.join(', ')}`);
+  return { days, endAt };
+}
+
+// Directory targets stay inside OUTPUT_DIR, so a schedule cannot write anywhere else on disk.
+function outputDir(dir) {
+  const resolved = path.resolve(OUTPUT_DIR, String(dir || '').replace(/^[\\/]+/, ''));
+  if (resolved !== OUTPUT_DIR && !resolved.startsWith(OUTPUT_DIR + path.sep)) throw badRequest('directory targets must stay inside SCHEDULE_OUTPUT_DIR');
+  return resolved;
+}
+
+function normalizeTarget(t = {}) {
+  if (!TARGET_TYPES.includes(t.type)) throw badRequest(`target type must be one of: ${TARGET_TYPES.join(', ')}`);
+  const format = t.format || (t.type === 'email' ? 'html' : 'md');
+  if (!TARGET_FORMATS.includes(format)) throw badRequest(`target format must be one of: ${TARGET_FORMATS.join(', ')}`);
+  if (t.type === 'webhook') {
+    let url;
+    try { url = new URL(String(t.url || '')); } catch { throw badRequest('webhook targets need a valid url'); }
+    if (!/^https?:$/.test(url.protocol)) throw badRequest('webhook url must be http(s)');
+    // The host is resolved by checkTargets, which normalizeSchedule's callers await
+    return { type: 'webhook', url: url.toString(), format };
+  }
+  if (t.type === 'email') {
+    if (!MAIL_ENABLED) throw badRequest('Email is not configured on this server (set SMTP_HOST and SMTP_FROM).');
+    const to = (Array.isArray(t.to) ? t.to : String(t.to || '').split(/[,;]/)).map(s => String(s).trim()).filter(Boolean);
+    if (!to.length) throw badRequest('email targets need at least one recipient');
+    const bad = to.find(a => !isEmail(a));
+    if (bad) throw badRequest(`"${bad}" is not an email address`);
+    return { type: 'email', to, format };
+  }
+  const dir = String(t.path || '').trim();
+  outputDir(dir);
+  return { type: 'directory', path: dir, format };
+}
+
+// Validates a create/update body; `prev` supplies the fields an update leaves out.
+function normalizeSchedule(body = {}, prev = {}) {
+  const name = String(body.name ?? prev.name ?? '').trim();
+  if (!name) throw badRequest('name is required');
+  const cron = String(body.cron ?? prev.cron ?? '').trim();
+  if (!nextCronRun(cron)) throw badRequest(`cron "${cron}" never matches`);
+  const window = normalizeWindow(body.window ?? prev.window);
+  const input = body.params ?? prev.params ?? {};
+  if (input.mode && input.mode !== 'period') throw badRequest('Scheduled reports cover a relative window, so params.mode must be "period"');
+  // The window is fixed at run time, so only the rest of the analyze params is stored
+  const params = normalizeParams({ ...input, mode: 'period', ...windowRange(window) });
+  delete params.mode;
+  delete params.since;
+  delete params.until;
+  if (params.summarizer !== 'heuristic' && !runtime.llm.ready) {
+    throw badRequest(`No API key for LLM provider "${runtime.llm.provider}". Set one in server/.env, or use summarizer "heuristic".`);
+  }
+  const targets = body.targets ?? prev.targets ?? [];
+  if (!Array.isArray(targets)) throw badRequest('targets must be an array');
+  if (targets.length > MAX_TARGETS) throw badRequest(`At most ${MAX_TARGETS} targets per schedule`);
+  return {
+    name: name.slice(0, 120),
+    cron,
+    window,
+    params,
+    targets: targets.map(normalizeTarget),
+    enabled: (body.enabled ?? prev.enabled ?? true) !== false
+  };
+}
+
+// Webhook targets must not point into the server's own network (see outbound.js)
+async function checkTargets(schedule) {
+  for (const t of schedule.targets) {
+    if (t.type === 'webhook') await checkPublicUrl(t.url);
+  }
+  return schedule;
+}
+
+function nextRunFor(s) {
+  return s.enabled ? nextCronRun(s.cron)?.toISOString() ?? null : null;
+}
+
+/** Schedule as returned by the API: `lastRun` is the newest entry of `runs`. */
+export function publicSchedule(s) {
+  return { ...s, lastRun: s.runs[0] || null };
+}
+
+/** Newest first; `owner` narrows to one user's schedules. */
+export function listSchedules({ owner } = {}) {
+  return [...schedules.values()]
+    .filter(s => owner === undefined || s.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function getSchedule(id) { return schedules.get(id) || null; }
+
+export async function createSchedule(body, { owner = null } = {}) {
+  const s = {
+    id: crypto.randomUUID(),
+    owner,
+    ...(await checkTargets(normalizeSchedule(body))),
+    createdAt: now(),
+    nextRunAt: null,
+    runs: []
+  };
+  s.nextRunAt = nextRunFor(s);
+  schedules.set(s.id, s);
+  await save(s);
+  return s;
+}
+
+export async function updateSchedule(id, body) {
+  const s = schedules.get(id);
+  if (!s) return null;
+  Object.assign(s, await checkTargets(normalizeSchedule(body, s)));
+  s.nextRunAt = nextRunFor(s);
+  await save(s);
+  return s;
+}
+
+export async function deleteSchedule(id) {
+  const s = schedules.get(id);
+  if (!s) return false;
+  schedules.delete(id);
+  for (const run of s.runs) byJob.delete(run.jobId);
+  await store.remove(id);
+  return true;
+}
+
+// ============ Running ============
+const isRunning = (s) => s.runs[0]?.status === 'running';
+
+/**
+ * Starts a run now as a background job over the schedule's window; returns the run.
+ * A run that cannot start is recorded as failed and the error is thrown.
+ */
+export async function runSchedule(id, { manual = false } = {}) {
+  const s = schedules.get(id);
+  if (!s) return null;
+  if (isRunning(s)) throw conflict('The previous run of this schedule is still going.');
+  const range = windowRange(s.window);
+  const run = { jobId: null, manual, startedAt: now(), finishedAt: null, status: 'running', error: null, reportId: null, ...range, deliveries: [] };
+  s.runs = [run, ...s.runs].slice(0, RUN_HISTORY);
+  try {
+    const params = normalizeParams({ ...s.params, mode: 'period', ...range });
+    if (params.summarizer !== 'heuristic' && !runtime.llm.ready) throw badRequest(`No API key for LLM provider "${runtime.llm.provider}".`);
+    const job = await createJob(params, { owner: s.owner, trigger: 'schedule' });
+    run.jobId = job.id;
+    byJob.set(job.id, s.id);
+    await save(s);
+    return run;
+  } catch (err) {
+    Object.assign(run, { status: 'failed', error: String(err?.message || err), finishedAt: now() });
+    await save(s);
+    throw err;
+  }
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (const s of schedules.values()) {
+      if (!s.enabled || !s.nextRunAt || new Date(s.nextRunAt) > new Date()) continue;
+      s.nextRunAt = nextRunFor(s);
+      if (isRunning(s)) {
+        console.warn(`schedule ${s.id}: skipped a run, the previous one is still going`);
+        await save(s);
+        continue;
+      }
+      await runSchedule(s.id).catch(err => console.error(`schedule ${s.id}: ${err?.message || err}`));
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/** Loads schedules, settles runs that ended while the server was down and starts the scheduler. */
+export async function initSchedules({ llm }) {
+  runtime = { llm };
+  for (const s of await store.list()) {
+    if (!s?.id) continue;
+    schedules.set(s.id, s);
+    for (const run of s.runs || []) if (run.jobId && run.status === 'running') byJob.set(run.jobId, s.id);
+  }
+  onJobSettled(jobSettled);
+  for (const [jobId] of byJob) {
+    const job = getJob(jobId);
+    if (job && TERMINAL.has(job.status)) {
+      await jobSettled(job);
+    } else if (!job) {
+      await finishRun(jobId, { status: 'failed', error: 'The job no longer exists' });
+    }
+  }
+  if (DISABLED) return;
+  await tick();
+  setInterval(() => tick().catch(err => console.error('scheduler tick failed', err)), TICK_MS).unref();
+}
+
+async function finishRun(jobId, fields) {
+  const s = schedules.get(byJob.get(jobId));
+  byJob.delete(jobId);
+  const run = s?.runs.find(r => r.jobId === jobId);
+  if (!run) return;
+  Object.assign(run, fields, { finishedAt: now() });
+  await save(s);
+}
+
+// ============ Delivering ============
+async function jobSettled(job) {
+  const s = schedules.get(byJob.get(job.id));
+  const run = s?.runs.find(r => r.jobId === job.id);
+  if (!run || run.status !== 'running') return;
+  if (job.status !== 'completed') {
+    return finishRun(job.id, { status: job.status === 'cancelled' ? 'cancelled' : 'failed', error: job.error || (job.status === 'cancelled' ? 'Job cancelled' : 'Job failed') });
+  }
+  run.reportId = job.reportId || null;
+  const report = run.reportId ? await getReport(run.reportId) : null;
+  run.deliveries = [];
+  for (const target of s.targets) {
+    const entry = { type: target.type, target: describeTarget(target), ok: true, at: now(), error: null };
+    try {
+      await deliver(s, target, job.result, report);
+    } catch (err) {
+      Object.assign(entry, { ok: false, error: String(err?.message || err) });
+    }
+    run.deliveries.push(entry);
+  }
+  const failed = run.deliveries.filter(d => !d.ok).map(d => d.type);
+  await finishRun(job.id, failed.length
+    ? { status: 'failed', error: `Delivery failed: ${[...new Set(failed)].join(', ')}` }
+    : { status: 'completed', error: null });
+}
+
+function describeTarget(t) {
+  if (t.type === 'webhook') return new URL(t.url).host;
+  if (t.type === 'email') return t.to.join(', ');
+  return t.path || '.';
+}
+
+const day = (iso) => String(iso || '').slice(0, 10);
+const reportUrl = (reportId) => (PUBLIC_URL && reportId ? `${PUBLIC_URL}/?report=${reportId}` : null);
+
+async function deliver(s, target, result, report) {
+  const rendered = await renderExport(result, target.format, { report });
+  const subject = `${s.name}: ${result.repo} ${day(result.since)} → ${day(result.until)}`;
+  const url = reportUrl(report?.id);
+
+  if (target.type === 'webhook') {
+    const r = await postJson(target.url, {
+      text: rendered.body,
+      format: target.format,
+      schedule: { id: s.id, name: s.name },
+      repo: result.repo, since: result.since, until: result.until,
+      reportId: report?.id || null,
+      reportUrl: url
+    }, { timeoutMs: DELIVERY_TIMEOUT_MS });
+    if (!r.ok) throw new Error(`${r.status} ${r.text.slice(0, 200)}`);
+  } else if (target.type === 'email') {
+    // HTML mail carries the markdown as its plain-text part
+    const markdown = target.format === 'md' ? rendered.body : (await renderExport(result, 'md')).body;
+    await sendMail({
+      to: target.to,
+      subject,
+      text: url ? `${markdown}\nFull report: ${url}\n` : markdown,
+      html: target.format === 'html' ? rendered.body : undefined
+    });
+  } else {
+    const dir = outputDir(target.path);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, rendered.filename), rendered.body);
+  }
+}
@@ -0,0 +1,74 @@
+// server/schema.js
+
+/**
+ * The commit-summary contract. The JSON Schema is handed to providers that support
+ * structured output; validateCommitSummary enforces the same rules server-side for
+ * everything else (and for cached entries written by older versions).
+ */
+
+export const CHANGE_TYPES = ['feat', 'fix', 'refactor', 'docs', 'chore', 'test', 'build', 'ci', 'perf', 'style', 'other'];
+export const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// Strict-mode compatible: every property required, no extras.
+export const COMMIT_SUMMARY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'change_type', 'areas', 'risk', 'test_impact', 'notable_files'],
+  properties: {
+    summary: { type: 'string', description: '1-3 bullets, terse but informative. What changed and why (if inferable).' },
+    change_type: { type: 'string', enum: CHANGE_TYPES },
+    areas: { type: 'array', items: { type: 'string' }, description: "Short tags like 'api', 'ui', 'build', 'infra', 'auth'." },
+    risk: { type: 'string', enum: RISK_LEVELS },
+    test_impact: { type: 'string', description: 'Did tests change or are tests recommended?' },
+    notable_files: { type: 'array', items: { type: 'string' }, description: 'Top 3 relevant files.' }
+  }
+};
+
+/** Pulls a JSON object out of model text, tolerating ```json fences and stray prose around it. */
+export function extractJSON(text) {
+  const trimmed = String(text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  const body = fenced ? fenced[1] : trimmed;
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    const start = body.indexOf('{'), end = body.lastIndexOf('}');
+    if (start !== -1 && end > start) return JSON.parse(body.slice(start, end + 1));
+    throw err;
+  }
+}
+
+const stringList = (v) => Array.isArray(v) && v.every(x => typeof x === 'string');
+
+/**
+ * Checks a parsed reply against COMMIT_SUMMARY_SCHEMA. Harmless drift (enum casing,
+ * a bullet array instead of a string) is normalized rather than rejected.
+ *
+ * @returns {{ ok: true, value: object } | { ok: false, errors: string[] }}
+ */
+export function validateCommitSummary(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { ok: false, errors: ['reply is not a JSON object'] };
+  const errors = [];
+  const value = {};
+
+  const summary = stringList(input.summary) ? input.summary.join('\n') : input.summary;
+  if (typeof summary !== 'string' || !summary.trim()) errors.push('"summary" must be a non-empty string');
+  else value.summary = summary.trim();
+
+  for (const [key, allowed] of [['change_type', CHANGE_TYPES], ['risk', RISK_LEVELS]]) {
+    const v = typeof input[key] === 'string' ? input[key].trim().toLowerCase() : input[key];
+    if (!allowed.includes(v)) errors.push(`"${key}" must be one of ${allowed.join('|')} (got ${JSON.stringify(input[key])})`);
+    else value[key] = v;
+  }
+
+  for (const key of ['areas', 'notable_files']) {
+    if (input[key] == null) value[key] = [];
+    else if (!stringList(input[key])) errors.push(`"${key}" must be an array of strings`);
+    else value[key] = input[key].map(s => s.trim()).filter(Boolean);
+  }
+
+  if (input.test_impact != null && typeof input.test_impact !== 'string') errors.push('"test_impact" must be a string');
+  else value.test_impact = (input.test_impact || '').trim();
+
+  return errors.length ? { ok: false, errors } : { ok: true, value };
+}
@@ -0,0 +1,269 @@
+// server/signals.js
+import { areasOf } from './heuristic.js';
+
+/**
+ * Deterministic risk signals, computed from each commit's files and patches before
+ * summarization (path filters do not apply: a lockfile is skipped by the LLM but its
+ * dependency changes still count). Signals are attached to the commit, fed into the
+ * commit prompt, and set a floor under the commit's risk.
+ *
+ * Signal: { kind, severity: 'low'|'medium'|'high', file, line?, message, deltas? }
+ */
+
+export const SIGNAL_KINDS = ['secret', 'dependency', 'migration', 'ci', 'auth', 'deleted_test'];
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 };
+
+// ============ Patch helpers ============
+
+/** Added/removed lines of a unified diff, with new-file line numbers for additions. */
+function diffLines(patch) {
+  const added = [], removed = [];
+  let line = 0;
+  for (const raw of String(patch || '').split('\n')) {
+    const hunk = raw.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) { line = Number(hunk[1]); continue; }
+    if (raw.startsWith('+') && !raw.startsWith('+++')) added.push({ line: line++, text: raw.slice(1) });
+    else if (raw.startsWith('-') && !raw.startsWith('---')) removed.push({ text: raw.slice(1) });
+    else if (!raw.startsWith('\\')) line++;
+  }
+  return { added, removed };
+}
+
+// ============ Secrets ============
+
+const SECRET_PATTERNS = [
+  { name: 'AWS access key', re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'GitHub token', re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/g },
+  { name: 'Slack token', re: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { name: 'Anthropic API key', re: /\bsk-ant-[A-Za-z0-9_-]{20,}\b/g },
+  { name: 'OpenAI API key', re: /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}\b/g },
+  { name: 'Google API key', re: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'Stripe live key', re: /\b[rs]k_live_[0-9A-Za-z]{20,}\b/g },
+  { name: 'Private key', re: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY( BLOCK)?-----/g },
+  // Generic assignments are noisier; they count as medium and skip obvious placeholders/references.
+  { name: 'Hard-coded credential', generic: true, re: /\b(?:password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret)\b["']?\s*[:=]\s*["']([^"'\s]{8,})["']/gi }
+];
+const PLACEHOLDER_RE = /\$\{|\{\{|process\.env|os\.environ|getenv|<[^>]*>|x{4,}|\*{4,}|\.{3}|changeme|example|dummy|placeholder|your[_-]/i;
+const ENV_FILE_RE = /(^|\/)\.env(\.[\w-]+)?$/;
+const ENV_TEMPLATE_RE = /\.(example|sample|template|dist|defaults)$/;
+// Secrets in test fixtures and examples are usually fake; they are reported at lower severity.
+const LOW_TRUST_PATH_RE = /(^|\/)(tests?|__tests__|spec|fixtures|testdata|examples?|docs?)\//i;
+
+// Never repeat a secret: keep 4 characters and the length.
+const redact = (value) => `${value.slice(0, 4)}…(${value.length} chars)`;
+
+function findSecrets(text) {
+  const hits = [];
+  for (const p of SECRET_PATTERNS) {
+    for (const m of text.matchAll(p.re)) {
+      const value = p.generic ? m[1] : m[0];
+      if (p.generic && PLACEHOLDER_RE.test(value)) continue;
+      hits.push({ name: p.name, value, generic: Boolean(p.generic) });
+    }
+  }
+  return hits;
+}
+
+/** Replaces likely secrets with a placeholder, so they are not sent to the LLM. */
+export function redactSecrets(text) {
+  let out = String(text || '');
+  for (const p of SECRET_PATTERNS) {
+    out = out.replace(p.re, (match, value) => (p.generic
+      ? (PLACEHOLDER_RE.test(value) ? match : match.replace(value, '[REDACTED]'))
+      : '[REDACTED]'));
+  }
+  return out;
+}
+
+function secretSignals(file, added) {
+  const signals = [];
+  const lowTrust = LOW_TRUST_PATH_RE.test(file.filename);
+  if (ENV_FILE_RE.test(file.filename) && !ENV_TEMPLATE_RE.test(file.filename) && file.status !== 'removed') {
+    signals.push({ kind: 'secret', severity: 'high', file: file.filename, message: 'Environment file committed' });
+  }
+  for (const { line, text } of added) {
+    for (const hit of findSecrets(text)) {
+      const severity = hit.generic || lowTrust ? 'medium' : 'high';
+      signals.push({ kind: 'secret', severity, file: file.filename, line, message: `Possible secret (${hit.name}): ${redact(hit.value)}` });
+    }
+  }
+  return signals;
+}
+
+// ============ Dependencies ============
+
+const LOCKFILE_RE = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb|Cargo\.lock|Gemfile\.lock|composer\.lock|poetry\.lock|Pipfile\.lock|go\.sum|mix\.lock|uv\.lock)$/;
+const VERSION_RE = /^[\^~<>=v]*\s*\d/;
+// Per manifest: a line parser returning { name, version } or null.
+const MANIFESTS = [
+  {
+    re: /(^|\/)package\.json$/,
+    parse: (t) => {
+      const m = t.match(/^\s*"(@?[\w.\/-]+)"\s*:\s*"([^"]+)"/);
+      return m && m[1] !== 'version' && (VERSION_RE.test(m[2]) || /^(workspace|npm|file|git\+?\w*):/.test(m[2])) ? { name: m[1], version: m[2] } : null;
+    }
+  },
+  {
+    re: /(^|\/)requirements[\w.-]*\.(txt|in)$/,
+    parse: (t) => {
+      const m = t.match(/^\s*([A-Za-z0-9_.\-\[\]]+)\s*(==|>=|<=|~=|!=|>|<)\s*([^\s;#]+)/);
+      return m ? { name: m[1].toLowerCase(), version: `${m[2]}${m[3]}` } : null;
+    }
+  },
+  {
+    re: /(^|\/)pyproject\.toml$/,
+    parse: (t) => {
+      const m = t.match(/^\s*"([A-Za-z0-9_.\-\[\]]+)\s*([<>=~!]=?[^"]*)"/) || t.match(/^\s*([A-Za-z0-9_.-]+)\s*=\s*"([\^~<>=]*\d[^"]*)"/);
+      return m && !['python', 'version'].includes(m[1]) ? { name: m[1].toLowerCase(), version: m[2].trim() } : null;
+    }
+  },
+  {
+    re: /(^|\/)go\.mod$/,
+    parse: (t) => {
+      const m = t.match(/^\s*(?:require\s+)?([\w.-]+\.[\w.\/-]+)\s+(v[\w.+-]+)/);
+      return m ? { name: m[1], version: m[2] } : null;
+    }
+  },
+  {
+    re: /(^|\/)Cargo\.toml$/,
+    parse: (t) => {
+      const m = t.match(/^\s*([\w-]+)\s*=\s*(?:"([\^~<>=]*\d[^"]*)"|\{[^}]*\bversion\s*=\s*"([^"]+)")/);
+      return m && !['version', 'edition', 'rust-version'].includes(m[1]) ? { name: m[1], version: m[2] || m[3] } : null;
+    }
+  },
+  {
+    re: /(^|\/)Gemfile$|\.gemspec$/,
+    parse: (t) => {
+      const m = t.match(/^\s*(?:gem|\w+\.add_(?:development_|runtime_)?dependency)\s*\(?\s*['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/);
+      return m ? { name: m[1], version: m[2] || '*' } : null;
+    }
+  }
+];
+
+const major = (v) => Number(String(v || '').replace(/^[^\d]*/, '').split('.')[0]);
+
+/** Package deltas from a manifest diff: { name, from, to } (from/to null when added/removed). */
+function dependencyDeltas(parse, added, removed) {
+  const before = new Map(), after = new Map();
+  for (const { text } of removed) { const d = parse(text); if (d) before.set(d.name, d.version); }
+  for (const { text } of added) { const d = parse(text); if (d) after.set(d.name, d.version); }
+  const deltas = [];
+  for (const name of new Set([...before.keys(), ...after.keys()])) {
+    const from = before.get(name) ?? null, to = after.get(name) ?? null;
+    if (from !== to) deltas.push({ name, from, to });
+  }
+  return deltas;
+}
+
+function dependencySignals(file, added, removed) {
+  if (LOCKFILE_RE.test(file.filename)) {
+    return [{ kind: 'dependency', severity: 'low', file: file.filename, message: `Lockfile changed (+${file.additions || 0}/-${file.deletions || 0})` }];
+  }
+  const manifest = MANIFESTS.find(m => m.re.test(file.filename));
+  if (!manifest) return [];
+  const deltas = dependencyDeltas(manifest.parse, added, removed);
+  if (!deltas.length) return [];
+  const describe = (d) => (d.from == null ? `+${d.name}@${d.to}` : d.to == null ? `-${d.name}` : `${d.name} ${d.from} → ${d.to}`);
+  // New packages, removals and major bumps deserve a look; minor/patch bumps are routine.
+  const notable = deltas.some(d => d.from == null || d.to == null || major(d.to) > major(d.from));
+  return [{
+    kind: 'dependency',
+    severity: notable ? 'medium' : 'low',
+    file: file.filename,
+    message: `${deltas.length} dependency change(s): ${deltas.slice(0, 5).map(describe).join(', ')}${deltas.length > 5 ? ', …' : ''}`,
+    deltas
+  }];
+}
+
+// ============ Migrations, CI, auth, tests ============
+
+const MIGRATION_RE = /(^|\/)(migrations?|migrate|alembic\/versions|flyway|liquibase|changelogs?)\/|\.sql$|(^|\/)schema\.prisma$/i;
+const DESTRUCTIVE_SQL_RE = /\b(DROP\s+(TABLE|COLUMN|INDEX|DATABASE|SCHEMA|CONSTRAINT)|TRUNCATE\b|ALTER\s+TABLE\s+\S+\s+(DROP|RENAME)|RENAME\s+COLUMN|remove_column|drop_table|rename_column|dropColumn|dropTable|renameColumn|op\.drop_\w+)/i;
+const CI_RE = /(^|\/)(\.github\/workflows\/|\.circleci\/|\.buildkite\/)|(^|\/)(\.gitlab-ci\.yml|Jenkinsfile|azure-pipelines\.yml|\.travis\.yml|bitbucket-pipelines\.yml)$/;
+const RISKY_CI_RE = /\bpull_request_target\b|permissions:\s*write-all|\bcurl\b[^|\n]*\|\s*(ba)?sh\b/;
+const AUTH_CODE_RE = /\b(authori[sz]e\w*|authenticat\w*|isAdmin|hasRole|hasPermission|requireAuth|checkPermission|permissions?|csrf|jwt|bcrypt|oauth|acl)\b/i;
+
+function migrationSignals(file, added) {
+  if (!MIGRATION_RE.test(file.filename)) return [];
+  const destructive = added.find(({ text }) => DESTRUCTIVE_SQL_RE.test(text));
+  return [destructive
+    ? { kind: 'migration', severity: 'high', file: file.filename, line: destructive.line, message: `Destructive migration: ${destructive.text.trim().slice(0, 120)}` }
+    : { kind: 'migration', severity: 'medium', file: file.filename, message: `Database migration ${file.status === 'added' ? 'added' : 'changed'}` }];
+}
+
+function ciSignals(file, added) {
+  if (!CI_RE.test(file.filename)) return [];
+  const risky = added.find(({ text }) => RISKY_CI_RE.test(text));
+  return [risky
+    ? { kind: 'ci', severity: 'high', file: file.filename, line: risky.line, message: `CI change with elevated trust: ${risky.text.trim().slice(0, 120)}` }
+    : { kind: 'ci', severity: 'medium', file: file.filename, message: `CI configuration ${file.status === 'removed' ? 'removed' : 'edited'}` }];
+}
+
+function authSignals(file, added, removed) {
+  const areas = areasOf(file.filename);
+  if (areas.includes('tests') || areas.includes('docs')) return [];
+  const removedCheck = removed.find(({ text }) => AUTH_CODE_RE.test(text) && !added.some(a => a.text.trim() === text.trim()));
+  if (areas.includes('auth')) {
+    return [{ kind: 'auth', severity: 'medium', file: file.filename, message: removedCheck ? `Auth code changed; removed: ${removedCheck.text.trim().slice(0, 120)}` : 'Auth/permission code changed' }];
+  }
+  if (removedCheck) return [{ kind: 'auth', severity: 'medium', file: file.filename, message: `Removed auth/permission logic: ${removedCheck.text.trim().slice(0, 120)}` }];
+  return [];
+}
+
+function deletedTestSignals(file) {
+  if (file.status !== 'removed' || !areasOf(file.filename).includes('tests')) return [];
+  return [{ kind: 'deleted_test', severity: 'medium', file: file.filename, message: `Test file deleted (-${file.deletions || 0} lines)` }];
+}
+
+// ============ Public API ============
+
+/** All signals for a commit's files (filtered files included). */
+export function detectSignals(files) {
+  const out = [];
+  for (const file of files || []) {
+    const { added, removed } = diffLines(file.patch);
+    out.push(
+      ...secretSignals(file, added),
+      ...dependencySignals(file, added, removed),
+      ...migrationSignals(file, added),
+      ...ciSignals(file, added),
+      ...authSignals(file, added, removed),
+      ...deletedTestSignals(file)
+    );
+  }
+  return out;
+}
+
+/** Lowest risk a commit with these signals may have, or null when nothing raises it. */
+export function riskFloor(signals) {
+  const worst = Math.max(-1, ...(signals || []).map(s => SEVERITY_RANK[s.severity] ?? 0));
+  return worst >= SEVERITY_RANK.medium ? Object.keys(SEVERITY_RANK)[worst] : null;
+}
+
+/** Raises `ai.risk` to the signals' floor; the original level is kept as `risk_raised_from`. */
+export function applyRiskFloor(ai, signals) {
+  const floor = riskFloor(signals);
+  if (!floor || ai.unsummarized || SEVERITY_RANK[ai.risk] >= SEVERITY_RANK[floor]) return ai;
+  return { ...ai, risk: floor, risk_raised_from: ai.risk };
+}
+
+const SECTION_TITLES = {
+  secret: 'Possible secrets', dependency: 'Dependency changes', migration: 'Database migrations',
+  ci: 'CI / workflow edits', auth: 'Auth & permission changes', deleted_test: 'Deleted tests'
+};
+
+/** "## Risk signals" report section, grouped by kind; empty string when no commit has signals. */
+export function renderRiskSignals(commits) {
+  const flagged = commits.filter(c => c.signals?.length);
+  if (!flagged.length) return '';
+  const out = ['## Risk signals', '', '_Detected by static checks on the diffs, independent of the model._'];
+  for (const kind of SIGNAL_KINDS) {
+    const rows = flagged.flatMap(c => c.signals.filter(s => s.kind === kind).map(s => ({ c, s })));
+    if (!rows.length) continue;
+    out.push('', `### ${SECTION_TITLES[kind]}`, '');
+    for (const { c, s } of rows) {
+      out.push(`- ${s.severity === 'high' ? '**high** ' : ''}${c.repo ? `${c.repo} ` : ''}\`${c.sha.slice(0, 7)}\` ${s.file}${s.line ? `:${s.line}` : ''} — ${s.message.replace(/\s*\n\s*/g, ' ')}`);
+    }
+  }
+  return out.join('\n');
+}
@@ -0,0 +1,363 @@
+// server/sources.js
+import { execFile } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { Octokit } from 'octokit';
+
+const execFileAsync = promisify(execFile);
+
+// Local clones are opt-in: anyone who can reach the server could otherwise read any repo on its disk.
+export const ALLOW_LOCAL_REPOS = process.env.ALLOW_LOCAL_REPOS === 'true';
+// Optional comma-separated list of directories local repos must live under.
+const LOCAL_REPO_ROOTS = (process.env.LOCAL_REPO_ROOTS || '')
+  .split(',').map(s => s.trim()).filter(Boolean).map(p => path.resolve(expandHome(p)));
+
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+function looksLikeLocalPath(input) {
+  return /^(\/|\.{1,2}[\\/]|~(\/|$)|[A-Za-z]:[\\/]|file:\/\/)/.test(input);
+}
+
+/**
+ * Parses the repo field. GitHub input yields { kind: 'github', owner, repo };
+ * a filesystem path yields { kind: 'local', path } when ALLOW_LOCAL_REPOS is on.
+ */
+export function parseRepo(input) {
+  const urlish = (input || '').trim();
+  if (looksLikeLocalPath(urlish)) {
+    if (!ALLOW_LOCAL_REPOS) throw new Error('Local repository paths are disabled on this server (set ALLOW_LOCAL_REPOS=true).');
+    const abs = path.resolve(expandHome(urlish.replace(/^file:\/\//, '')));
+    if (LOCAL_REPO_ROOTS.length && !LOCAL_REPO_ROOTS.some(root => abs === root || abs.startsWith(root + path.sep))) {
+      throw new Error('Local repository path is outside the allowed roots (LOCAL_REPO_ROOTS).');
+    }
+    return { kind: 'local', path: abs };
+  }
+  const matchUrl = urlish.match(/github\.com\/([^/]+)\/([^/.]+)(?:\.git)?/i);
+  if (matchUrl) return { kind: 'github', owner: matchUrl[1], repo: matchUrl[2] };
+  const matchSimple = urlish.match(/^([^/]+)\/([^/]+)$/);
+  if (matchSimple) return { kind: 'github', owner: matchSimple[1], repo: matchSimple[2] };
+  throw new Error(ALLOW_LOCAL_REPOS
+    ? 'Invalid repo format. Use "owner/repo", a GitHub URL, or an absolute path to a local clone.'
+    : 'Invalid repo format. Use "owner/repo" or a GitHub URL.');
+}
+
+/**
+ * A commit source hides where commits come from. Every source exposes:
+ *   id                         stable identity (cache keys)
+ *   repoFull                   display name used in prompts and results
+ *   getRepoInfo()              { defaultBranch, private, branches[] }
+ *   getDefaultBranch({ signal })  the default branch name alone (no branch listing)
+ *   listBranches({ signal })   branch names
+ *   listCommits({ branch, since, until, signal })  GitHub listCommits-shaped commits, newest first
+ *   compareCommits({ base, head, signal })  commits reachable from head but not base, newest first
+ *   listTags({ signal })       tag names, newest first where the source can tell
+ *   getCommit(sha, { signal }) { files[], stats }, files shaped like GitHub's getCommit files
+ *   getCommitInfo(sha, { signal })  one commit shaped like a listCommits entry (no diff)
+ *   listPullRequests(sha, { signal })  pull requests containing the commit (empty where unsupported)
+ *   rateLimit()                latest { limit, remaining, reset } seen, or null (remote sources only)
+ * `signal` (AbortSignal) is optional everywhere and cancels in-flight requests.
+ */
+export function createCommitSource(input, { githubToken = process.env.GITHUB_TOKEN } = {}) {
+  const parsed = parseRepo(input);
+  return parsed.kind === 'local' ? localSource(parsed.path) : githubSource(parsed, githubToken);
+}
+
+// ---------- GitHub (Octokit) ----------
+const COMPARE_PAGE_SIZE = 100;
+
+/**
+ * Repositories of a GitHub organization (or, failing that, a user account), as
+ * `{ repo: 'owner/name', name, topics[], archived, fork, defaultBranch }`. Only what the
+ * token can see is listed, so private repos need a token with access to them.
+ */
+export async function listOrgRepos(org, { githubToken = process.env.GITHUB_TOKEN, signal } = {}) {
+  const octokit = new Octokit({ auth: githubToken, retry: { enabled: false }, throttle: { enabled: false } });
+  let repos;
+  try {
+    repos = await octokit.paginate(octokit.rest.repos.listForOrg, { org, type: 'all', per_page: 100, request: { signal } });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    repos = await octokit.paginate(octokit.rest.repos.listForUser, { username: org, type: 'owner', per_page: 100, request: { signal } });
+  }
+  return repos.map(r => ({
+    repo: r.full_name, name: r.name, topics: r.topics || [], archived: Boolean(r.archived), fork: Boolean(r.fork), defaultBranch: r.default_branch
+  }));
+}
+
+function githubSource({ owner, repo }, token) {
+  // Octokit's own retry/throttle plugins wait silently and can't be cancelled; ratelimit.js handles both.
+  const octokit = new Octokit({ auth: token, retry: { enabled: false }, throttle: { enabled: false } });
+  const repoFull = `${owner}/${repo}`;
+
+  // Track the quota from every response (errors included) so callers can report and respect it.
+  let quota = null;
+  const recordQuota = (headers = {}) => {
+    if (headers['x-ratelimit-remaining'] == null) return;
+    quota = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      reset: Number(headers['x-ratelimit-reset'])
+    };
+  };
+  octokit.hook.after('request', (response) => recordQuota(response.headers));
+  octokit.hook.error('request', (err) => { recordQuota(err.response?.headers); throw err; });
+
+  async function listBranches({ signal } = {}) {
+    const branches = await octokit.paginate(octokit.rest.repos.listBranches, { owner, repo, per_page: 100, request: { signal } });
+    return branches.map(b => b.name);
+  }
+
+  // Reviews are per PR, and several commits usually share one; look each PR up once per source.
+  const reviewers = new Map(); // number -> Promise<string[]>
+  function reviewersOf(pr, signal) {
+    if (!reviewers.has(pr.number)) {
+      const p = octokit.paginate(octokit.rest.pulls.listReviews, { owner, repo, pull_number: pr.number, per_page: 100, request: { signal } })
+        .then(reviews => {
+          const logins = [...(pr.requested_reviewers || []), ...reviews.map(r => r.user)].map(u => u?.login).filter(Boolean);
+          return [...new Set(logins)].filter(l => l !== pr.user?.login);
+        });
+      p.catch(() => reviewers.delete(pr.number)); // retry on the next commit rather than caching a failure
+      reviewers.set(pr.number, p);
+    }
+    return reviewers.get(pr.number);
+  }
+
+  return {
+    kind: 'github',
+    id: repoFull,
+    repoFull,
+    owner,
+    repo,
+    octokit,
+    rateLimit: () => quota && { ...quota },
+    listBranches,
+    async getRepoInfo() {
+      const r = await octokit.rest.repos.get({ owner, repo });
+      return { defaultBranch: r.data.default_branch, private: r.data.private, branches: await listBranches() };
+    },
+    async getDefaultBranch({ signal } = {}) {
+      return (await octokit.rest.repos.get({ owner, repo, request: { signal } })).data.default_branch;
+    },
+    listCommits({ branch, since, until, signal }) {
+      return octokit.paginate(octokit.rest.repos.listCommits, { owner, repo, since, until, per_page: 100, sha: branch, request: { signal } });
+    },
+    // `author` is an email (or login); true when the branch has a commit of theirs before `before`.
+    async hasCommitBefore({ author, before, branch, signal }) {
+      const r = await octokit.rest.repos.listCommits({ owner, repo, author, until: before, sha: branch, per_page: 1, request: { signal } });
+      return r.data.length > 0;
+    },
+    async compareCommits({ base, head, signal }) {
+      // The compare response isn't a plain list, so octokit.paginate can't walk it; page by hand.
+      const commits = [];
+      for (let page = 1; ; page++) {
+        const resp = await octokit.rest.repos.compareCommitsWithBasehead({
+          owner, repo, basehead: `${base}...${head}`, per_page: COMPARE_PAGE_SIZE, page, request: { signal }
+        });
+        commits.push(...resp.data.commits);
+        if (resp.data.commits.length < COMPARE_PAGE_SIZE || commits.length >= resp.data.total_commits) break;
+      }
+      return commits.reverse(); // compare lists oldest first
+    },
+    async listTags({ signal } = {}) {
+      const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100, request: { signal } });
+      return tags.map(t => t.name);
+    },
+    async listPullRequests(sha, { signal } = {}) {
+      const resp = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({ owner, repo, commit_sha: sha, request: { signal } });
+      // Closed-unmerged PRs only share the commit by accident (e.g. a rebased duplicate); skip them.
+      const prs = resp.data.filter(pr => pr.merged_at || pr.state === 'open');
+      prs.sort((a, b) => Boolean(b.merged_at) - Boolean(a.merged_at) || a.number - b.number);
+      return Promise.all(prs.map(async pr => ({
+        number: pr.number,
+        title: pr.title,
+        body: pr.body || '',
+        url: pr.html_url,
+        state: pr.merged_at ? 'merged' : pr.state,
+        author: pr.user?.login || 'unknown',
+        labels: (pr.labels || []).map(l => (typeof l === 'string' ? l : l.name)),
+        reviewers: await reviewersOf(pr, signal),
+        mergedAt: pr.merged_at || null
+      })));
+    },
+    async getCommitInfo(sha, { signal } = {}) {
+      // The git data API skips the diff, so this is cheap even for huge commits.
+      const { data } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: sha, request: { signal } });
+      return {
+        sha: data.sha,
+        parents: (data.parents || []).map(p => ({ sha: p.sha })),
+        commit: { message: data.message, author: data.author, committer: data.committer }
+      };
+    },
+    async getCommit(sha, { signal } = {}) {
+      const resp = await octokit.rest.repos.getCommit({ owner, repo, ref: sha, request: { signal } });
+      return {
+        files: (resp.data.files || []).map(f => ({
+          filename: f.filename,
+          status: f.status,
+          additions: f.additions || 0,
+          deletions: f.deletions || 0,
+          changes: f.changes || 0,
+          patch: f.patch || ''
+        })),
+        stats: { additions: resp.data.stats?.additions || 0, deletions: resp.data.stats?.deletions || 0 }
+      };
+    }
+  };
+}
+
+// ---------- Local clone (git CLI) ----------
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+const FIELD = '\x1f', RECORD = '\x1e';
+const STATUS_NAMES = { A: 'added', M: 'modified', D: 'removed', R: 'renamed', C: 'copied', T: 'changed' };
+
+function assertRef(ref) {
+  if (!ref || ref.startsWith('-') || /[\s\x00-\x1f]/.test(ref)) throw new Error(`Invalid ref "${ref}"`);
+  return ref;
+}
+
+function localSource(repoPath) {
+  const git = async (args, { signal } = {}) => {
+    try {
+      const { stdout } = await execFileAsync('git', ['-C', repoPath, ...args], { maxBuffer: GIT_MAX_BUFFER, signal });
+      return stdout;
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      const msg = (err.stderr || err.message || '').trim().split('\n')[0];
+      const e = new Error(`git ${args[0]} failed: ${msg}`);
+      e.status = /not a git repository|cannot change to/i.test(msg) ? 404 : 500;
+      throw e;
+    }
+  };
+
+  async function listBranches({ signal } = {}) {
+    const out = await git(['for-each-ref', '--format=%(refname:short)', 'refs/heads', 'refs/remotes'], { signal });
+    const names = out.split('\n').map(s => s.trim()).filter(n => n && !n.endsWith('/HEAD'));
+    return [...new Set(names)];
+  }
+
+  async function defaultBranch() {
+    try { return (await git(['symbolic-ref', '--short', 'HEAD'])).trim(); } catch { return 'main'; }
+  }
+
+  async function log(revArgs, { signal }) {
+    const fmt = ['%H', '%P', '%an', '%ae', '%aI', '%cn', '%ce', '%cI', '%B'].join(FIELD) + RECORD;
+    const out = await git(['log', `--format=${fmt}`, ...revArgs, '--'], { signal });
+    return out.split(RECORD).map(r => r.replace(/^\n/, '')).filter(Boolean).map(toCommit);
+  }
+
+  // Converts a git log record into the same shape Octokit's listCommits returns.
+  function toCommit(record) {
+    const [sha, parents, an, ae, ad, cn, ce, cd, ...body] = record.split(FIELD);
+    return {
+      sha,
+      parents: parents.trim() ? parents.trim().split(' ').map(p => ({ sha: p })) : [],
+      commit: {
+        message: body.join(FIELD).replace(/\n+$/, ''),
+        author: { name: an, email: ae, date: ad },
+        committer: { name: cn, email: ce, date: cd }
+      }
+    };
+  }
+
+  // Splits `-z` output of --name-status / --numstat into one entry per file.
+  function parseNameStatus(out) {
+    const parts = out.split('\0');
+    const entries = [];
+    for (let i = 0; i < parts.length && parts[i]; ) {
+      const code = parts[i++];
+      const letter = code[0];
+      if (letter === 'R' || letter === 'C') { entries.push({ letter, previous: parts[i], filename: parts[i + 1] }); i += 2; }
+      else { entries.push({ letter, filename: parts[i] }); i += 1; }
+    }
+    return entries;
+  }
+  function parseNumstat(out) {
+    const parts = out.split('\0');
+    const entries = [];
+    for (let i = 0; i < parts.length && parts[i]; ) {
+      const [add, del, name] = parts[i++].split('\t');
+      if (!name) i += 2; // rename/copy: paths follow as two extra fields
+      entries.push({ additions: add === '-' ? 0 : Number(add), deletions: del === '-' ? 0 : Number(del) });
+    }
+    return entries;
+  }
+  // Patch per file without the `diff --git` header, matching GitHub's `patch` field.
+  function splitPatches(out) {
+    return out.split(/^diff --git .*$/m).slice(1).map(section => {
+      const start = section.search(/^@@/m);
+      return start === -1 ? '' : section.slice(start).replace(/\n$/, '');
+    });
+  }
+
+  return {
+    kind: 'local',
+    id: `local:${repoPath}`,
+    repoFull: path.basename(repoPath),
+    path: repoPath,
+    rateLimit: () => null,
+    listBranches,
+    async listPullRequests() { return []; }, // a bare clone has no PR data
+    async getRepoInfo() {
+      await git(['rev-parse', '--git-dir']);
+      return { defaultBranch: await defaultBranch(), private: true, branches: await listBranches() };
+    },
+    getDefaultBranch: () => defaultBranch(),
+    async listCommits({ branch, since, until, signal }) {
+      const args = [];
+      if (since) args.push(`--since=${since}`);
+      if (until) args.push(`--until=${until}`);
+      args.push(assertRef(branch || await defaultBranch()));
+      return log(args, { signal });
+    },
+    async hasCommitBefore({ author, before, branch, signal }) {
+      const out = await git(['rev-list', '-1', '--fixed-strings', `--author=${author}`, `--until=${before}`, assertRef(branch || await defaultBranch())], { signal });
+      return Boolean(out.trim());
+    },
+    compareCommits({ base, head, signal }) {
+      return log([`${assertRef(base)}..${assertRef(head)}`], { signal });
+    },
+    async listTags({ signal } = {}) {
+      const out = await git(['for-each-ref', '--sort=-creatordate', '--format=%(refname:short)', 'refs/tags'], { signal });
+      return out.split('\n').map(s => s.trim()).filter(Boolean);
+    },
+    async getCommitInfo(sha, { signal } = {}) {
+      const [commit] = await log(['-1', assertRef(sha)], { signal });
+      return commit;
+    },
+    async getCommit(sha, { signal } = {}) {
+      assertRef(sha);
+      const [parentLine] = (await git(['rev-list', '--parents', '-n', '1', sha], { signal })).trim().split('\n');
+      const parents = parentLine.split(' ').slice(1);
+      // Diff against the first parent (like GitHub does for merges); root commits diff against the empty tree.
+      const range = parents.length ? [parents[0], sha] : ['--root', sha];
+      const base = ['diff-tree', '-r', '-M', '--no-commit-id'];
+      const [nameStatus, numstat, patch] = await Promise.all([
+        git([...base, '-z', '--name-status', ...range], { signal }),
+        git([...base, '-z', '--numstat', ...range], { signal }),
+        git([...base, '-p', '--no-color', ...range], { signal })
+      ]);
+      const names = parseNameStatus(nameStatus);
+      const counts = parseNumstat(numstat);
+      const patches = splitPatches(patch);
+      const files = names.map((n, i) => {
+        const additions = counts[i]?.additions || 0, deletions = counts[i]?.deletions || 0;
+        const file = {
+          filename: n.filename,
+          status: STATUS_NAMES[n.letter] || 'modified',
+          additions,
+          deletions,
+          changes: additions + deletions,
+          patch: patches[i] || ''
+        };
+        if (n.previous) file.previous_filename = n.previous;
+        return file;
+      });
+      return {
+        files,
+        stats: { additions: files.reduce((s, f) => s + f.additions, 0), deletions: files.reduce((s, f) => s + f.deletions, 0) }
+      };
+    }
+  };
+}
@@ -0,0 +1,88 @@
+// server/store.js
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+// Root for everything the server persists (cache, reports, …). Relative paths resolve against server/.
+export const DATA_DIR = path.resolve(HERE, process.env.DATA_DIR || '.data');
+
+// Makes temp file names unique per write, so concurrent puts of one entry never share one
+let tmpSeq = 0;
+
+/**
+ * Minimal JSON-file store: one `<id>.json` file per entry under DATA_DIR/<name>.
+ * Writes go through a temp file + rename so readers never see a half-written entry.
+ *
+ * @param {string} name - Sub-directory of DATA_DIR (may be nested, e.g. "cache/commits").
+ */
+export function jsonStore(name) {
+  const dir = path.join(DATA_DIR, name);
+  const fileFor = (id) => path.join(dir, `${encodeURIComponent(String(id))}.json`);
+
+  async function ids() {
+    try {
+      const names = await fs.readdir(dir);
+      return names.filter(n => n.endsWith('.json')).map(n => decodeURIComponent(n.slice(0, -5)));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function get(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      if (err instanceof SyntaxError) return null; // corrupt entry: treat as missing
+      throw err;
+    }
+  }
+
+  async function put(id, value) {
+    await fs.mkdir(dir, { recursive: true });
+    const target = fileFor(id);
+    const tmp = `${target}.${process.pid}.${++tmpSeq}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value));
+    await fs.rename(tmp, target);
+    return value;
+  }
+
+  async function remove(id) {
+    try {
+      await fs.unlink(fileFor(id));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  async function list() {
+    const out = [];
+    for (const id of await ids()) {
+      const v = await get(id);
+      if (v != null) out.push(v);
+    }
+    return out;
+  }
+
+  async function stats() {
+    let entries = 0, bytes = 0;
+    for (const id of await ids()) {
+      try {
+        const st = await fs.stat(fileFor(id));
+        entries++; bytes += st.size;
+      } catch { /* removed concurrently */ }
+    }
+    return { entries, bytes };
+  }
+
+  async function clear() {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  return { dir, ids, get, put, remove, list, stats, clear };
+}
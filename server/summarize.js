@@ -0,0 +1,493 @@
+// server/summarize.js
+import { estimateTokens, truncateTokens } from './tokens.js';
+import { CHANGE_TYPES, RISK_LEVELS, COMMIT_SUMMARY_SCHEMA, extractJSON, validateCommitSummary } from './schema.js';
+import { describeTrend } from './trends.js';
+
+/**
+ * Staged summarization, driven by a per-call token budget:
+ *   file   — diffs too large to inline are summarized on their own (split by hunk if needed)
+ *   commit — the commit prompt gets raw diffs for small files and file notes for the rest
+ *   period — commit bullets are rolled up in batches until they fit, then summarized once
+ */
+
+// Bump whenever buildCommitPrompt changes in a way that should invalidate cached summaries.
+export const COMMIT_PROMPT_VERSION = 4;
+
+export const DEFAULT_TOKEN_BUDGET = Number(process.env.LLM_TOKEN_BUDGET) || 12000;
+const MIN_TOKEN_BUDGET = 2000;
+// Rough prompt cost of one pre-summarized file note, used while planning.
+const NOTE_TOKENS = 150;
+// PR descriptions can be long templates; only their start goes into the commit prompt.
+const PR_BODY_TOKENS = 400;
+// Extra attempts after an invalid commit summary, each showing the model what was wrong.
+const SUMMARY_REPAIR_ATTEMPTS = Math.max(0, Number(process.env.SUMMARY_REPAIR_ATTEMPTS ?? 1));
+// How much of an invalid reply is echoed back in the repair prompt.
+const REPAIR_ECHO_CHARS = 2000;
+
+/** Clamps a requested budget (body `tokenBudget`) to something workable. */
+export function resolveTokenBudget(value) {
+  return Math.max(MIN_TOKEN_BUDGET, Math.floor(Number(value) || DEFAULT_TOKEN_BUDGET));
+}
+
+const shortSha = (sha) => sha.slice(0, 7);
+const firstLine = (s) => String(s || '').split('\n')[0];
+const fileHeader = (f) => `FILE: ${f.filename} (${f.status}, +${f.additions}/-${f.deletions})`;
+const omittedLine = (n) => `(${n} smaller file(s) left out of this view to fit the token budget.)\n`;
+// What a file costs in the commit prompt besides its diff: its file-list line and diff header
+const fileOverhead = (f, model) => estimateTokens(`- ${f.filename} (+${f.additions}/-${f.deletions})\n${fileHeader(f)}\n\n`, model);
+const formatSignal = (s) => `- [${s.kind}, ${s.severity}] ${s.file}${s.line ? `:${s.line}` : ''}: ${s.message}`;
+// Compact tag for period bullets, e.g. " [signals: secret, ci]".
+const signalTag = (c) => (c.signals?.length ? ` [signals: ${[...new Set(c.signals.map(s => s.kind))].join(', ')}]` : '');
+
+// ============ File stage ============
+
+/** Splits a unified diff into hunk groups that each fit `maxTokens`; a single oversized hunk is cut. */
+function chunkPatch(patch, maxTokens, model) {
+  const hunks = patch.split(/(?=^@@)/m).filter(Boolean);
+  const chunks = [];
+  let current = '', currentTokens = 0;
+  for (const hunk of hunks) {
+    const t = estimateTokens(hunk, model);
+    if (current && currentTokens + t > maxTokens) { chunks.push(current); current = ''; currentTokens = 0; }
+    if (t > maxTokens) { chunks.push(truncateTokens(hunk, maxTokens, model)); continue; }
+    current += hunk; currentTokens += t;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function buildFilePrompt({ repoFull, commit, file, chunk, part, parts }) {
+  return [
+    `You are a senior engineer summarizing one file's diff as input for a larger commit summary.`,
+    `Repository: ${repoFull}`,
+    `Commit: ${shortSha(commit.sha)} | Title: ${firstLine(commit.commit.message)}`,
+    fileHeader(file) + (parts > 1 ? ` — part ${part} of ${parts}` : ''),
+    `Diff:\n${chunk}\n`,
+    `Return 2-5 terse plain-text bullets: what changed in this file and why it matters. No preamble.`
+  ].join('\n');
+}
+
+async function summarizeFile({ llm, repoFull, commit, file, budget, signal }) {
+  const chunks = chunkPatch(file.patch, Math.floor(budget * 0.8), llm.model);
+  // Parts run concurrently (the LLM limiter bounds them); Promise.all keeps them in order.
+  const notes = await Promise.all(chunks.map(async (chunk, i) => {
+    const resp = await llm.complete(buildFilePrompt({ repoFull, commit, file, chunk, part: i + 1, parts: chunks.length }), { signal });
+    return chunks.length > 1 ? `[part ${i + 1}/${chunks.length}]\n${resp.text.trim()}` : resp.text.trim();
+  }));
+  return notes.join('\n');
+}
+
+// ============ Commit stage ============
+
+function formatPull(pr) {
+  const labels = pr.labels?.length ? ` [${pr.labels.join(', ')}]` : '';
+  const body = pr.body?.trim() ? `\n  Description: ${pr.body.trim().replace(/\n/g, '\n  ')}` : '';
+  return `- #${pr.number} ${pr.title} (by ${pr.author}, ${pr.state})${labels}${body}`;
+}
+
+export function buildCommitPrompt({ repoFull, commit, files, skippedCount = 0, omittedCount = 0, fileNotes = {}, pulls = [], signals = [] }) {
+  const fileList = files.map(f => `- ${f.filename} (+${f.additions}/-${f.deletions})`).join('\n');
+  const patches = files.map(f => [
+    fileHeader(f),
+    fileNotes[f.filename] != null
+      ? `(diff too large to inline; file-level summary:)\n${fileNotes[f.filename]}`
+      : (f.patch ?? '')
+  ].join('\n')).join('\n\n');
+
+  return [
+    `You are a senior engineer writing concise, actionable commit summaries.`,
+    `Repository: ${repoFull}`,
+    `Commit: ${shortSha(commit.sha)} | Author: ${commit.commit.author?.name || 'unknown'} | Date: ${commit.commit.author?.date || 'unknown'}`,
+    `Title: ${firstLine(commit.commit.message)}`,
+    ...(pulls.length ? [`Pull request(s) containing this commit (use as context for intent):\n${pulls.map(formatPull).join('\n')}\n`] : []),
+    `Files changed:\n${fileList || '(none)'}\n`,
+    ...(skippedCount ? [`(${skippedCount} generated/vendored/filtered file(s) omitted from this view.)\n`] : []),
+    ...(omittedCount ? [omittedLine(omittedCount)] : []),
+    ...(signals.length ? [
+      `Risk signals from static checks (facts, not guesses; "risk" must reflect them, and the summary should mention secrets, destructive migrations and removed checks):\n${signals.map(formatSignal).join('\n')}\n`
+    ] : []),
+    `Diff hunks (large files pre-summarized):\n${patches || '(no patch available)'}\n\n`,
+    `OUTPUT STRICT JSON with this shape (and nothing else):`,
+    `{
+      "summary": "1-3 bullets, terse but informative. What changed and why (if inferable).",
+      "change_type": "${CHANGE_TYPES.join('|')}",
+      "areas": ["short tags like 'api', 'ui', 'build', 'infra', 'auth'"],
+      "risk": "${RISK_LEVELS.join('|')}",
+      "test_impact": "did tests change or are tests recommended?",
+      "notable_files": ["top 3 relevant files"]
+    }`
+  ].join('\n');
+}
+
+/**
+ * Picks which files to summarize separately: the largest diffs move out of the
+ * commit prompt until what remains fits the budget. A commit touching very many files can
+ * still be over; its smallest changes are then left out (`omitted`) until the rest fits.
+ */
+export function planCommit({ repoFull, commit, files, skippedCount, pulls, signals, budget, model }) {
+  const base = estimateTokens(buildCommitPrompt({ repoFull, commit, files: files.map(f => ({ ...f, patch: '' })), skippedCount, pulls, signals }), model);
+  const patchTokens = new Map(files.map(f => [f.filename, estimateTokens(f.patch, model)]));
+  let total = base + [...patchTokens.values()].reduce((s, n) => s + n, 0);
+  const presummarize = [];
+  for (const f of [...files].sort((a, b) => patchTokens.get(b.filename) - patchTokens.get(a.filename))) {
+    if (total <= budget) break;
+    if (patchTokens.get(f.filename) <= NOTE_TOKENS) break; // nothing left worth moving
+    presummarize.push(f);
+    total -= patchTokens.get(f.filename) - NOTE_TOKENS;
+  }
+  const omitted = new Set();
+  if (total > budget) {
+    const moved = new Set(presummarize);
+    const churn = (f) => (f.additions || 0) + (f.deletions || 0);
+    const queue = [...files].sort((a, b) => churn(a) - churn(b) || a.filename.localeCompare(b.filename));
+    const notes = Object.fromEntries(presummarize.map(f => [f.filename, ' note'.repeat(NOTE_TOKENS)]));
+    // Per-file savings are estimates, so the prompt is re-measured until it really fits.
+    while (total > budget && queue.length) {
+      let excess = total - budget;
+      while (excess > 0 && queue.length) {
+        const f = queue.shift();
+        omitted.add(f);
+        excess -= fileOverhead(f, model) + (moved.has(f) ? NOTE_TOKENS : patchTokens.get(f.filename));
+      }
+      total = estimateTokens(buildCommitPrompt({
+        repoFull, commit, files: files.filter(f => !omitted.has(f)), skippedCount, omittedCount: omitted.size, fileNotes: notes, pulls, signals
+      }), model);
+    }
+  }
+  return { presummarize: presummarize.filter(f => !omitted.has(f)), omitted: [...omitted], estimatedTokens: total };
+}
+
+function buildRepairPrompt(prompt, reply, errors) {
+  return [
+    prompt,
+    `\nYour previous reply was not valid:`,
+    ...errors.map(e => `- ${e}`),
+    `Previous reply (truncated):\n${String(reply).slice(0, REPAIR_ECHO_CHARS)}`,
+    `\nReturn ONLY the corrected JSON object.`
+  ].join('\n');
+}
+
+/** Parses + validates one reply; returns { ok, value } or { ok: false, errors }. */
+function checkReply(text) {
+  let parsed;
+  try { parsed = extractJSON(text); } catch (err) { return { ok: false, errors: [`reply is not valid JSON (${err.message})`] }; }
+  return validateCommitSummary(parsed);
+}
+
+/**
+ * Placeholder for a commit the model could not summarize. It is never cached and is left out
+ * of type/risk counts (`aggregate.unsummarized` counts it instead).
+ */
+export function unsummarized(files, reason) {
+  return {
+    unsummarized: true,
+    error: reason,
+    summary: '',
+    change_type: null,
+    areas: [],
+    risk: null,
+    test_impact: '',
+    notable_files: files.slice(0,3).map(f => f.filename)
+  };
+}
+
+/**
+ * Summarizes one commit into the `ai` object, pre-summarizing oversized files first.
+ * Replies are schema-validated; invalid ones get up to SUMMARY_REPAIR_ATTEMPTS repair
+ * prompts before the commit is marked unsummarized. Files left out to fit the budget are
+ * listed in `omitted_files`.
+ *
+ * @param {{ llm, repoFull: string, commit: object, files: object[], skippedCount?: number, pulls?: object[],
+ *           signals?: object[], budget: number, signal?: AbortSignal, onStage?: (msg: string) => void }} args
+ */
+export async function summarizeCommit({ llm, repoFull, commit, files, skippedCount, pulls = [], signals = [], budget, signal, onStage }) {
+  pulls = pulls.map(pr => ({ ...pr, body: truncateTokens(pr.body || '', PR_BODY_TOKENS, llm.model) }));
+  const { presummarize, omitted } = planCommit({ repoFull, commit, files, skippedCount, pulls, signals, budget, model: llm.model });
+  const omittedSet = new Set(omitted);
+  if (omitted.length) onStage?.(`Leaving the ${omitted.length} smallest of ${files.length} file(s) out of ${shortSha(commit.sha)}'s prompt to fit the ${budget}-token budget…`);
+  const fileNotes = {};
+  await Promise.all(presummarize.map(async (file) => {
+    onStage?.(`Pre-summarizing ${file.filename} (diff exceeds the ${budget}-token budget)…`);
+    fileNotes[file.filename] = await summarizeFile({ llm, repoFull, commit, file, budget, signal });
+  }));
+
+  const prompt = buildCommitPrompt({ repoFull, commit, files: files.filter(f => !omittedSet.has(f)), skippedCount, omittedCount: omitted.length, fileNotes, pulls, signals });
+  const json = { name: 'commit_summary', schema: COMMIT_SUMMARY_SCHEMA };
+  let resp = await llm.complete(prompt, { signal, json });
+  let check = checkReply(resp.text);
+  for (let attempt = 1; !check.ok && attempt <= SUMMARY_REPAIR_ATTEMPTS; attempt++) {
+    onStage?.(`Summary for ${shortSha(commit.sha)} failed validation (${check.errors[0]}); repair attempt ${attempt}/${SUMMARY_REPAIR_ATTEMPTS}…`);
+    resp = await llm.complete(buildRepairPrompt(prompt, resp.text, check.errors), { signal, json });
+    check = checkReply(resp.text);
+  }
+  if (check.ok) return omitted.length ? { ...check.value, omitted_files: omitted.map(f => f.filename) } : check.value;
+  onStage?.(`Could not get a valid summary for ${shortSha(commit.sha)}; marking it unsummarized.`);
+  return unsummarized(files, check.errors.join('; '));
+}
+
+// ============ Period stage ============
+
+export const PERIOD_SECTIONS = ['# Period Summary', '## Highlights', '## Potential Risks / Breaking Changes', '## Areas & Components Touched', '## Suggested Next Steps (QA, docs, cleanup)'];
+// Multi-repo reports add this section after the highlights.
+export const REPO_SECTION = '## By Repository';
+// Reports compared with previous periods add this one after them.
+export const TREND_SECTION = '## Compared to Previous Period';
+
+/** One stats line per repository of a multi-repo report. */
+export function describeRepoAggregate({ repo, branch, aggregate: a }) {
+  const risk = ['high', 'medium'].filter(level => a.riskCounts[level]).map(level => `${a.riskCounts[level]} ${level} risk`);
+  return `${repo} (${branch}): ${a.count} commit${a.count === 1 ? '' : 's'}, ${a.files} files, LOC +${a.additions}/-${a.deletions}` +
+    `${risk.length ? `, ${risk.join(', ')}` : ''}${a.topAreas.length ? `; areas: ${a.topAreas.slice(0, 5).join(', ')}` : ''}`;
+}
+
+/**
+ * @param {object} args
+ * @param {object[]} [args.repos] - per-repo { repo, branch, aggregate } of a multi-repo report
+ * @param {object} [args.trend] - period-over-period metrics (see trends.js computeTrend)
+ * @param {string} [args.previous] - one-liners of the previous period's commits, already cut to size
+ * @param {boolean} [args.rolledUp] - bullets are batch notes rather than one line per commit
+ * @param {boolean} [args.appendChangelog] - the server appends its own changelog, so the LLM must not write one
+ */
+export function buildPeriodPrompt({ repoFull, since, until, aggregate, repos = null, trend = null, previous = null, bullets, rolledUp = false, appendChangelog = rolledUp }) {
+  const headings = [...PERIOD_SECTIONS.slice(0, 2), ...(repos ? [REPO_SECTION] : []), ...(trend ? [TREND_SECTION] : []), ...PERIOD_SECTIONS.slice(2)];
+  const sections = appendChangelog ? headings : [...headings, '## Changelog (by commit)'];
+  return [
+    `You are creating a crisp, executive-ready summary of code changes over a period.`,
+    repos ? `Repositories: ${repoFull}` : `Repository: ${repoFull}`,
+    `Window: ${since} to ${until}`,
+    ...(repos ? [`Per repository:`, ...repos.map(r => `- ${describeRepoAggregate(r)}`), `Totals across all repositories:`] : []),
+    `Commits: ${aggregate.count}, Files changed: ${aggregate.files}, LOC +${aggregate.additions}/-${aggregate.deletions}`,
+    `Change-type counts: ${JSON.stringify(aggregate.typeCounts)}`,
+    `Risk distribution: ${JSON.stringify(aggregate.riskCounts)}`,
+    ...(aggregate.unsummarized ? [`Unsummarized commits (no valid model summary; risk unknown): ${aggregate.unsummarized}`] : []),
+    `Areas touched (top): ${aggregate.topAreas.join(', ') || '(n/a)'}`,
+    ...(aggregate.pullRequests ? [`Pull requests: ${aggregate.pullRequests} (commits not linked to a PR: ${aggregate.unlinkedCommits})`] : []),
+    ...(trend ? describeTrend(trend) : []),
+    ...(previous ? [`Commits of the previous period, for context (not part of this window):`, previous] : []),
+    rolledUp ? `Below are rolled-up notes, each covering a batch of commits:` : `Below are commit-level bullets${repos ? ', each prefixed with its [repository]' : ''}:`,
+    bullets.join('\n'),
+    `\nReturn MARKDOWN with these sections:\n` + sections.join('\n') + '\n' +
+    (repos ? `Highlights should cover work across repositories; under "${REPO_SECTION}" give each repository a short paragraph. Attribute changes to their repository.\n` : '') +
+    (trend ? `Under "${TREND_SECTION}" explain what changed compared with the previous period, using the numbers above; the other sections cover this window only.\n` : '') +
+    (appendChangelog
+      ? `Do not render a per-commit changelog; it is appended separately.`
+      : `Render the changelog as a table with: ${repos ? 'repository, ' : ''}short SHA, date, author, one-liner summary.`)
+  ].join('\n');
+}
+
+// ============ Release notes ============
+
+export const RELEASE_SECTIONS = ['## Highlights', '## Features', '## Fixes', '## Breaking Changes', '## Upgrade Notes'];
+const BREAKING_RE = /BREAKING[ -]CHANGE|^\w+(\([^)]*\))?!:/m;
+
+/** True when a commit message declares a breaking change (conventional-commit `!` or footer). */
+export function isBreaking(message) {
+  return BREAKING_RE.test(message || '');
+}
+
+/**
+ * Release-notes variant of buildPeriodPrompt: same inputs plus the compared refs.
+ * Contributors and the changelog are always rendered by the server.
+ */
+export function buildReleasePrompt({ repoFull, base, head, since, until, aggregate, bullets, rolledUp = false }) {
+  return [
+    `You are writing release notes for users and operators upgrading between two versions.`,
+    `Repository: ${repoFull}`,
+    `Release: ${head} (changes since ${base})${since && until ? `, commits dated ${since} to ${until}` : ''}`,
+    `Commits: ${aggregate.count}, Files changed: ${aggregate.files}, LOC +${aggregate.additions}/-${aggregate.deletions}`,
+    `Change-type counts: ${JSON.stringify(aggregate.typeCounts)}`,
+    ...(aggregate.pullRequests ? [`Pull requests: ${aggregate.pullRequests}`] : []),
+    ...(aggregate.unsummarized ? [`Unsummarized commits (listed by commit message only): ${aggregate.unsummarized}`] : []),
+    rolledUp
+      ? `Below are rolled-up notes, each covering a batch of commits:`
+      : `Below are commit-level bullets as "sha (type): summary"; [BREAKING] marks commits that declare a breaking change:`,
+    bullets.join('\n'),
+    `\nReturn MARKDOWN starting with "# Release Notes: ${head}" followed by these sections:\n` + RELEASE_SECTIONS.join('\n') + '\n' +
+    `Features and Fixes are user-facing bullets citing short SHAs or PR numbers in parentheses; fold chores, refactors and docs into Highlights only when notable. ` +
+    `Write "None." under Breaking Changes if there are none. Upgrade Notes list concrete steps (config, migrations, API changes) or "No action required." ` +
+    `Do not list contributors or a per-commit changelog; both are appended separately.`
+  ].join('\n');
+}
+
+/** Contributor credits: commit authors by commit count, plus PR authors/reviewers when known. */
+export function renderContributors(commits) {
+  const authors = new Map();
+  for (const c of commits) authors.set(c.author, (authors.get(c.author) || 0) + 1);
+  const reviewers = new Set(commits.flatMap(c => (c.pulls || []).flatMap(p => p.reviewers || [])));
+  const lines = [...authors.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name, n]) => `- ${name} (${n} commit${n === 1 ? '' : 's'})`);
+  if (reviewers.size) lines.push('', `Reviewed by: ${[...reviewers].sort().map(r => `@${r}`).join(', ')}`);
+  return ['## Contributors', '', ...lines].join('\n');
+}
+
+function buildBatchPrompt({ repoFull, bullets, batch, batches, release = false }) {
+  return [
+    `You are condensing part of a changelog into notes for a ${release ? 'release' : 'period'} summary.`,
+    `Repository: ${repoFull}`,
+    `Batch ${batch} of ${batches}. Commit bullets:`,
+    bullets.join('\n'),
+    `\nReturn 3-8 markdown bullets grouping related work into themes. Mention notable risks, and cite short SHAs in parentheses. ` +
+    (release ? `Prefix each bullet with Feature:, Fix:, Breaking: or Other: and keep upgrade-relevant details. ` : '') + `No preamble.`
+  ].join('\n');
+}
+
+/** Greedy packing of bullets into groups of at most `maxTokens`. */
+function packBullets(bullets, maxTokens, model) {
+  const groups = [];
+  let current = [], currentTokens = 0;
+  for (const b of bullets) {
+    const t = estimateTokens(b, model) + 1;
+    if (current.length && currentTokens + t > maxTokens) { groups.push(current); current = []; currentTokens = 0; }
+    current.push(t > maxTokens ? truncateTokens(b, maxTokens, model) : b);
+    currentTokens += Math.min(t, maxTokens);
+  }
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+const escapeCell = (s) => String(s ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+/** Deterministic changelog table, appended when the LLM only saw rolled-up notes. Multi-repo commits get a Repo column. */
+export function renderChangelogTable(commits) {
+  const multi = commits.some(c => c.repo);
+  const rows = commits.map(c => `| ${multi ? `${escapeCell(c.repo)} | ` : ''}${shortSha(c.sha)} | ${String(c.date || '').slice(0, 10)} | ${escapeCell(c.author)} | ${escapeCell(firstLine(c.ai?.summary).replace(/^[-*•]\s*/, '') || firstLine(c.message))} |`);
+  const head = multi ? ['| Repo | SHA | Date | Author | Summary |', '| --- | --- | --- | --- | --- |'] : ['| SHA | Date | Author | Summary |', '| --- | --- | --- | --- |'];
+  return ['## Changelog (by commit)', '', ...head, ...rows].join('\n');
+}
+
+/**
+ * Deterministic changelog grouped by pull request (merged/open PRs first, by number),
+ * with commits that have no PR in their own section at the end.
+ */
+export function renderPullRequestChangelog(commits) {
+  const groups = new Map(); // [repo]#number -> { repo, pr, commits }
+  const unlinked = [];
+  for (const c of commits) {
+    const pr = c.pulls?.[0];
+    if (!pr) { unlinked.push(c); continue; }
+    const key = `${c.repo || ''}#${pr.number}`; // PR numbers repeat across repositories
+    if (!groups.has(key)) groups.set(key, { repo: c.repo, pr, commits: [] });
+    groups.get(key).commits.push(c);
+  }
+  const oneLine = (t) => String(t ?? '').replace(/\s*\n\s*/g, ' ');
+  const row = (c) => `- ${c.repo && !c.pulls?.length ? `[${c.repo}] ` : ''}${shortSha(c.sha)} ${oneLine(firstLine(c.ai?.summary).replace(/^[-*•]\s*/, '') || firstLine(c.message))}`;
+  const out = ['## Changelog (by pull request)', ''];
+  const sorted = [...groups.values()].sort((a, b) => String(a.repo || '').localeCompare(String(b.repo || '')) || a.pr.number - b.pr.number);
+  for (const { repo, pr, commits: list } of sorted) {
+    const labels = pr.labels?.length ? ` — ${pr.labels.map(l => `\`${l}\``).join(' ')}` : '';
+    const reviewers = pr.reviewers?.length ? `, reviewed by ${pr.reviewers.map(r => `@${r}`).join(', ')}` : '';
+    out.push(`### [${repo || ''}#${pr.number}](${pr.url}) ${oneLine(pr.title)}`, '', `@${pr.author}${reviewers}${labels}`, '', ...list.map(row), '');
+  }
+  if (unlinked.length) out.push('### Commits without a pull request', '', ...unlinked.map(row), '');
+  return out.join('\n').trimEnd();
+}
+
+// Unsummarized commits fall back to their message so they still appear in the summary.
+function bulletText(c) {
+  if (c.ai?.unsummarized) return `(unsummarized; commit message) ${firstLine(c.message)}`;
+  return c.ai?.summary || '(no summary)';
+}
+
+/**
+ * Produces the period markdown. Commit bullets go straight into one prompt when they fit;
+ * otherwise they are rolled up batch by batch (repeatedly, if the rollups are still too big).
+ * With `release: { base, head }` the output is release notes instead (see buildReleasePrompt).
+ * `onChunk` streams the final call's reply (see llm.complete); rollup batches are not streamed.
+ */
+export async function summarizePeriod({
+  llm, repoFull, since, until, aggregate, repos = null, trend = null, previousCommits = null, commits, groupByPR = false, release = null, budget, signal, onStage, onChunk
+}) {
+  const model = llm.model;
+  const prRef = (c) => (c.pulls?.length ? ` (${c.pulls.map(p => `#${p.number}`).join(', ')})` : '');
+  const repoRef = (c) => (c.repo ? `[${c.repo}] ` : '');
+  // The previous period's one-liners get at most a quarter of the budget; the deltas carry the rest.
+  const previous = trend && previousCommits?.length
+    ? truncateTokens(previousCommits.map(c => `- ${repoRef(c)}${shortSha(c.sha)}: ${bulletText(c)}`).join('\n'), Math.floor(budget / 4), model)
+    : null;
+  let bullets = release
+    ? commits.map(c => `- ${shortSha(c.sha)}${prRef(c)} (${c.ai?.change_type || 'unknown'})${isBreaking(c.message) ? ' [BREAKING]' : ''}${signalTag(c)}: ${bulletText(c)}`)
+    : commits.map(c => `- ${repoRef(c)}${shortSha(c.sha)}${prRef(c)}${signalTag(c)}: ${bulletText(c)}`);
+  const buildPrompt = (args) => (release ? buildReleasePrompt({ ...args, ...release }) : buildPeriodPrompt({ ...args, repos, trend, previous }));
+  const overhead = estimateTokens(buildPrompt({ repoFull, since, until, aggregate, bullets: [], appendChangelog: groupByPR }), model);
+  const room = Math.max(budget - overhead, Math.floor(budget / 2));
+
+  let rolledUp = false;
+  for (let round = 1; estimateTokens(bullets.join('\n'), model) > room; round++) {
+    const groups = packBullets(bullets, room, model);
+    onStage?.(`Rolling up ${bullets.length} ${rolledUp ? 'notes' : 'commit bullets'} in ${groups.length} batches (round ${round})…`);
+    const next = await Promise.all(groups.map(async (group, i) => {
+      const resp = await llm.complete(buildBatchPrompt({ repoFull, bullets: group, batch: i + 1, batches: groups.length, release: Boolean(release) }), { signal });
+      return resp.text.trim();
+    }));
+    // A round that cannot shrink the input would loop forever; cut the notes instead.
+    if (groups.length === 1 || estimateTokens(next.join('\n'), model) >= estimateTokens(bullets.join('\n'), model)) {
+      bullets = [truncateTokens(next.join('\n'), room, model)];
+      rolledUp = true;
+      break;
+    }
+    bullets = next;
+    rolledUp = true;
+  }
+
+  const appendChangelog = rolledUp || groupByPR || Boolean(release);
+  const resp = await llm.complete(buildPrompt({ repoFull, since, until, aggregate, bullets, rolledUp, appendChangelog }), { signal, onChunk });
+  const markdown = resp.text.trim() || (release ? `# Release Notes: ${release.head}\n(No content)` : '# Period Summary\n(No content)');
+  const parts = [markdown];
+  if (release) parts.push(renderContributors(commits));
+  if (appendChangelog) parts.push(groupByPR ? renderPullRequestChangelog(commits) : renderChangelogTable(commits));
+  return parts.length > 1 ? `${parts.join('\n\n')}\n` : markdown;
+}
+
+// ============ Estimates ============
+
+// Typical reply sizes; only used for dry-run estimates, which never call the model.
+const EST_COMMIT_REPLY_TOKENS = 250;
+const EST_BULLET_TOKENS = 60;
+const EST_BATCH_PROMPT_TOKENS = 150;
+const EST_BATCH_REPLY_TOKENS = 400;
+const EST_PERIOD_REPLY_TOKENS = 1200;
+
+/**
+ * Expected LLM calls and tokens for one commit: the same plan summarizeCommit follows,
+ * priced from the prompts it would send. Repair attempts are not included.
+ */
+export function estimateCommit({ repoFull, commit, files, skippedCount, pulls = [], signals = [], budget, model }) {
+  const { presummarize, estimatedTokens } = planCommit({ repoFull, commit, files, skippedCount, pulls, signals, budget, model });
+  const out = { calls: 1, inputTokens: estimatedTokens, outputTokens: EST_COMMIT_REPLY_TOKENS };
+  for (const file of presummarize) {
+    const chunks = chunkPatch(file.patch, Math.floor(budget * 0.8), model);
+    chunks.forEach((chunk, i) => {
+      out.calls++;
+      out.inputTokens += estimateTokens(buildFilePrompt({ repoFull, commit, file, chunk, part: i + 1, parts: chunks.length }), model);
+      out.outputTokens += NOTE_TOKENS;
+    });
+  }
+  return out;
+}
+
+/** Expected LLM calls and tokens for the period summary of `commitCount` commits, rollups included. */
+export function estimatePeriod({ repoFull, commitCount, release = null, repos = null, budget, model }) {
+  const aggregate = { count: commitCount, files: 0, additions: 0, deletions: 0, typeCounts: {}, riskCounts: {}, topAreas: [] };
+  const prompt = release
+    ? buildReleasePrompt({ repoFull, ...release, aggregate, bullets: [] })
+    : buildPeriodPrompt({ repoFull, since: '', until: '', aggregate, repos: repos?.map(r => ({ ...r, aggregate })), bullets: [] });
+  const overhead = estimateTokens(prompt, model);
+  const room = Math.max(budget - overhead, Math.floor(budget / 2));
+  const out = { calls: 0, inputTokens: 0, outputTokens: 0 };
+  // Same rounds as summarizePeriod: every `room` tokens of bullets become one batch note.
+  let tokens = commitCount * EST_BULLET_TOKENS;
+  while (tokens > room) {
+    const batches = Math.ceil(tokens / room);
+    out.calls += batches;
+    out.inputTokens += tokens + batches * EST_BATCH_PROMPT_TOKENS;
+    out.outputTokens += batches * EST_BATCH_REPLY_TOKENS;
+    const next = batches * EST_BATCH_REPLY_TOKENS;
+    if (batches === 1 || next >= tokens) { tokens = Math.min(next, room); break; }
+    tokens = next;
+  }
+  out.calls++;
+  out.inputTokens += overhead + tokens;
+  out.outputTokens += EST_PERIOD_REPLY_TOKENS;
+  return out;
+}
@@ -0,0 +1,34 @@
+// server/test/markdown.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Marked } from 'marked';
+import { isSafeUrl, safeRenderer } from '../../shared/markdown.js';
+
+const render = (md) => new Marked({ renderer: safeRenderer }).parse(md);
+
+test('keeps http(s), mailto and relative links', () => {
+  for (const href of ['https://example.com/a?b=1&c=2', 'http://example.com', 'mailto:dev@example.com', '#cite-0', '/reports/1', 'docs/readme.md']) {
+    assert.equal(isSafeUrl(href), true, href);
+  }
+  assert.match(render('[c](#cite-0)'), /<a href="#cite-0">c<\/a>/);
+});
+
+test('drops script, data and vbscript URLs, however they are encoded', () => {
+  for (const href of [
+    'javascript:alert(1)', 'JaVaScRiPt:alert(1)', ' javascript:alert(1)', 'java\tscript:alert(1)', 'java\nscript:alert(1)',
+    'javascript&#58;alert(1)', 'javascript&#x3a;alert(1)', 'javascript&#0000058alert(1)', 'javascript&colon;alert(1)',
+    'java&Tab;script:alert(1)', '&#106;avascript:alert(1)', 'javascript&amp;#58;alert(1)',
+    'javascript%3Aalert(1)', '%6Aavascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)'
+  ]) {
+    assert.equal(isSafeUrl(href), false, href);
+  }
+  for (const md of ['[x](javascript&#58;alert(document.cookie))', '[x](javascript%3Aalert(1))', '[x](<javascript:alert(1)>)', '<javascript:alert(1)>', '![i](javascript&colon;alert(1))']) {
+    const html = render(md);
+    assert.doesNotMatch(html, /href=|src=/, `${md} -> ${html}`);
+  }
+});
+
+test('shows raw HTML as text and escapes attributes', () => {
+  assert.doesNotMatch(render('a <img src=x onerror=alert(1)> <script>alert(1)</script>'), /<img|<script/);
+  assert.match(render('[x](https://e.com "a\\" onmouseover=\\"alert(1)")'), /title="a&quot; onmouseover=&quot;alert\(1\)"/);
+});
@@ -0,0 +1,21 @@
+// server/test/store.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+process.env.DATA_DIR = dataDir;
+const { jsonStore } = await import('../store.js');
+
+test.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+test('concurrent puts of one entry all succeed and leave one complete file', async () => {
+  const store = jsonStore('concurrent');
+  const value = (i) => ({ i, pad: 'x'.repeat(i % 2 ? 1 << 16 : 10) });
+  await Promise.all(Array.from({ length: 50 }, (_, i) => store.put('entry', value(i))));
+  const saved = await store.get('entry');
+  assert.equal(saved.pad.length, saved.i % 2 ? 1 << 16 : 10);
+  assert.deepEqual(await fs.readdir(path.join(dataDir, 'concurrent')), ['entry.json']);
+});
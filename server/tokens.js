@@ -0,0 +1,28 @@
+// server/tokens.js
+import { getEncoding } from 'js-tiktoken';
+
+// OpenAI's newer models use o200k_base; everything else gets cl100k_base, which is a
+// close-enough estimate for budgeting other providers' tokenizers.
+const O200K_MODELS = /^(gpt-4o|gpt-4\.1|gpt-5|o\d|chatgpt-4o)/i;
+
+const encodings = new Map();
+function encodingFor(model = '') {
+  const name = O200K_MODELS.test(model) ? 'o200k_base' : 'cl100k_base';
+  if (!encodings.has(name)) encodings.set(name, getEncoding(name));
+  return encodings.get(name);
+}
+
+/** Token count of `text` for `model`'s tokenizer. */
+export function estimateTokens(text, model) {
+  if (!text) return 0;
+  return encodingFor(model).encode(String(text), [], []).length;
+}
+
+/** Cuts `text` to at most `maxTokens` tokens, marking the cut. */
+export function truncateTokens(text, maxTokens, model) {
+  if (!text) return '';
+  const enc = encodingFor(model);
+  const ids = enc.encode(String(text), [], []);
+  if (ids.length <= maxTokens) return text;
+  return enc.decode(ids.slice(0, maxTokens)) + '\n...[truncated]...';
+}
@@ -0,0 +1,107 @@
+// server/trends.js
+
+/**
+ * Period-over-period comparison. A period report with `comparePeriods: n` also analyzes the
+ * n windows of the same length before it; each window gets the usual aggregate, and this
+ * module turns those into comparable metrics and the deltas between the current window
+ * and the one right before it.
+ */
+
+export const MAX_COMPARE_PERIODS = 12;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * The `n` windows of the same length before [since, until], most recent first. The length is
+ * rounded to the minute, so a "00:00:00 → 23:59:59" range steps back by whole days.
+ */
+export function previousWindows(since, until, n) {
+  const start = new Date(since).getTime();
+  const length = Math.max(MINUTE_MS, Math.round((new Date(until).getTime() - start) / MINUTE_MS) * MINUTE_MS);
+  return Array.from({ length: n }, (_, i) => ({
+    since: new Date(start - (i + 1) * length).toISOString(),
+    until: new Date(start - i * length - 1000).toISOString()
+  }));
+}
+
+const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/** The compared numbers of one window, from its aggregate. Ratios are null when undefined. */
+export function periodMetrics(aggregate) {
+  const features = aggregate.typeCounts.feat || 0;
+  const fixes = aggregate.typeCounts.fix || 0;
+  const classified = aggregate.count - (aggregate.unsummarized || 0);
+  return {
+    commits: aggregate.count,
+    churn: aggregate.additions + aggregate.deletions,
+    additions: aggregate.additions,
+    deletions: aggregate.deletions,
+    features,
+    fixes,
+    fixFeatureRatio: features ? round(fixes / features, 2) : null,
+    highRiskShare: classified ? round((aggregate.riskCounts.high || 0) / classified, 3) : null
+  };
+}
+
+// Every area a window's commits touched (the aggregate only keeps the top ones).
+function areasOf(results) {
+  return [...new Set(results.filter(r => !r.ai.unsummarized).flatMap(r => r.ai.areas || []))];
+}
+
+function change(current, previous) {
+  if (current == null || previous == null) return null;
+  return { change: round(current - previous, 3), pct: previous ? round((current - previous) / previous * 100, 1) : null };
+}
+
+/**
+ * @param {{ since, until, aggregate, results }[]} periods - current window first, then earlier ones
+ * @returns {{ periods: object[], deltas: object }} periods oldest first (chart order), each with
+ *   its metrics; deltas compare the current window with the previous one
+ */
+export function computeTrend(periods) {
+  const [current, previous] = periods.map(p => ({ since: p.since, until: p.until, metrics: periodMetrics(p.aggregate), areas: areasOf(p.results) }));
+  const earlierAreas = new Set(periods.slice(1).flatMap(p => areasOf(p.results)));
+  return {
+    periods: periods.map((p, i) => ({ since: p.since, until: p.until, current: i === 0, metrics: periodMetrics(p.aggregate) })).reverse(),
+    deltas: {
+      commits: change(current.metrics.commits, previous.metrics.commits),
+      churn: change(current.metrics.churn, previous.metrics.churn),
+      fixFeatureRatio: change(current.metrics.fixFeatureRatio, previous.metrics.fixFeatureRatio),
+      highRiskShare: change(current.metrics.highRiskShare, previous.metrics.highRiskShare),
+      newAreas: current.areas.filter(a => !earlierAreas.has(a)),
+      inactiveAreas: previous.areas.filter(a => !current.areas.includes(a))
+    }
+  };
+}
+
+const day = (iso) => String(iso || '').slice(0, 10);
+const signed = (v, unit = '') => `${v > 0 ? '+' : ''}${v}${unit}`;
+const pctOf = (share) => (share == null ? 'n/a' : `${round(share * 100, 1)}%`);
+
+/**
+ * Markdown lines describing the trend, shared by the LLM prompt and the rule-based report
+ * (so both cite the same numbers).
+ */
+export function describeTrend({ periods, deltas }) {
+  const current = periods[periods.length - 1].metrics;
+  const previousPeriod = periods[periods.length - 2];
+  const previous = previousPeriod.metrics;
+  const withPct = (d) => (d ? `${signed(d.change)}${d.pct != null ? `, ${signed(d.pct, '%')}` : ''}` : 'n/a');
+  const lines = [
+    `Compared with the previous window of the same length (${day(previousPeriod.since)} → ${day(previousPeriod.until)}):`,
+    `- Commits: ${current.commits} (previous ${previous.commits}; ${withPct(deltas.commits)})`,
+    `- Churn (lines added + deleted): ${current.churn} (previous ${previous.churn}; ${withPct(deltas.churn)})`,
+    `- Fix/feature ratio: ${current.fixFeatureRatio ?? 'n/a'} (${current.fixes} fix(es), ${current.features} feature(s); previous ${previous.fixFeatureRatio ?? 'n/a'})`,
+    `- High-risk share: ${pctOf(current.highRiskShare)} (previous ${pctOf(previous.highRiskShare)}` +
+      `${deltas.highRiskShare ? `; ${signed(round(deltas.highRiskShare.change * 100, 1))} pts` : ''})`,
+    `- Newly active areas: ${deltas.newAreas.join(', ') || 'none'}`,
+    ...(deltas.inactiveAreas.length ? [`- Areas active before but not now: ${deltas.inactiveAreas.join(', ')}`] : [])
+  ];
+  if (periods.length > 2) {
+    const series = (key, fmt = String) => periods.map(p => fmt(p.metrics[key])).join(', ');
+    lines.push(
+      `- Over the last ${periods.length} periods (oldest → newest): commits ${series('commits')}; churn ${series('churn')}; ` +
+      `high-risk share ${series('highRiskShare', pctOf)}`
+    );
+  }
+  return lines;
+}
@@ -0,0 +1,129 @@
+// server/usage.js
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Token usage and cost accounting. Every LLM call of a run goes through a meter, which
+ * adds the provider-reported `usage` to the run totals (and to a per-commit tally), prices
+ * it from the model's entry in the price table, and refuses new calls once `maxCostUsd`
+ * is spent.
+ *
+ * Prices are USD per million tokens. LLM_PRICES_FILE (JSON, relative to server/) adds or
+ * overrides entries: { "model-prefix": { "input": 0.15, "output": 0.6 } }.
+ */
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+// Model names match by prefix, longest first, so dated and "-latest" names find their family.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o3': { input: 2, output: 8 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+function loadPrices() {
+  const file = process.env.LLM_PRICES_FILE;
+  if (!file) return DEFAULT_PRICES;
+  try {
+    const custom = JSON.parse(fs.readFileSync(path.resolve(HERE, file), 'utf8'));
+    return { ...DEFAULT_PRICES, ...custom };
+  } catch (err) {
+    throw new Error(`LLM_PRICES_FILE: could not read ${file} (${err.message})`);
+  }
+}
+const PRICES = loadPrices();
+
+/** `{ input, output, match }` for a model (provider prefix ignored), or null when it is not in the table. */
+export function priceFor(model) {
+  const name = String(model || '').replace(/^[\w-]+:/, '').toLowerCase();
+  const match = Object.keys(PRICES)
+    .filter(prefix => name.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!match) return null;
+  const { input, output } = PRICES[match];
+  return { input: Number(input) || 0, output: Number(output) || 0, match };
+}
+
+/** USD for a usage record; null when the model has no price. */
+export function costOf({ inputTokens = 0, outputTokens = 0 }, price) {
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+export const emptyUsage = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+function addUsage(total, usage, cost) {
+  total.calls++;
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+  if (cost != null) total.costUsd += cost;
+}
+
+/** "$0.0123", with more digits for tiny amounts; "unknown" when unpriced. */
+export function formatCost(usd) {
+  if (usd == null) return 'unknown';
+  return `$${usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+/** "12,345 in / 1,234 out tokens, $0.0042" */
+export function describeUsage(usage, price) {
+  const cost = price ? `, ${formatCost(usage.costUsd)}` : '';
+  return `${usage.inputTokens.toLocaleString('en-US')} in / ${usage.outputTokens.toLocaleString('en-US')} out tokens${cost}`;
+}
+
+/** Thrown instead of making an LLM call once the run's cost budget is spent. */
+export class CostBudgetError extends Error {
+  constructor(maxCostUsd) {
+    super(`Cost budget of ${formatCost(maxCostUsd)} reached`);
+    this.name = 'CostBudgetError';
+    this.status = 402; // a non-retryable status, so withRetry gives up at once
+  }
+}
+
+/**
+ * Meter for one run. `totals` is mutated in place, so passing a checkpointed totals
+ * object carries the spend of earlier attempts into a resumed run.
+ *
+ * @param {{ model: string, maxCostUsd?: number|null, totals?: object }} opts
+ */
+export function createUsageMeter({ model, maxCostUsd = null, totals = emptyUsage() }) {
+  const price = priceFor(model);
+  const meter = {
+    price,
+    totals,
+    // Only priced models can be held to a budget. Calls already in flight still finish, so a run can overshoot slightly.
+    get exceeded() { return Boolean(maxCostUsd != null && price && totals.costUsd >= maxCostUsd); },
+    /** Wraps `llm` so its calls are counted; `tally` (optional) also receives them. */
+    track(llm, tally) {
+      return {
+        ...llm,
+        complete: async (input, opts) => {
+          if (meter.exceeded) throw new CostBudgetError(maxCostUsd);
+          const resp = await llm.complete(input, opts);
+          const usage = resp.usage || {};
+          const cost = costOf(usage, price);
+          addUsage(totals, usage, cost);
+          if (tally) addUsage(tally, usage, cost);
+          return resp;
+        }
+      };
+    }
+  };
+  return meter;
+}
@@ -0,0 +1,335 @@
+// server/webhooks.js
+import crypto from 'node:crypto';
+import { jsonStore } from './store.js';
+import { createCommitSource } from './sources.js';
+import { normalizeParams } from './analyze.js';
+import { createJob, getJob, resumeJob, onJobSettled, TERMINAL } from './jobs.js';
+import { getReport } from './reports.js';
+
+/**
+ * GitHub webhook receiver. Signed `push` (and, if enabled, merged `pull_request`) events
+ * start a background job over the new commits ("commits" mode), so summaries and a saved
+ * report appear without anyone clicking Analyze. When the job completes, a digest is posted
+ * to WEBHOOK_NOTIFY_URL (Slack/Teams incoming-webhook JSON) and/or as a comment on the PR.
+ *
+ * Every delivery is logged in DATA_DIR/deliveries with what happened to it, so failures
+ * can be inspected and retried. A delivery id is processed once (replays are answered but
+ * ignored), and events older than WEBHOOK_MAX_AGE_MIN are ignored.
+ */
+
+const SECRET = process.env.GITHUB_WEBHOOK_SECRET || '';
+export const WEBHOOKS_ENABLED = Boolean(SECRET);
+
+const csv = (v) => (v || '').split(',').map(s => s.trim()).filter(Boolean);
+const EVENTS = csv(process.env.WEBHOOK_EVENTS || 'push');           // push, pull_request
+const BRANCHES = csv(process.env.WEBHOOK_BRANCHES);                 // empty: default branch only; "*": any
+const REPOS = csv(process.env.WEBHOOK_REPOS).map(r => r.toLowerCase()); // empty: any repo that sends hooks
+const NOTIFY_URL = process.env.WEBHOOK_NOTIFY_URL || '';
+const PR_COMMENT = process.env.WEBHOOK_PR_COMMENT === 'true';
+const SUMMARIZER = process.env.WEBHOOK_SUMMARIZER || '';            // default: llm when ready, else heuristic
+const MAX_COST_USD = Number(process.env.WEBHOOK_MAX_COST_USD) || null;
+const MAX_COMMITS = Math.max(1, Number(process.env.WEBHOOK_MAX_COMMITS) || 60);
+const MAX_AGE_MS = (Number(process.env.WEBHOOK_MAX_AGE_MIN) || 60) * 60 * 1000;
+const RETENTION = Math.max(1, Number(process.env.WEBHOOK_DELIVERY_RETENTION) || 500);
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+const NOTIFY_TIMEOUT_MS = 10000;
+const DIGEST_COMMITS = 10;
+const PR_COMMENT_MAX = 60000; // GitHub rejects comments over 65,536 characters
+const PR_COMMITS_MAX = 250;   // the pulls API lists at most 250 commits
+
+const store = jsonStore('deliveries');
+const deliveries = new Map(); // delivery id -> record
+const byJob = new Map();      // job id -> delivery id
+let runtime = null;           // { llm }
+
+function now() { return new Date().toISOString(); }
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+async function save(d) {
+  d.updatedAt = now();
+  await store.put(d.id, d);
+}
+
+async function prune() {
+  const oldest = [...deliveries.values()].sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+  for (const d of oldest.slice(0, Math.max(0, oldest.length - RETENTION))) {
+    if (d.status === 'queued') continue;
+    deliveries.delete(d.id);
+    if (d.jobId) byJob.delete(d.jobId);
+    await store.remove(d.id);
+  }
+}
+
+/** Loads the delivery log and settles deliveries whose job finished while the server was down. */
+export async function initWebhooks({ llm }) {
+  runtime = { llm };
+  for (const d of await store.list()) {
+    if (!d?.id) continue;
+    deliveries.set(d.id, d);
+    if (d.jobId) byJob.set(d.jobId, d.id);
+  }
+  onJobSettled(jobSettled);
+  for (const d of deliveries.values()) {
+    if (d.status !== 'queued') continue;
+    const job = d.jobId && getJob(d.jobId);
+    if (job && TERMINAL.has(job.status)) {
+      await jobSettled(job);
+    } else if (!job) {
+      Object.assign(d, { status: 'failed', error: 'The job no longer exists' });
+      await save(d);
+    }
+  }
+}
+
+// ============ Receiving ============
+function verifySignature(raw, header) {
+  if (!header?.startsWith('sha256=')) return false;
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', SECRET).update(raw).digest('hex')}`);
+  const got = Buffer.from(header);
+  return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+}
+
+// GitHub sends JSON, or a form with a `payload` field when the hook's content type is urlencoded.
+function parsePayload(req, raw) {
+  const text = raw.toString('utf8');
+  if (/x-www-form-urlencoded/i.test(req.get('content-type') || '')) return JSON.parse(new URLSearchParams(text).get('payload') || '');
+  return JSON.parse(text);
+}
+
+function tooOld(at) {
+  return Boolean(at) && Date.now() - new Date(at).getTime() > MAX_AGE_MS;
+}
+
+function wantedBranch(branch, repository) {
+  if (BRANCHES.includes('*')) return true;
+  return BRANCHES.length ? BRANCHES.includes(branch) : branch === repository?.default_branch;
+}
+
+/** What an event asks for: `{ ignore: reason }` or the commits to summarize. */
+function planEvent(event, payload) {
+  if (event === 'ping') return { ignore: 'ping' };
+  if (!EVENTS.includes(event)) return { ignore: `"${event}" events are not handled (WEBHOOK_EVENTS)` };
+  const repo = payload.repository?.full_name;
+  if (!repo) return { ignore: 'no repository in payload' };
+  if (REPOS.length && !REPOS.includes(repo.toLowerCase())) return { ignore: `${repo} is not in WEBHOOK_REPOS` };
+
+  if (event === 'push') {
+    if (!payload.ref?.startsWith('refs/heads/')) return { ignore: 'not a branch push' };
+    if (payload.deleted) return { ignore: 'branch deleted' };
+    const branch = payload.ref.slice('refs/heads/'.length);
+    if (!wantedBranch(branch, payload.repository)) return { ignore: `branch ${branch} is not watched (WEBHOOK_BRANCHES)` };
+    // repository.pushed_at is a Unix timestamp on push events
+    if (tooOld(payload.repository.pushed_at * 1000)) return { ignore: 'event is older than WEBHOOK_MAX_AGE_MIN (replayed?)' };
+    const shas = (payload.commits || []).filter(c => c.distinct !== false).map(c => c.id);
+    if (!shas.length) return { ignore: 'no new commits' };
+    return { repo, branch, sha: payload.after, shas, sender: payload.pusher?.name || payload.sender?.login || null };
+  }
+
+  // pull_request: only merges count
+  const pr = payload.pull_request;
+  if (payload.action !== 'closed' || !pr?.merged) return { ignore: 'not a merged pull request' };
+  if (!wantedBranch(pr.base.ref, payload.repository)) return { ignore: `base branch ${pr.base.ref} is not watched (WEBHOOK_BRANCHES)` };
+  if (tooOld(pr.merged_at)) return { ignore: 'event is older than WEBHOOK_MAX_AGE_MIN (replayed?)' };
+  return { repo, branch: pr.base.ref, sha: pr.merge_commit_sha, pullNumber: pr.number, pullTitle: pr.title, sender: pr.merged_by?.login || payload.sender?.login || null };
+}
+
+/** Express handler for POST /api/webhooks/github; needs the raw body (express.raw). */
+export async function handleGithubWebhook(req, res) {
+  if (!WEBHOOKS_ENABLED) return res.status(404).json({ ok: false, error: 'Webhooks are not configured on this server (set GITHUB_WEBHOOK_SECRET).' });
+  const raw = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!verifySignature(raw, req.get('x-hub-signature-256'))) return res.status(401).json({ ok: false, error: 'Invalid or missing X-Hub-Signature-256' });
+  const id = req.get('x-github-delivery');
+  const event = req.get('x-github-event');
+  if (!id || !event) return res.status(400).json({ ok: false, error: 'Missing X-GitHub-Delivery or X-GitHub-Event' });
+  if (deliveries.has(id)) return res.json({ ok: true, duplicate: true, delivery: deliveries.get(id) });
+
+  let payload;
+  try { payload = parsePayload(req, raw); } catch { return res.status(400).json({ ok: false, error: 'Payload is not valid JSON' }); }
+
+  const plan = planEvent(event, payload);
+  // Recorded before any await, so a concurrent replay of the same id is caught above
+  const d = {
+    id, event, action: payload.action || null,
+    repo: payload.repository?.full_name || null,
+    receivedAt: now(),
+    status: plan.ignore ? 'ignored' : 'queued',
+    reason: plan.ignore || null,
+    plan: plan.ignore ? null : plan,
+    params: null, jobId: null, reportId: null,
+    notifications: {},
+    attempts: plan.ignore ? 0 : 1,
+    error: null
+  };
+  deliveries.set(id, d);
+  try {
+    if (!plan.ignore) await start(d);
+    else await save(d);
+    await prune();
+  } catch (err) {
+    console.error(err);
+  }
+  res.status(plan.ignore ? 200 : 202).json({ ok: true, delivery: d });
+}
+
+async function pullRequestShas(repo, number) {
+  const { octokit } = createCommitSource(repo);
+  const commits = await octokit.paginate(octokit.rest.pulls.listCommits, { owner: repo.split('/')[0], repo: repo.split('/')[1], pull_number: number, per_page: 100 });
+  return commits.slice(0, PR_COMMITS_MAX).map(c => c.sha);
+}
+
+// Queues the summarizing job; a failure is recorded on the delivery rather than thrown.
+async function start(d) {
+  try {
+    const shas = d.plan.shas || await pullRequestShas(d.plan.repo, d.plan.pullNumber);
+    d.params = normalizeParams({
+      mode: 'commits', repo: d.plan.repo, shas, branch: d.plan.branch,
+      maxCommits: MAX_COMMITS,
+      summarizer: SUMMARIZER || (runtime.llm.ready ? 'llm' : 'heuristic'),
+      maxCostUsd: MAX_COST_USD
+    });
+    const job = await createJob(d.params, { trigger: 'webhook' });
+    if (d.jobId) byJob.delete(d.jobId);
+    Object.assign(d, { status: 'queued', jobId: job.id, error: null });
+    byJob.set(job.id, d.id);
+  } catch (err) {
+    Object.assign(d, { status: 'failed', error: String(err?.message || err) });
+  }
+  await save(d);
+}
+
+// ============ Delivering ============
+async function jobSettled(job) {
+  const d = deliveries.get(byJob.get(job.id));
+  if (!d || d.status !== 'queued') return;
+  if (job.status !== 'completed') {
+    Object.assign(d, { status: 'failed', error: job.status === 'cancelled' ? 'Job cancelled' : (job.error || 'Job failed') });
+    return save(d);
+  }
+  d.reportId = job.reportId || null;
+  await notify(d, job.result);
+}
+
+async function resultOf(d) {
+  const job = d.jobId && getJob(d.jobId);
+  if (job?.result) return job.result;
+  const report = d.reportId && await getReport(d.reportId);
+  return report?.result || null;
+}
+
+const reportUrl = (d) => (PUBLIC_URL && d.reportId ? `${PUBLIC_URL}/?report=${d.reportId}` : null);
+const firstLine = (text, max) => {
+  const line = String(text || '').split('\n')[0].trim();
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+};
+
+/** Plain-text digest (renders in both Slack and Teams). */
+export function renderDigest(d, result) {
+  const { plan } = d;
+  const commits = result.commits || [];
+  const lines = [plan.pullNumber
+    ? `${result.repo}: #${plan.pullNumber} ${firstLine(plan.pullTitle, 80)} merged into ${plan.branch}${plan.sender ? ` by ${plan.sender}` : ''}`
+    : `${result.repo}: ${commits.length} commit(s) pushed to ${plan.branch}${plan.sender ? ` by ${plan.sender}` : ''}`];
+  for (const c of commits.slice(0, DIGEST_COMMITS)) {
+    const tag = c.ai.unsummarized ? 'not summarized' : `${c.ai.change_type || 'other'}, risk ${c.ai.risk}`;
+    const flags = c.signals?.length ? ` ⚠ ${[...new Set(c.signals.map(s => s.kind))].join(', ')}` : '';
+    lines.push(`• ${c.sha.slice(0, 7)} ${firstLine(c.message, 72)} (${tag})${flags}`);
+    if (c.ai.summary) lines.push(`   ${firstLine(c.ai.summary, 200)}`);
+  }
+  if (commits.length > DIGEST_COMMITS) lines.push(`…and ${commits.length - DIGEST_COMMITS} more`);
+  const url = reportUrl(d);
+  if (url) lines.push(`Report: ${url}`);
+  return lines.join('\n');
+}
+
+function renderComment(d, result) {
+  const url = reportUrl(d);
+  const head = `### Change summary\n\n_${result.commits.length} commit(s), summarized by gh-change-summarizer${url ? ` · [full report](${url})` : ''}._\n\n`;
+  const body = head + (result.summaryMarkdown || '');
+  return body.length > PR_COMMENT_MAX ? `${body.slice(0, PR_COMMENT_MAX)}\n\n_…truncated._` : body;
+}
+
+async function postDigest(d, result) {
+  const r = await fetch(NOTIFY_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: renderDigest(d, result) }),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+  });
+  if (!r.ok) {
+    const err = new Error(`${r.status} ${(await r.text().catch(() => '')).slice(0, 200) || r.statusText}`);
+    err.status = r.status;
+    throw err;
+  }
+}
+
+async function postComment(d, result) {
+  const [owner, repo] = d.plan.repo.split('/');
+  const { octokit } = createCommitSource(d.plan.repo);
+  await octokit.rest.issues.createComment({ owner, repo, issue_number: d.plan.pullNumber, body: renderComment(d, result) });
+}
+
+/** Sends the configured notifications that have not succeeded yet; sets the delivery's final status. */
+async function notify(d, result) {
+  const targets = [
+    ...(NOTIFY_URL ? [['webhook', postDigest]] : []),
+    ...(PR_COMMENT && d.plan.pullNumber ? [['pr_comment', postComment]] : [])
+  ];
+  if (!result) {
+    Object.assign(d, { status: 'failed', error: 'The analysis result is no longer available' });
+    return save(d);
+  }
+  for (const [target, send] of targets) {
+    const prev = d.notifications[target];
+    if (prev?.ok) continue;
+    const attempt = { ok: true, at: now(), attempts: (prev?.attempts || 0) + 1, error: null, status: null };
+    try {
+      await send(d, result);
+    } catch (err) {
+      Object.assign(attempt, { ok: false, error: String(err?.message || err), status: err.status || null });
+    }
+    d.notifications[target] = attempt;
+  }
+  const failed = Object.entries(d.notifications).filter(([, n]) => !n.ok).map(([t]) => t);
+  Object.assign(d, failed.length
+    ? { status: 'failed', error: `Notification failed: ${failed.join(', ')}` }
+    : { status: 'completed', error: null });
+  await save(d);
+}
+
+// ============ Log + retry ============
+/** Newest first; `status` narrows to one status. */
+export function listDeliveries({ status } = {}) {
+  return [...deliveries.values()]
+    .filter(d => !status || d.status === status)
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+}
+
+export function getDelivery(id) { return deliveries.get(id) || null; }
+
+/**
+ * Retries a failed delivery from where it failed: notifications only when the summary
+ * exists, otherwise the job is resumed (or started again if it is gone).
+ */
+export async function retryDelivery(id) {
+  const d = deliveries.get(id);
+  if (!d) return null;
+  if (d.status !== 'failed') throw conflict(`Only failed deliveries can be retried (delivery is ${d.status}).`);
+  d.attempts++;
+  const job = d.jobId && getJob(d.jobId);
+  if (job?.status === 'completed' || (!job && d.reportId)) {
+    await notify(d, await resultOf(d));
+  } else if (job && TERMINAL.has(job.status)) {
+    resumeJob(job.id);
+    Object.assign(d, { status: 'queued', error: null });
+    await save(d);
+  } else {
+    await start(d);
+  }
+  return d;
+}
@@ -0,0 +1,58 @@
+// shared/markdown.js
+
+/**
+ * Renderer overrides for `marked` that make Markdown from untrusted text safe to insert as
+ * HTML. Period summaries and Q&A answers are LLM output written from commit content, which
+ * commit authors control; they are rendered by the server (HTML exports) and by the client
+ * (dangerouslySetInnerHTML), both as `new Marked({ renderer: safeRenderer })`.
+ *
+ * Raw HTML is shown as text. Links and images are written here rather than by marked: every
+ * attribute is escaped, so the browser decodes no entities and sees exactly the URL that was
+ * checked, and only http(s), mailto and relative URLs are kept. This module has no imports
+ * so both packages can load it.
+ */
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+// Resolves relative URLs (e.g. citation links "#cite-0") so they parse; never rendered
+const RELATIVE_BASE = 'https://relative.invalid/';
+
+export function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Numeric and the scheme-relevant named entities, in case a URL reaches us still encoded
+const NAMED = { amp: '&', colon: ':', tab: '\t', newline: '\n' };
+function decodeEntities(s) {
+  return s.replace(/&(#x[\da-f]+|#\d+|amp|colon|tab|newline);?/gi, (m, e) => {
+    const lower = e.toLowerCase();
+    if (NAMED[lower]) return NAMED[lower];
+    const code = lower[1] === 'x' ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+  });
+}
+
+/** True when `href` (decoded and parsed the way a browser would) is http(s), mailto or relative. */
+export function isSafeUrl(href) {
+  let url = String(href ?? '');
+  for (let prev; prev !== url;) { prev = url; url = decodeEntities(url); }
+  try {
+    url = decodeURIComponent(url);
+  } catch {
+    // malformed escapes are left as they are
+  }
+  try {
+    return ALLOWED_PROTOCOLS.includes(new URL(url, RELATIVE_BASE).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// marked hands titles over already escaped
+const titleAttr = (title) => (title ? ` title="${title.replace(/"/g, '&quot;')}"` : '');
+
+export const safeRenderer = {
+  html: (html) => escapeHtml(html),
+  // `text` is already-rendered inline HTML; an unsafe link keeps only that
+  link: (href, title, text) => (isSafeUrl(href) ? `<a href="${escapeHtml(href)}"${titleAttr(title)}>${text}</a>` : text),
+  image: (href, title, text) => (isSafeUrl(href) ? `<img src="${escapeHtml(href)}" alt="${escapeHtml(text)}"${titleAttr(title)}>` : escapeHtml(text))
+};